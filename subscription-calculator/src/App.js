@@ -1,132 +1,212 @@
 import React from 'react';
 import { useState, useMemo, useCallback } from 'react';
 import { useDropzone } from 'react-dropzone';
-// PapaParse will be loaded via a script tag in the App component
-// import Papa from 'https://esm.sh/papaparse'; 
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, FunnelChart, Funnel, LabelList, Cell } from 'recharts';
-import { Download, UploadCloud, X, FileText, Filter, Calendar, Users, BarChart2, DollarSign, Target, MousePointerClick, TrendingUp, Ratio } from 'lucide-react';
-import { format } from 'date-fns';
+import { Download, UploadCloud, X, FileText, FilePlus, Filter, Calendar, Users, BarChart2, DollarSign, Target, MousePointerClick, TrendingUp, Ratio, GitCompareArrows, Sigma, UserCheck } from 'lucide-react';
 import { DayPicker } from 'react-day-picker';
-// Note: The stylesheet for react-day-picker is now loaded dynamically in the App component.
+import 'react-day-picker/style.css';
+import { Card, MetricCard, Button, DeltaBadge, GoalProgress, inputClassName, FormattingContext, useFormatters } from './components/ui';
+import TrendPanel from './components/TrendPanel';
+import AdGroupBreakdown from './components/AdGroupBreakdown';
+import LtvPanel from './components/LtvPanel';
+import SourcesPanel from './components/SourcesPanel';
+import ColumnMappingWizard from './components/ColumnMappingWizard';
+import ValidationReport from './components/ValidationReport';
+import DataGrid from './components/DataGrid';
+import ScenarioPlanner from './components/ScenarioPlanner';
+import CurrencySettings from './components/CurrencySettings';
+import DatasetLibrary from './components/DatasetLibrary';
+import SaveDataset from './components/SaveDataset';
+import CopyLinkButton from './components/CopyLinkButton';
+import ReportDialog from './components/ReportDialog';
+import SheetPicker from './components/SheetPicker';
+import ExportMenu from './components/ExportMenu';
+import AlertsPanel from './components/AlertsPanel';
+import ForecastPanel from './components/ForecastPanel';
+import FunnelSettings from './components/FunnelSettings';
+import GoalSettings from './components/GoalSettings';
+import ColumnFilters from './components/ColumnFilters';
+import FilterPresets from './components/FilterPresets';
+import PivotExplorer from './components/PivotExplorer';
+import SignificancePanel from './components/SignificancePanel';
+import { createFormatters, formatPercentage, formatRange } from './lib/format';
+import { ALL_AD_GROUPS, NUMERIC_COLUMNS, applyColumnFilters, applyFilters, filterByDateRange, funnelData, funnelSteps, latestStartDate, listAdGroups, stepRate } from './lib/analytics';
+import { evaluateMetrics, extraNumericColumns, loadFunnelSettings, resolveStages, stageColumns, storeFunnelSettings } from './lib/funnel';
+import { evaluateGoals, goalPeriod, goalsFor, loadGoals, storeGoals } from './lib/goals';
+import { createSource, mergeSources } from './lib/sources';
+import { REQUIRED_COLUMNS, applyMapping } from './lib/columnMapping';
+import { loadCurrencySettings, normalizeRows, storeCurrencySettings } from './lib/currency';
+import { loadDataset, saveDataset, updateDatasetFilters } from './lib/datasetStore';
+import { decodeViewState, encodeViewState } from './lib/urlState';
+import { buildReportHtml } from './lib/report';
+import { ACCEPTED_FILE_TYPES, sheetFile } from './lib/fileImport';
+import { createViewSummarizer, parseFile, validateFile, workersSupported } from './lib/dataWorker';
+import { createViewSummary, summarizeView } from './lib/viewSummary';
+import { exportCsv, exportJson, exportWorkbook } from './lib/fileExport';
+import { COMPARE_MODES, DEFAULT_FILTERS, resolveComparisonRange } from './lib/filters';
+import { describeColumnFilters, dimensionColumns } from './lib/dimensions';
 
 // Constants
-const REQUIRED_COLUMNS = ['Clicks', 'Cost', 'Avg. CPC', 'Installs', 'Trials', 'Subscriptions', 'Subscription Value', 'Start Date', 'End Date', 'Ad Group'];
-const FUNNEL_STAGES = ['Clicks', 'Installs', 'Trials', 'Subscriptions'];
 const FUNNEL_COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042'];
-
-// Helper Functions
-const formatCurrency = (value) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value);
-const formatPercentage = (value) => `${(value * 100).toFixed(2)}%`;
-const safeDivide = (numerator, denominator) => (denominator ? numerator / denominator : 0);
-
-// Reusable UI Components
-const Card = ({ children, className = '' }) => (
-    <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${className}`}>
-        {children}
-    </div>
-);
-
-const MetricCard = ({ title, value, icon, color, tooltip }) => (
-    <Card className="relative group">
-        <div className="flex items-start justify-between">
-            <div>
-                <p className="text-sm font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{title}</p>
-                <p className={`text-3xl font-bold mt-2 ${color}`}>{value}</p>
-            </div>
-            <div className={`p-3 rounded-full bg-opacity-20 ${color.replace('text-', 'bg-')}`}>
-                {icon}
-            </div>
-        </div>
-        {tooltip && (
-            <div className="absolute bottom-full mb-2 w-max px-3 py-1.5 text-sm font-medium text-white bg-gray-900 rounded-md shadow-sm opacity-0 group-hover:opacity-100 transition-opacity duration-300 dark:bg-gray-700">
-                {tooltip}
-            </div>
-        )}
-    </Card>
-);
-
-const Button = ({ children, onClick, variant = 'primary', className = '' }) => {
-    const baseClasses = 'px-4 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center justify-center gap-2 focus:outline-none focus:ring-2 focus:ring-offset-2 dark:focus:ring-offset-gray-900';
-    const variants = {
-        primary: 'bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500',
-        secondary: 'bg-gray-200 text-gray-800 hover:bg-gray-300 focus:ring-gray-400 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600',
-        danger: 'bg-red-500 text-white hover:bg-red-600 focus:ring-red-500',
-    };
-    return (
-        <button onClick={onClick} className={`${baseClasses} ${variants[variant]} ${className}`}>
-            {children}
-        </button>
-    );
+const CONVERSION_COLORS = ['bg-blue-500', 'bg-green-500', 'bg-yellow-500', 'bg-pink-500', 'bg-indigo-500'];
+const CUSTOM_METRIC_COLORS = ['text-cyan-500', 'text-fuchsia-500', 'text-lime-600', 'text-amber-500'];
+// View changes closer together than this share one history entry.
+const HISTORY_SETTLE_MS = 1000;
+
+// Validates rows that already use the required column names. Clean files become a
+// source straight away; files with flagged rows are queued for review first.
+const prepareFile = (fileName, rows, ignoredColumns = []) => validateFile(rows, ignoredColumns).then(results => {
+    if (results.every(result => result.issues.length === 0)) {
+        return { source: createSource(fileName, results.map(result => result.row)) };
+    }
+    return { pending: { stage: 'review', fileName, results, ignoredColumns } };
+});
+
+// Sends a parsed file to column mapping when its headers do not match, and on to
+// validation otherwise.
+const routeFile = (file) => {
+    if (!REQUIRED_COLUMNS.every(col => file.headers.includes(col))) {
+        return Promise.resolve({ pending: { stage: 'mapping', ...file } });
+    }
+    return prepareFile(file.fileName, file.rows);
 };
 
 // Main Application Components
-const FileUpload = ({ onDataLoaded, setAppError }) => {
+const FileUpload = ({ onDataLoaded, setAppError, compact = false }) => {
     const [loading, setLoading] = useState(false);
+    // Fraction of the dropped files parsed so far, and how to stop parsing them.
+    const [progress, setProgress] = useState(0);
+    const parseController = React.useRef(null);
+    // Files from the current drop. Ready ones are held back until every file that
+    // needs column mapping or has flagged rows has been through its review step.
+    const [batch, setBatch] = useState({ ready: [], pending: [] });
+
+    const advanceBatch = useCallback((ready, pending) => {
+        if (pending.length > 0) {
+            setBatch({ ready, pending });
+            return;
+        }
+        setBatch({ ready: [], pending: [] });
+        if (ready.length > 0) onDataLoaded(ready);
+    }, [onDataLoaded]);
 
     const onDrop = useCallback((acceptedFiles) => {
         if (acceptedFiles.length === 0) return;
-        if (typeof window.Papa === 'undefined') {
-            setAppError("Parsing library not loaded yet. Please try again in a moment.");
-            return;
-        }
+        const controller = new AbortController();
+        parseController.current = controller;
         setLoading(true);
+        setProgress(0);
         setAppError(null);
 
-        const file = acceptedFiles[0];
-        window.Papa.parse(file, {
-            header: true,
-            skipEmptyLines: true,
-            complete: (results) => {
-                const { data, errors, meta } = results;
-                if (errors.length > 0) {
-                    setAppError(`Error parsing CSV: ${errors[0].message}`);
-                    setLoading(false);
-                    return;
-                }
-
-                const headers = meta.fields;
-                const missingColumns = REQUIRED_COLUMNS.filter(col => !headers.includes(col));
-
-                if (missingColumns.length > 0) {
-                    setAppError(`Missing required columns: ${missingColumns.join(', ')}`);
-                    setLoading(false);
-                    return;
-                }
-
-                const processedData = data.map((row, index) => {
-                    try {
-                        return {
-                            id: index,
-                            ...row,
-                            Clicks: parseInt(row.Clicks, 10) || 0,
-                            Cost: parseFloat(row.Cost) || 0,
-                            'Avg. CPC': parseFloat(row['Avg. CPC']) || 0,
-                            Installs: parseInt(row.Installs, 10) || 0,
-                            Trials: parseInt(row.Trials, 10) || 0,
-                            Subscriptions: parseInt(row.Subscriptions, 10) || 0,
-                            'Subscription Value': parseFloat(row['Subscription Value']) || 0,
-                            'Start Date': new Date(row['Start Date']),
-                            'End Date': new Date(row['End Date']),
-                        };
-                    } catch (e) {
-                        throw new Error(`Error processing row ${index + 2}: ${e.message}`);
-                    }
-                });
-
-                onDataLoaded(processedData);
+        const fractions = acceptedFiles.map(() => 0);
+        const reportProgress = (index, fraction) => {
+            fractions[index] = fraction;
+            setProgress(fractions.reduce((sum, value) => sum + value, 0) / fractions.length);
+        };
+
+        Promise.allSettled(acceptedFiles.map((file, index) => parseFile(file, {
+            signal: controller.signal,
+            onProgress: (fraction) => reportProgress(index, fraction),
+        }).then(parsed => {
+            reportProgress(index, 1);
+            return parsed;
+        })))
+            .then(results => {
+                const failures = results.filter(result => result.status === 'rejected').map(result => result.reason.message);
+                const routed = results.filter(result => result.status === 'fulfilled').map(({ value: file }) => (
+                    file.sheets ? { pending: { stage: 'sheet', ...file } } : routeFile(file)
+                ));
+                return Promise.all(routed).then(steps => ({ failures, steps }));
+            })
+            .then(({ failures, steps }) => {
+                if (parseController.current === controller) parseController.current = null;
+                // Cancelling has already reset the upload; the rejections it caused are not errors.
+                if (controller.signal.aborted) return;
+                const ready = steps.filter(step => step.source).map(step => step.source);
+                const pending = steps.filter(step => step.pending).map(step => step.pending);
+
+                if (failures.length > 0) setAppError(failures.join(' '));
+                advanceBatch(ready, pending);
                 setLoading(false);
-            },
-            error: (error) => {
-                setAppError(`CSV parsing error: ${error.message}`);
+            })
+            .catch(error => {
+                if (parseController.current === controller) parseController.current = null;
+                setAppError(error.message);
                 setLoading(false);
-            }
-        });
-    }, [onDataLoaded, setAppError]);
+            });
+    }, [advanceBatch, setAppError]);
+
+    const cancelParsing = () => {
+        if (parseController.current) parseController.current.abort();
+        setLoading(false);
+    };
+
+    const [current, ...rest] = batch.pending;
+
+    // Moves on from the current step once its file has been routed or validated.
+    const continueWith = (step) => step
+        .then(({ source, pending: next }) => {
+            if (source) advanceBatch([...batch.ready, source], rest);
+            else advanceBatch(batch.ready, [next, ...rest]);
+        })
+        .catch(error => setAppError(error.message));
+
+    const handleSheetChosen = (sheet) => {
+        continueWith(routeFile(sheetFile(current.fileName, sheet)));
+    };
+
+    const handleMappingConfirmed = (mapping) => {
+        const ignoredColumns = REQUIRED_COLUMNS.filter(col => mapping[col].type === 'ignore');
+        continueWith(prepareFile(current.fileName, applyMapping(current.rows, mapping), ignoredColumns));
+    };
+
+    const handleReviewConfirmed = (rows) => {
+        advanceBatch([...batch.ready, createSource(current.fileName, rows)], rest);
+    };
+
+    const handleSkipped = () => {
+        advanceBatch(batch.ready, rest);
+    };
+
+    let pendingStep = null;
+    if (current && current.stage === 'sheet') {
+        pendingStep = (
+            <SheetPicker
+                key={`${current.fileName}-${batch.pending.length}`}
+                fileName={current.fileName}
+                sheets={current.sheets}
+                onConfirm={handleSheetChosen}
+                onCancel={handleSkipped}
+            />
+        );
+    } else if (current && current.stage === 'mapping') {
+        pendingStep = (
+            <ColumnMappingWizard
+                key={`${current.fileName}-${batch.pending.length}`}
+                fileName={current.fileName}
+                headers={current.headers}
+                rows={current.rows}
+                onConfirm={handleMappingConfirmed}
+                onCancel={handleSkipped}
+            />
+        );
+    } else if (current) {
+        pendingStep = (
+            <ValidationReport
+                key={`${current.fileName}-${batch.pending.length}`}
+                fileName={current.fileName}
+                results={current.results}
+                ignoredColumns={current.ignoredColumns}
+                onConfirm={handleReviewConfirmed}
+                onCancel={handleSkipped}
+            />
+        );
+    }
 
     const { getRootProps, getInputProps, isDragActive } = useDropzone({
         onDrop,
-        accept: { 'text/csv': ['.csv'] },
-        multiple: false
+        accept: ACCEPTED_FILE_TYPES,
+        multiple: true
     });
     
     const downloadTemplate = () => {
@@ -141,8 +221,37 @@ const FileUpload = ({ onDataLoaded, setAppError }) => {
         document.body.removeChild(link);
     };
 
+    const parsingStatus = loading && (
+        <div className="flex items-center gap-4 mt-4">
+            <div className="flex-1 bg-gray-200 dark:bg-gray-700 rounded-full h-2" role="progressbar" aria-label="Parsing progress" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(progress * 100)}>
+                <div className="bg-blue-500 h-2 rounded-full transition-all duration-200" style={{ width: `${progress * 100}%` }} />
+            </div>
+            <span className="w-12 text-sm text-right text-gray-600 dark:text-gray-300">{Math.round(progress * 100)}%</span>
+            <Button onClick={cancelParsing} variant="secondary">
+                <X className="w-4 h-4" /> Cancel
+            </Button>
+        </div>
+    );
+
+    if (compact) {
+        return (
+            <>
+                {pendingStep}
+                <div {...getRootProps()} className={`p-4 border-2 border-dashed rounded-lg cursor-pointer text-center transition-colors duration-300 ${isDragActive ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20' : 'border-gray-300 dark:border-gray-600 hover:border-blue-400'}`}>
+                    <input {...getInputProps()} />
+                    <p className="flex items-center justify-center gap-2 text-sm font-semibold text-gray-600 dark:text-gray-300">
+                        <FilePlus className="w-4 h-4" />
+                        {loading ? 'Processing...' : 'Drop more CSV, Excel or JSON files here to add them to this dataset'}
+                    </p>
+                </div>
+                {parsingStatus}
+            </>
+        );
+    }
+
     return (
         <div className="w-full max-w-2xl mx-auto text-center">
+            {pendingStep}
             <Card className="p-10">
                 <div {...getRootProps()} className={`p-8 border-2 border-dashed rounded-xl cursor-pointer transition-colors duration-300 ${isDragActive ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20' : 'border-gray-300 dark:border-gray-600 hover:border-blue-400'}`}>
                     <input {...getInputProps()} />
@@ -153,11 +262,12 @@ const FileUpload = ({ onDataLoaded, setAppError }) => {
                         ) : isDragActive ? (
                             <p className="text-lg font-semibold text-gray-700 dark:text-gray-300">Drop the files here ...</p>
                         ) : (
-                            <p className="text-lg font-semibold text-gray-700 dark:text-gray-300">Drag & drop a CSV file here, or click to select</p>
+                            <p className="text-lg font-semibold text-gray-700 dark:text-gray-300">Drag & drop one or more CSV, Excel or JSON files here, or click to select</p>
                         )}
-                        <p className="text-sm text-gray-500 dark:text-gray-400">Requires columns: Clicks, Cost, Installs, Trials, etc.</p>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">Expects columns like Clicks, Cost, Installs, Trials. Other header names can be mapped after upload.</p>
                     </div>
                 </div>
+                {parsingStatus}
                 <div className="mt-6">
                     <Button onClick={downloadTemplate} variant="secondary">
                         <Download className="w-4 h-4" /> Download CSV Template
@@ -168,26 +278,51 @@ const FileUpload = ({ onDataLoaded, setAppError }) => {
     );
 };
 
-const Filters = ({ data, filters, setFilters }) => {
-    const [showDatePicker, setShowDatePicker] = useState(false);
-    const adGroups = useMemo(() => ['All Ad Groups', ...new Set(data.map(item => item['Ad Group']))], [data]);
+const Filters = ({ data, dimensions, numericColumns, filters, setFilters, comparisonRange }) => {
+    const [openPicker, setOpenPicker] = useState(null);
+    const adGroups = useMemo(() => [ALL_AD_GROUPS, ...listAdGroups(data)], [data]);
 
     const handleDateChange = (range) => {
-        setFilters(prev => ({ ...prev, dateRange: range }));
+        setFilters(prev => ({ ...prev, dateRange: range || DEFAULT_FILTERS.dateRange }));
     };
 
     const handleAdGroupChange = (e) => {
         setFilters(prev => ({ ...prev, adGroup: e.target.value }));
     };
 
+    const handleCompareModeChange = (e) => {
+        const mode = e.target.value;
+        setFilters(prev => ({ ...prev, compare: { ...prev.compare, mode } }));
+        setOpenPicker(mode === 'custom' ? 'compare' : null);
+    };
+
+    const handleCompareRangeChange = (range) => {
+        setFilters(prev => ({ ...prev, compare: { ...prev.compare, range: range || DEFAULT_FILTERS.compare.range } }));
+    };
+
     const clearFilters = () => {
-        setFilters({ dateRange: { from: undefined, to: undefined }, adGroup: 'All Ad Groups' });
-        setShowDatePicker(false);
+        setFilters(prev => ({ ...DEFAULT_FILTERS, granularity: prev.granularity }));
+        setOpenPicker(null);
     };
-    
-    const dateRangeText = filters.dateRange?.from
-        ? `${format(filters.dateRange.from, 'LLL dd, y')} - ${filters.dateRange.to ? format(filters.dateRange.to, 'LLL dd, y') : ''}`
-        : 'Select Date Range';
+
+    const togglePicker = (picker) => setOpenPicker(openPicker === picker ? null : picker);
+
+    const datePicker = (picker, selected, onSelect) => openPicker === picker && (
+        <div className="absolute z-10 mt-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+            <DayPicker
+                mode="range"
+                selected={selected}
+                onSelect={onSelect}
+            />
+            <div className="p-2 border-t border-gray-200 dark:border-gray-700">
+              <Button onClick={() => setOpenPicker(null)} className="w-full">Done</Button>
+            </div>
+        </div>
+    );
+
+    const compareHint = filters.compare.mode !== 'off' && filters.compare.mode !== 'custom' && !comparisonRange
+        ? 'Select a date range to compare'
+        : formatRange(comparisonRange);
 
     return (
         <Card className="mb-6">
@@ -198,129 +333,271 @@ const Filters = ({ data, filters, setFilters }) => {
                 </div>
                 <div className="flex flex-wrap items-center gap-4">
                     <div className="relative">
-                        <Button onClick={() => setShowDatePicker(!showDatePicker)} variant="secondary">
+                        <Button onClick={() => togglePicker('date')} variant="secondary">
                             <Calendar className="w-4 h-4" />
-                            {dateRangeText}
+                            {formatRange(filters.dateRange) || 'Select Date Range'}
                         </Button>
-                        {showDatePicker && (
-                            <div className="absolute z-10 mt-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
-                                <DayPicker
-                                    mode="range"
-                                    selected={filters.dateRange}
-                                    onSelect={handleDateChange}
-                                />
-                                <div className="p-2 border-t border-gray-200 dark:border-gray-700">
-                                  <Button onClick={() => setShowDatePicker(false)} className="w-full">Done</Button>
-                                </div>
-                            </div>
-                        )}
+                        {datePicker('date', filters.dateRange, handleDateChange)}
                     </div>
                     <div className="flex items-center gap-2">
                          <Users className="w-5 h-5 text-gray-500" />
                         <select
                             value={filters.adGroup}
                             onChange={handleAdGroupChange}
-                            className="p-2 border border-gray-300 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            className={inputClassName}
                         >
                             {adGroups.map(group => <option key={group} value={group}>{group}</option>)}
                         </select>
                     </div>
+                    <div className="relative flex items-center gap-2">
+                        <GitCompareArrows className="w-5 h-5 text-gray-500" />
+                        <select value={filters.compare.mode} onChange={handleCompareModeChange} className={inputClassName}>
+                            {Object.entries(COMPARE_MODES).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                        </select>
+                        {filters.compare.mode === 'custom' && (
+                            <Button onClick={() => togglePicker('compare')} variant="secondary">
+                                <Calendar className="w-4 h-4" />
+                                {formatRange(filters.compare.range) || 'Select Comparison Range'}
+                            </Button>
+                        )}
+                        {filters.compare.mode !== 'custom' && compareHint && (
+                            <span className="text-sm text-gray-500 dark:text-gray-400">{compareHint}</span>
+                        )}
+                        {datePicker('compare', filters.compare.range, handleCompareRangeChange)}
+                    </div>
+                    <FilterPresets filters={filters} onApply={(preset) => setFilters(prev => ({ ...preset, granularity: prev.granularity }))} />
                     <Button onClick={clearFilters} variant="danger">
                         Clear Filters
                     </Button>
                 </div>
             </div>
+            <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+                <ColumnFilters data={data} dimensions={dimensions} numericColumns={numericColumns} filters={filters} setFilters={setFilters} />
+            </div>
         </Card>
     );
 };
 
+// Summaries of a view of the rows, added up in the data worker a chunk at a time so
+// the cards fill in while a large dataset is still being summed. Returns
+// { result, progress }; without workers the result is worked out here in one go.
+const useViewSummary = (rows, view) => {
+    const [state, setState] = useState(() => ({ result: createViewSummary(view).result(), progress: 0 }));
+    const summarizer = React.useRef(null);
 
-const Dashboard = ({ data, onReset }) => {
-    const [filters, setFilters] = useState({
-        dateRange: { from: undefined, to: undefined },
-        adGroup: 'All Ad Groups',
-    });
+    React.useEffect(() => {
+        if (!workersSupported()) return undefined;
+        const created = createViewSummarizer((result, progress) => setState({ result, progress }));
+        summarizer.current = created;
+        return () => created.terminate();
+    }, []);
 
-    const filteredData = useMemo(() => {
-        return data.filter(item => {
-            const itemDate = item['Start Date'];
-            const inDateRange = !filters.dateRange.from || (itemDate >= filters.dateRange.from && (!filters.dateRange.to || itemDate <= filters.dateRange.to));
-            const inAdGroup = filters.adGroup === 'All Ad Groups' || item['Ad Group'] === filters.adGroup;
-            return inDateRange && inAdGroup;
-        });
-    }, [data, filters]);
-
-    const summary = useMemo(() => {
-        const initial = { Clicks: 0, Cost: 0, Installs: 0, Trials: 0, Subscriptions: 0, 'Subscription Value': 0 };
-        const totals = filteredData.reduce((acc, row) => {
-            acc.Clicks += row.Clicks;
-            acc.Cost += row.Cost;
-            acc.Installs += row.Installs;
-            acc.Trials += row.Trials;
-            acc.Subscriptions += row.Subscriptions;
-            acc['Subscription Value'] += row.Subscriptions * row['Subscription Value'];
-            return acc;
-        }, initial);
-
-        return {
-            ...totals,
-            cpi: safeDivide(totals.Cost, totals.Installs),
-            installRate: safeDivide(totals.Installs, totals.Clicks),
-            installToTrialRate: safeDivide(totals.Trials, totals.Installs),
-            trialCost: safeDivide(totals.Cost, totals.Trials),
-            installToPaidRate: safeDivide(totals.Subscriptions, totals.Installs),
-            cac: safeDivide(totals.Cost, totals.Subscriptions),
-            valueCostRatio: safeDivide(totals['Subscription Value'], totals.Cost),
-            overallConversion: safeDivide(totals.Subscriptions, totals.Clicks),
-            roi: safeDivide(totals['Subscription Value'] - totals.Cost, totals.Cost)
-        };
-    }, [filteredData]);
+    React.useEffect(() => {
+        if (summarizer.current) summarizer.current.load(rows);
+    }, [rows]);
 
-    const funnelData = FUNNEL_STAGES.map(stage => ({
-        name: stage,
-        value: summary[stage]
-    }));
+    React.useEffect(() => {
+        if (summarizer.current) summarizer.current.summarize(view);
+    }, [rows, view]);
 
-    const exportData = () => {
-        if (typeof window.Papa === 'undefined') {
-            alert("Parsing library not loaded yet. Please try again in a moment.");
-            return;
+    const direct = useMemo(() => (workersSupported() ? null : { result: summarizeView(rows, view), progress: 1 }), [rows, view]);
+    return direct || state;
+};
+
+const Dashboard = ({
+    data, sources, sourceStats, filters, setFilters, savedDataset, onSaveDataset, onUpdateDatasetFilters,
+    currencySettings, missingRates, onCurrencySettingsChange, onAddSources, onRemoveSource, onReset, setAppError
+}) => {
+    const formatters = useFormatters();
+    const { formatCurrency, formatMetric, formatNumber } = formatters;
+    // Text columns beyond the typed ones, which rows can be filtered by.
+    const dimensions = useMemo(() => dimensionColumns(data), [data]);
+
+    // Rows matching the column filters. Alerts look at every date and group of these.
+    const scopedData = useMemo(
+        () => applyColumnFilters(data, { dimensions: filters.dimensions, ranges: filters.ranges }),
+        [data, filters.dimensions, filters.ranges]
+    );
+
+    // The ad group breakdown compares every group, so it leaves out the ad group filter.
+    const dateFilteredData = useMemo(() => filterByDateRange(scopedData, filters.dateRange), [scopedData, filters.dateRange]);
+
+    const filteredData = useMemo(() => applyFilters(dateFilteredData, { adGroup: filters.adGroup }), [dateFilteredData, filters.adGroup]);
+
+    // Numeric columns beyond the typed ones, which custom funnels, formulas and range filters can use.
+    const extraColumns = useMemo(() => extraNumericColumns(data), [data]);
+
+    const comparisonRange = useMemo(
+        () => resolveComparisonRange(filters.dateRange, filters.compare, latestStartDate(data)),
+        [data, filters.dateRange, filters.compare]
+    );
+
+    const view = useMemo(
+        () => ({
+            dateRange: filters.dateRange,
+            adGroup: filters.adGroup,
+            dimensions: filters.dimensions,
+            ranges: filters.ranges,
+            comparisonRange,
+            extraColumns,
+        }),
+        [filters.dateRange, filters.adGroup, filters.dimensions, filters.ranges, comparisonRange, extraColumns]
+    );
+    const { result: { summary, comparisonSummary }, progress: summaryProgress } = useViewSummary(data, view);
+
+    const [reportHtml, setReportHtml] = useState(null);
+
+    const [funnelSettings, setFunnelSettings] = useState(loadFunnelSettings);
+    const availableStages = stageColumns(extraColumns);
+    const stages = resolveStages(funnelSettings.stages, availableStages);
+    const steps = funnelSteps(stages);
+    const customMetrics = evaluateMetrics(funnelSettings.metrics, summary);
+    const comparisonMetrics = comparisonSummary && evaluateMetrics(funnelSettings.metrics, comparisonSummary);
+
+    const [goals, setGoals] = useState(loadGoals);
+    const period = useMemo(() => goalPeriod(filters.dateRange, data), [filters.dateRange, data]);
+    const goalResults = evaluateGoals(goalsFor(goals, filters.adGroup), summary, period);
+    const goalFor = (metric) => goalResults[metric] && <GoalProgress goal={goalResults[metric]} />;
+
+    const deltaFor = (metric) => comparisonSummary && (
+        <DeltaBadge metric={metric} current={summary[metric]} previous={comparisonSummary[metric]} />
+    );
+
+    // Stages and their rates may be extra columns, which METRICS does not describe.
+    const stageDelta = (stage) => comparisonSummary && (
+        <DeltaBadge metric={stage} current={summary[stage]} previous={comparisonSummary[stage]} kind="number" higherIsBetter />
+    );
+
+    const rateDelta = (step) => comparisonSummary && (
+        <DeltaBadge metric={step.to} current={stepRate(summary, step)} previous={stepRate(comparisonSummary, step)} kind="percentage" higherIsBetter />
+    );
+
+    const handleSelectAdGroup = (adGroup) => {
+        setFilters(prev => ({ ...prev, adGroup: prev.adGroup === adGroup ? ALL_AD_GROUPS : adGroup }));
+    };
+
+    const funnelChartData = funnelData(summary, stages);
+
+    // Conversion bars: each step, then the whole funnel when it has more than one step.
+    const conversionBars = [
+        ...steps.map((step, index) => ({ step, label: `${step.from} to ${step.to}`, color: CONVERSION_COLORS[index % CONVERSION_COLORS.length] })),
+        ...(steps.length > 1 ? [{ step: { from: stages[0], to: stages[stages.length - 1] }, label: 'Overall Conversion', color: 'bg-purple-500', overall: true }] : []),
+    ];
+
+    // Alerts link to the view they describe; following one keeps the other filters.
+    const alertViewHref = (view) => `${window.location.pathname}${encodeViewState({ ...filters, ...view }, savedDataset?.metadata.id)}`;
+
+    const openAlertView = (view) => {
+        setFilters(prev => ({ ...prev, ...view }));
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    const exportData = (exportFormat) => {
+        if (exportFormat === 'csv') exportCsv(filteredData, 'report.csv');
+        if (exportFormat === 'json') exportJson(filteredData, 'report.json');
+        if (exportFormat === 'xlsx') {
+            exportWorkbook({ rows: filteredData, summary }, 'report.xlsx')
+                .catch(err => setAppError(`Could not create the workbook: ${err.message}`));
         }
-        const csv = window.Papa.unparse(filteredData);
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement("a");
-        const url = URL.createObjectURL(blob);
-        link.setAttribute("href", url);
-        link.setAttribute("download", "report.csv");
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    };
+
+    const generateReport = () => {
+        const datasetName = savedDataset?.metadata.name;
+        setReportHtml(buildReportHtml({
+            title: datasetName ? `Revenue Report: ${datasetName}` : 'Revenue Report',
+            generatedAt: new Date(),
+            context: [
+                ['Date range', formatRange(filters.dateRange) || 'All dates'],
+                ['Ad group', filters.adGroup],
+                ...describeColumnFilters(filters).map(line => ['Filter', line]),
+                ...(comparisonRange ? [['Compared with', formatRange(comparisonRange)]] : []),
+                ['Records', `${filteredData.length} of ${data.length}`],
+                ['Sources', sources.map(source => source.name).join(', ')],
+                ['Currency', formatters.currency],
+            ],
+            summary,
+            comparisonSummary,
+            groupRows: filteredData,
+            stages,
+            formatters,
+        }));
     };
 
     return (
         <div className="space-y-6">
-            <div className="flex justify-between items-center">
+            {reportHtml && <ReportDialog html={reportHtml} fileName="executive-report.html" onClose={() => setReportHtml(null)} />}
+            <div className="flex flex-wrap justify-between items-center gap-4">
                 <h1 className="text-3xl font-bold text-gray-800 dark:text-white">Revenue Dashboard</h1>
-                 <div className="flex gap-4">
-                    <Button onClick={exportData} variant="secondary"><Download className="w-4 h-4" /> Export Report</Button>
+                 <div className="flex flex-wrap gap-4">
+                    <SaveDataset
+                        saved={savedDataset?.metadata}
+                        hasChanges={savedDataset?.sources !== sources}
+                        filtersChanged={Boolean(savedDataset) && encodeViewState(filters) !== encodeViewState({ ...DEFAULT_FILTERS, ...savedDataset.metadata.filters })}
+                        defaultName={sources[0].name.replace(/\.csv$/i, '')}
+                        onSave={onSaveDataset}
+                        onUpdateFilters={onUpdateDatasetFilters}
+                    />
+                    <CopyLinkButton includesDataset={Boolean(savedDataset)} />
+                    <ExportMenu onExport={exportData} />
+                    <Button onClick={generateReport} variant="secondary"><FileText className="w-4 h-4" /> Generate Report</Button>
                     <Button onClick={onReset}><UploadCloud className="w-4 h-4" /> New Upload</Button>
                 </div>
             </div>
 
-            <Filters data={data} filters={filters} setFilters={setFilters} />
+            <SourcesPanel sources={sources} stats={sourceStats} onRemove={onRemoveSource}>
+                <FileUpload onDataLoaded={onAddSources} setAppError={setAppError} compact />
+            </SourcesPanel>
+
+            <CurrencySettings settings={currencySettings} onChange={onCurrencySettingsChange} missingRates={missingRates} setAppError={setAppError} />
+
+            <FunnelSettings
+                settings={funnelSettings}
+                onChange={(settings) => setFunnelSettings(storeFunnelSettings(settings))}
+                stages={stages}
+                availableColumns={availableStages}
+                totals={summary}
+            />
+
+            <GoalSettings
+                goals={goals}
+                onChange={(next) => setGoals(storeGoals(next))}
+                adGroups={listAdGroups(data)}
+                adGroup={filters.adGroup}
+            />
+
+            <Filters
+                data={data}
+                dimensions={dimensions}
+                numericColumns={[...NUMERIC_COLUMNS, ...extraColumns]}
+                filters={filters}
+                setFilters={setFilters}
+                comparisonRange={comparisonRange}
+            />
             
             <div className="p-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg text-center">
                 <p className="font-semibold text-blue-800 dark:text-blue-200">
                     Showing <span className="text-xl">{filteredData.length}</span> of <span className="text-xl">{data.length}</span> records.
                 </p>
+                {comparisonRange && (
+                    <p className="text-sm text-blue-700 dark:text-blue-300 mt-1">Changes are shown against {formatRange(comparisonRange)}.</p>
+                )}
+                {summaryProgress < 1 && (
+                    <p className="text-sm text-blue-700 dark:text-blue-300 mt-1">Adding up totals… {Math.round(summaryProgress * 100)}%</p>
+                )}
             </div>
 
+            <AlertsPanel data={scopedData} viewHref={alertViewHref} onOpenView={openAlertView} />
+
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-                <MetricCard title="Total Cost" value={formatCurrency(summary.Cost)} icon={<DollarSign className="w-6 h-6" />} color="text-red-500" tooltip="Total spend on acquisition." />
-                <MetricCard title="CAC" value={formatCurrency(summary.cac)} icon={<Target className="w-6 h-6" />} color="text-orange-500" tooltip="Customer Acquisition Cost (Cost / Subscriptions)" />
-                <MetricCard title="Total Revenue" value={formatCurrency(summary['Subscription Value'])} icon={<TrendingUp className="w-6 h-6" />} color="text-green-500" tooltip="Total value from all subscriptions." />
-                <MetricCard title="ROI" value={formatPercentage(summary.roi)} icon={<Ratio className="w-6 h-6" />} color="text-teal-500" tooltip="Return on Investment ((Revenue - Cost) / Cost)" />
+                <MetricCard title="Total Cost" value={formatCurrency(summary.Cost)} icon={<DollarSign className="w-6 h-6" />} delta={deltaFor('Cost')} goal={goalFor('Cost')} color="text-red-500" tooltip="Total spend on acquisition." />
+                <MetricCard title="Subscriptions" value={formatNumber(summary.Subscriptions)} icon={<UserCheck className="w-6 h-6" />} delta={deltaFor('Subscriptions')} goal={goalFor('Subscriptions')} color="text-blue-500" tooltip="Total paid subscriptions." />
+                <MetricCard title="CAC" value={formatCurrency(summary.cac)} icon={<Target className="w-6 h-6" />} delta={deltaFor('cac')} goal={goalFor('cac')} color="text-orange-500" tooltip="Customer Acquisition Cost (Cost / Subscriptions)" />
+                <MetricCard title="Total Revenue" value={formatCurrency(summary['Subscription Value'])} icon={<TrendingUp className="w-6 h-6" />} delta={deltaFor('Subscription Value')} color="text-green-500" tooltip="Total value from all subscriptions." />
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-4 gap-6 items-start">
+                <MetricCard title="ROI" value={formatPercentage(summary.roi)} icon={<Ratio className="w-6 h-6" />} delta={deltaFor('roi')} goal={goalFor('roi')} color="text-teal-500" tooltip="Return on Investment ((Revenue - Cost) / Cost)" />
+                <LtvPanel data={filteredData} className="lg:col-span-3" />
             </div>
 
             <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
@@ -341,10 +618,10 @@ const Dashboard = ({ data, onReset }) => {
                             />
                             <Funnel
                                 dataKey="value"
-                                data={funnelData}
+                                data={funnelChartData}
                                 isAnimationActive
                             >
-                                {funnelData.map((entry, index) => (
+                                {funnelChartData.map((entry, index) => (
                                     <Cell key={`cell-${index}`} fill={FUNNEL_COLORS[index % FUNNEL_COLORS.length]} />
                                 ))}
                                 <LabelList
@@ -359,173 +636,242 @@ const Dashboard = ({ data, onReset }) => {
                                     fill="#fff"
                                     stroke="none"
                                     dataKey="value"
-                                    formatter={(value) => value.toLocaleString()}
+                                    formatter={(value) => formatNumber(value)}
                                     className="font-bold text-lg"
                                 />
                             </Funnel>
                         </FunnelChart>
                     </ResponsiveContainer>
+                    {comparisonSummary && (
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+                            {stages.map(stage => (
+                                <div key={stage}>
+                                    <p className="text-sm text-gray-600 dark:text-gray-400">{stage}</p>
+                                    <p className="font-bold text-gray-800 dark:text-gray-200">{formatNumber(summary[stage])}</p>
+                                    {stageDelta(stage)}
+                                </div>
+                            ))}
+                        </div>
+                    )}
                 </Card>
                  <Card className="lg:col-span-2">
                     <h2 className="text-xl font-semibold mb-4 text-gray-800 dark:text-white">Funnel Conversion Rates</h2>
                     <div className="space-y-4 pt-6">
-                        <div className="flex items-center">
-                            <div className="w-1/3 text-sm text-gray-600 dark:text-gray-400">Clicks to Install</div>
-                            <div className="w-2/3">
-                                <div className="bg-gray-200 dark:bg-gray-700 rounded-full h-6">
-                                    <div className="bg-blue-500 h-6 rounded-full flex items-center justify-center text-white font-bold text-sm" style={{ width: `${summary.installRate * 100}%` }}>
-                                        {formatPercentage(summary.installRate)}
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                        <div className="flex items-center">
-                            <div className="w-1/3 text-sm text-gray-600 dark:text-gray-400">Install to Trial</div>
-                            <div className="w-2/3">
-                                <div className="bg-gray-200 dark:bg-gray-700 rounded-full h-6">
-                                    <div className="bg-green-500 h-6 rounded-full flex items-center justify-center text-white font-bold text-sm" style={{ width: `${summary.installToTrialRate * 100}%` }}>
-                                        {formatPercentage(summary.installToTrialRate)}
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                        <div className="flex items-center">
-                            <div className="w-1/3 text-sm text-gray-600 dark:text-gray-400">Trial to Subscription</div>
-                            <div className="w-2/3">
-                                <div className="bg-gray-200 dark:bg-gray-700 rounded-full h-6">
-                                    <div className="bg-yellow-500 h-6 rounded-full flex items-center justify-center text-white font-bold text-sm" style={{ width: `${safeDivide(summary.Subscriptions, summary.Trials) * 100}%` }}>
-                                        {formatPercentage(safeDivide(summary.Subscriptions, summary.Trials))}
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                         <div className="flex items-center pt-4 border-t border-gray-200 dark:border-gray-700 mt-4">
-                            <div className="w-1/3 text-sm font-bold text-gray-800 dark:text-gray-200">Overall Conversion</div>
-                            <div className="w-2/3">
-                                <div className="bg-gray-200 dark:bg-gray-700 rounded-full h-6">
-                                    <div className="bg-purple-500 h-6 rounded-full flex items-center justify-center text-white font-bold text-sm" style={{ width: `${summary.overallConversion * 100}%` }}>
-                                        {formatPercentage(summary.overallConversion)}
+                        {conversionBars.map(({ step, label, color, overall }) => (
+                            <div key={label} className={`flex items-center ${overall ? 'pt-4 border-t border-gray-200 dark:border-gray-700 mt-4' : ''}`}>
+                                <div className={`w-1/3 text-sm ${overall ? 'font-bold text-gray-800 dark:text-gray-200' : 'text-gray-600 dark:text-gray-400'}`}>{label}</div>
+                                <div className="w-2/3">
+                                    <div className="bg-gray-200 dark:bg-gray-700 rounded-full h-6">
+                                        <div className={`${color} h-6 rounded-full flex items-center justify-center text-white font-bold text-sm`} style={{ width: `${Math.min(stepRate(summary, step), 1) * 100}%` }}>
+                                            {formatPercentage(stepRate(summary, step))}
+                                        </div>
                                     </div>
+                                    {comparisonSummary && <div className="mt-1 text-right">{rateDelta(step)}</div>}
                                 </div>
                             </div>
-                        </div>
+                        ))}
                     </div>
                 </Card>
             </div>
             
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-                <MetricCard title="Cost Per Install" value={formatCurrency(summary.cpi)} icon={<MousePointerClick className="w-6 h-6" />} color="text-blue-500" tooltip="Cost / Installs" />
-                <MetricCard title="Install Rate" value={formatPercentage(summary.installRate)} icon={<BarChart2 className="w-6 h-6" />} color="text-indigo-500" tooltip="Installs / Clicks" />
-                <MetricCard title="Install to Trial %" value={formatPercentage(summary.installToTrialRate)} icon={<Users className="w-6 h-6" />} color="text-purple-500" tooltip="Trials / Installs" />
-                <MetricCard title="Trial Cost" value={formatCurrency(summary.trialCost)} icon={<DollarSign className="w-6 h-6" />} color="text-pink-500" tooltip="Cost / Trials" />
+                <MetricCard title="Cost Per Install" value={formatCurrency(summary.cpi)} icon={<MousePointerClick className="w-6 h-6" />} delta={deltaFor('cpi')} color="text-blue-500" tooltip="Cost / Installs" />
+                <MetricCard title="Install Rate" value={formatPercentage(summary.installRate)} icon={<BarChart2 className="w-6 h-6" />} delta={deltaFor('installRate')} color="text-indigo-500" tooltip="Installs / Clicks" />
+                <MetricCard title="Install to Trial %" value={formatPercentage(summary.installToTrialRate)} icon={<Users className="w-6 h-6" />} delta={deltaFor('installToTrialRate')} color="text-purple-500" tooltip="Trials / Installs" />
+                <MetricCard title="Trial Cost" value={formatCurrency(summary.trialCost)} icon={<DollarSign className="w-6 h-6" />} delta={deltaFor('trialCost')} color="text-pink-500" tooltip="Cost / Trials" />
             </div>
 
-            <Card>
-                <h2 className="text-xl font-semibold mb-4 text-gray-800 dark:text-white">Detailed Data</h2>
-                <div className="overflow-x-auto">
-                    <table className="w-full text-left">
-                        <thead className="bg-gray-50 dark:bg-gray-700">
-                            <tr>
-                                {REQUIRED_COLUMNS.map(col => <th key={col} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider">{col}</th>)}
-                            </tr>
-                        </thead>
-                        <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-                            {filteredData.slice(0, 10).map(row => (
-                                <tr key={row.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50">
-                                    {REQUIRED_COLUMNS.map(col => (
-                                        <td key={col} className="p-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
-                                            {col.includes('Date') ? format(row[col], 'yyyy-MM-dd') : 
-                                             typeof row[col] === 'number' && !col.includes('Rate') ? row[col].toLocaleString() : 
-                                             row[col]}
-                                        </td>
-                                    ))}
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
-                    {filteredData.length > 10 && <p className="text-center mt-4 text-sm text-gray-500">Showing first 10 rows...</p>}
+            {customMetrics.length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                    {customMetrics.map((metric, index) => (
+                        <MetricCard
+                            key={metric.id}
+                            title={metric.name}
+                            value={metric.error ? '—' : formatMetric(metric.value, metric.kind)}
+                            icon={<Sigma className="w-6 h-6" />}
+                            delta={comparisonMetrics && !metric.error && (
+                                <DeltaBadge metric={metric.id} current={metric.value} previous={comparisonMetrics[index].value} kind={metric.kind} higherIsBetter={metric.higherIsBetter} />
+                            )}
+                            color={CUSTOM_METRIC_COLORS[index % CUSTOM_METRIC_COLORS.length]}
+                            tooltip={metric.error || metric.formula}
+                        />
+                    ))}
                 </div>
-            </Card>
+            )}
+
+            <TrendPanel
+                data={filteredData}
+                granularity={filters.granularity}
+                onGranularityChange={(granularity) => setFilters(prev => ({ ...prev, granularity }))}
+            />
+
+            <ForecastPanel data={filteredData} />
+
+            <AdGroupBreakdown data={dateFilteredData} selectedAdGroup={filters.adGroup} onSelectAdGroup={handleSelectAdGroup} />
+
+            <PivotExplorer data={filteredData} dimensions={dimensions} />
+
+            <SignificancePanel data={scopedData} dateRange={filters.dateRange} adGroup={filters.adGroup} comparisonRange={comparisonRange} />
+
+            <ScenarioPlanner data={dateFilteredData} />
+
+            <DataGrid data={filteredData} />
         </div>
     );
 };
 
 // Main App Component
 export default function App() {
-    const [data, setData] = useState(null);
+    const [sources, setSources] = useState([]);
     const [error, setError] = useState(null);
+    const [currencySettings, setCurrencySettings] = useState(loadCurrencySettings);
+    // Filters start from the URL so shared links restore their view.
+    const [filters, setFilters] = useState(() => decodeViewState(window.location.search).filters);
+    // The library version that is open, with the sources it was saved or opened
+    // with, so later file changes can be told apart.
+    const [savedDataset, setSavedDataset] = useState(null);
+
+    // Every panel formats amounts in the reporting currency and locale.
+    const formatters = useMemo(
+        () => createFormatters({ currency: currencySettings.reportingCurrency, locale: currencySettings.locale }),
+        [currencySettings.reportingCurrency, currencySettings.locale]
+    );
 
-    // Dynamically load external scripts and stylesheets
+    const merged = useMemo(() => mergeSources(sources), [sources]);
+    const normalized = useMemo(() => normalizeRows(merged.rows, currencySettings), [merged, currencySettings]);
+    const data = sources.length > 0 ? normalized.rows : null;
+
+    const handleDataLoaded = useCallback((loadedSources) => {
+        setSources(prev => [...prev, ...loadedSources]);
+    }, []);
+
+    const savedDatasetId = savedDataset?.metadata.id;
+    const hasData = Boolean(data);
+
+    // `viewFilters` replace the filters saved with the version, for links and history.
+    const openDataset = useCallback((id, viewFilters) => {
+        loadDataset(id)
+            .then(({ sources: storedSources, ...metadata }) => {
+                const restored = storedSources.map(source => createSource(source.name, source.rows, source.addedAt));
+                setSources(restored);
+                setFilters({ ...DEFAULT_FILTERS, ...(viewFilters || metadata.filters) });
+                setSavedDataset({ metadata, sources: restored });
+                setError(null);
+            })
+            .catch(err => setError(`Could not open the dataset: ${err.message}`));
+    }, []);
+
+    // A link that names a library dataset opens it on load.
     React.useEffect(() => {
-        const scripts = [
-            { id: 'papaparse-script', src: 'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.3.2/papaparse.min.js' }
-        ];
-        const styles = [
-            { id: 'react-day-picker-styles', href: 'https://unpkg.com/react-day-picker/dist/style.css' }
-        ];
-
-        scripts.forEach(scriptInfo => {
-            if (document.getElementById(scriptInfo.id)) return;
-            const script = document.createElement('script');
-            script.id = scriptInfo.id;
-            script.src = scriptInfo.src;
-            script.async = true;
-            document.head.appendChild(script);
-        });
-
-        styles.forEach(styleInfo => {
-            if (document.getElementById(styleInfo.id)) return;
-            const link = document.createElement('link');
-            link.id = styleInfo.id;
-            link.rel = 'stylesheet';
-            link.href = styleInfo.href;
-            document.head.appendChild(link);
-        });
-
-        // Cleanup function is not strictly necessary for this use case,
-        // as the scripts and styles are needed for the app's lifetime.
-    }, []); 
-
-    const handleDataLoaded = (loadedData) => {
-        setData(loadedData);
-        setError(null);
+        const view = decodeViewState(window.location.search);
+        if (view.datasetId !== undefined) openDataset(view.datasetId, view.filters);
+    }, [openDataset]);
+
+    // The URL follows the view, and back and forward step through view changes. A
+    // change that follows the last one within HISTORY_SETTLE_MS, such as the next
+    // keystroke in a range input, replaces its history entry instead of adding one.
+    const lastViewChange = React.useRef(0);
+    React.useEffect(() => {
+        if (!hasData) return;
+        const search = encodeViewState(filters, savedDatasetId);
+        if (search === window.location.search) return;
+        const now = Date.now();
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+        if (now - lastViewChange.current < HISTORY_SETTLE_MS) window.history.replaceState(null, '', url);
+        else window.history.pushState(null, '', url);
+        lastViewChange.current = now;
+    }, [hasData, filters, savedDatasetId]);
+
+    React.useEffect(() => {
+        const handlePopState = () => {
+            const view = decodeViewState(window.location.search);
+            if (view.datasetId !== undefined && view.datasetId !== savedDatasetId) {
+                openDataset(view.datasetId, view.filters);
+            } else {
+                setFilters(view.filters);
+            }
+        };
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, [openDataset, savedDatasetId]);
+
+    const handleSaveDataset = (name) => {
+        saveDataset(name, sources, filters)
+            .then(metadata => setSavedDataset({ metadata, sources }))
+            .catch(err => setError(`Could not save the dataset: ${err.message}`));
+    };
+
+    const handleUpdateDatasetFilters = () => {
+        updateDatasetFilters(savedDatasetId, filters)
+            .then(metadata => setSavedDataset(prev => ({ ...prev, metadata })))
+            .catch(err => setError(`Could not save the filters: ${err.message}`));
+    };
+
+    const handleCurrencySettingsChange = (settings) => {
+        setCurrencySettings(storeCurrencySettings(settings));
+    };
+
+    const handleRemoveSource = (sourceId) => {
+        setSources(prev => prev.filter(source => source.id !== sourceId));
     };
     
     const handleReset = () => {
-        setData(null);
+        setSources([]);
+        setFilters(DEFAULT_FILTERS);
+        setSavedDataset(null);
         setError(null);
+        window.history.pushState(null, '', window.location.pathname);
     };
 
     return (
-        <div className="bg-gray-50 dark:bg-gray-900 min-h-screen font-sans text-gray-900 dark:text-gray-100 p-4 sm:p-6 lg:p-8">
-            <div className="container mx-auto">
-                {error && (
-                    <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6 rounded-md relative" role="alert">
-                        <p className="font-bold">Error</p>
-                        <p>{error}</p>
-                        <button onClick={() => setError(null)} className="absolute top-0 bottom-0 right-0 px-4 py-3">
-                            <X className="w-6 h-6 text-red-500" />
-                        </button>
-                    </div>
-                )}
+        <FormattingContext.Provider value={formatters}>
+            <div className="bg-gray-50 dark:bg-gray-900 min-h-screen font-sans text-gray-900 dark:text-gray-100 p-4 sm:p-6 lg:p-8">
+                <div className="container mx-auto">
+                    {error && (
+                        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6 rounded-md relative" role="alert">
+                            <p className="font-bold">Error</p>
+                            <p>{error}</p>
+                            <button onClick={() => setError(null)} className="absolute top-0 bottom-0 right-0 px-4 py-3">
+                                <X className="w-6 h-6 text-red-500" />
+                            </button>
+                        </div>
+                    )}
 
-                {!data ? (
-                    <div className="flex flex-col items-center justify-center min-h-[calc(100vh-10rem)]">
-                        <div className="text-center mb-8">
-                            <h1 className="text-4xl font-extrabold text-gray-800 dark:text-white mb-2">Subscription Revenue Calculator</h1>
-                            <p className="text-lg text-gray-600 dark:text-gray-400">Upload your campaign data to visualize your acquisition funnel and key metrics.</p>
+                    {!data ? (
+                        <div className="flex flex-col items-center justify-center min-h-[calc(100vh-10rem)]">
+                            <div className="text-center mb-8">
+                                <h1 className="text-4xl font-extrabold text-gray-800 dark:text-white mb-2">Subscription Revenue Calculator</h1>
+                                <p className="text-lg text-gray-600 dark:text-gray-400">Upload your campaign data to visualize your acquisition funnel and key metrics.</p>
+                            </div>
+                            <FileUpload onDataLoaded={handleDataLoaded} setAppError={setError} />
+                            <DatasetLibrary onOpen={openDataset} setAppError={setError} />
                         </div>
-                        <FileUpload onDataLoaded={handleDataLoaded} setAppError={setError} />
-                    </div>
-                ) : (
-                    <Dashboard data={data} onReset={handleReset} />
-                )}
+                    ) : (
+                        <Dashboard
+                            data={data}
+                            sources={sources}
+                            sourceStats={merged.stats}
+                            filters={filters}
+                            setFilters={setFilters}
+                            savedDataset={savedDataset}
+                            onSaveDataset={handleSaveDataset}
+                            onUpdateDatasetFilters={handleUpdateDatasetFilters}
+                            currencySettings={currencySettings}
+                            missingRates={normalized.missingRates}
+                            onCurrencySettingsChange={handleCurrencySettingsChange}
+                            onAddSources={handleDataLoaded}
+                            onRemoveSource={handleRemoveSource}
+                            onReset={handleReset}
+                            setAppError={setError}
+                        />
+                    )}
                 
-                <footer className="text-center mt-12 text-sm text-gray-500 dark:text-gray-400">
-                    <p>Built with React & Tailwind CSS. Deployed on Vercel.</p>
-                </footer>
+                    <footer className="text-center mt-12 text-sm text-gray-500 dark:text-gray-400">
+                        <p>Built with React & Tailwind CSS. Deployed on Vercel.</p>
+                    </footer>
+                </div>
             </div>
-        </div>
+        </FormattingContext.Provider>
     );
 }
 
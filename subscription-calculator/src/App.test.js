@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the upload screen', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: /subscription revenue calculator/i })).toBeInTheDocument();
+  expect(screen.getByText(/drag & drop one or more csv, excel or json files here/i)).toBeInTheDocument();
 });
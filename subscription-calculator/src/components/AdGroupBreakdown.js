@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from 'react';
+import { Bar, BarChart, CartesianGrid, Cell, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { ArrowDown, ArrowUp, Award, TriangleAlert, Users } from 'lucide-react';
+import { Card, useFormatters } from './ui';
+import { METRICS, isMetricDefined } from '../lib/metrics';
+import { summarizeBy } from '../lib/analytics';
+
+const TABLE_COLUMNS = ['Cost', 'Subscription Value', 'Installs', 'Subscriptions', 'cpi', 'installRate', 'trialCost', 'cac', 'valueCostRatio', 'roi'];
+const RANKABLE_METRICS = ['roi', 'valueCostRatio', 'cac', 'cpi', 'trialCost', 'installRate'];
+
+// Orders groups from best to worst on a metric, leaving out groups where the metric is undefined.
+const rankGroups = (groups, metric) => {
+    const direction = METRICS[metric].higherIsBetter ? -1 : 1;
+    return groups
+        .filter(group => isMetricDefined(group, metric))
+        .sort((a, b) => direction * (a[metric] - b[metric]));
+};
+
+const AdGroupBreakdown = ({ data, selectedAdGroup, onSelectAdGroup }) => {
+    const { formatMetric } = useFormatters();
+    const [sort, setSort] = useState({ column: 'Cost', direction: 'desc' });
+    const [rankMetric, setRankMetric] = useState('roi');
+
+    const groups = useMemo(() => summarizeBy(data, row => row['Ad Group']), [data]);
+    const ranking = useMemo(() => rankGroups(groups, rankMetric), [groups, rankMetric]);
+
+    const sortedGroups = useMemo(() => {
+        const factor = sort.direction === 'asc' ? 1 : -1;
+        return [...groups].sort((a, b) => {
+            const left = sort.column === 'key' ? String(a.key) : a[sort.column];
+            const right = sort.column === 'key' ? String(b.key) : b[sort.column];
+            return factor * (left < right ? -1 : left > right ? 1 : 0);
+        });
+    }, [groups, sort]);
+
+    const best = ranking.length > 1 ? ranking[0].key : null;
+    const worst = ranking.length > 1 ? ranking[ranking.length - 1].key : null;
+
+    const toggleSort = (column) => {
+        setSort(prev => ({
+            column,
+            direction: prev.column === column && prev.direction === 'desc' ? 'asc' : 'desc'
+        }));
+    };
+
+    const rowClassName = (key) => {
+        if (key === best) return 'bg-green-50 dark:bg-green-900/20';
+        if (key === worst) return 'bg-red-50 dark:bg-red-900/20';
+        return 'hover:bg-gray-50 dark:hover:bg-gray-700/50';
+    };
+
+    const headerCell = (column, label) => (
+        <th key={column} onClick={() => toggleSort(column)} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider cursor-pointer select-none whitespace-nowrap">
+            <span className="inline-flex items-center gap-1">
+                {label}
+                {sort.column === column && (sort.direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+            </span>
+        </th>
+    );
+
+    return (
+        <Card>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                    <Users className="w-5 h-5" /> Ad Group Breakdown
+                </h2>
+                <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                    <span>Rank by</span>
+                    <select
+                        value={rankMetric}
+                        onChange={(e) => setRankMetric(e.target.value)}
+                        className="p-2 border border-gray-300 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                        {RANKABLE_METRICS.map(metric => <option key={metric} value={metric}>{METRICS[metric].label}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            {best !== null && (
+                <div className="flex flex-wrap gap-4 mb-4 text-sm">
+                    <span className="inline-flex items-center gap-1 text-green-700 dark:text-green-300">
+                        <Award className="w-4 h-4" /> Best {METRICS[rankMetric].label}: <strong>{best}</strong> ({formatMetric(ranking[0][rankMetric], METRICS[rankMetric].kind)})
+                    </span>
+                    <span className="inline-flex items-center gap-1 text-red-700 dark:text-red-300">
+                        <TriangleAlert className="w-4 h-4" /> Worst: <strong>{worst}</strong> ({formatMetric(ranking[ranking.length - 1][rankMetric], METRICS[rankMetric].kind)})
+                    </span>
+                </div>
+            )}
+
+            <ResponsiveContainer width="100%" height={Math.max(200, ranking.length * 36)}>
+                <BarChart data={ranking} layout="vertical" margin={{ left: 20, right: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" tickFormatter={(value) => formatMetric(value, METRICS[rankMetric].kind)} />
+                    <YAxis type="category" dataKey="key" width={140} />
+                    <Tooltip formatter={(value) => [formatMetric(value, METRICS[rankMetric].kind), METRICS[rankMetric].label]} />
+                    <Bar dataKey={rankMetric} onClick={(entry) => onSelectAdGroup(entry.key)} cursor="pointer">
+                        {ranking.map(group => (
+                            <Cell key={group.key} fill={group.key === best ? '#22c55e' : group.key === worst ? '#ef4444' : '#8884d8'} />
+                        ))}
+                    </Bar>
+                </BarChart>
+            </ResponsiveContainer>
+
+            <div className="overflow-x-auto mt-6">
+                <table className="w-full text-left">
+                    <thead className="bg-gray-50 dark:bg-gray-700">
+                        <tr>
+                            {headerCell('key', 'Ad Group')}
+                            {TABLE_COLUMNS.map(column => headerCell(column, METRICS[column].label))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                        {sortedGroups.map(group => (
+                            <tr
+                                key={group.key}
+                                onClick={() => onSelectAdGroup(group.key)}
+                                className={`cursor-pointer ${rowClassName(group.key)} ${group.key === selectedAdGroup ? 'ring-2 ring-inset ring-blue-500' : ''}`}
+                            >
+                                <td className="p-3 text-sm font-semibold text-gray-800 dark:text-gray-200 whitespace-nowrap">{group.key}</td>
+                                {TABLE_COLUMNS.map(column => (
+                                    <td key={column} className="p-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                                        {isMetricDefined(group, column) ? formatMetric(group[column], METRICS[column].kind) : '—'}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </Card>
+    );
+};
+
+export default AdGroupBreakdown;
@@ -0,0 +1,131 @@
+import React, { useMemo, useState } from 'react';
+import { format } from 'date-fns';
+import { AlertTriangle, BellRing, CheckCircle2, ExternalLink, SlidersHorizontal } from 'lucide-react';
+import { Button, Card, NumberField, inputClassName, useFormatters } from './ui';
+import { METRICS } from '../lib/metrics';
+import { ALERT_METRICS, BASELINE_WINDOWS, DEFAULT_ALERT_SETTINGS, detectAnomalies, loadAlertSettings, storeAlertSettings } from '../lib/alerts';
+
+const VISIBLE_ALERTS = 8;
+
+const SEVERITY_STYLES = {
+    critical: 'text-red-500',
+    warning: 'text-amber-500',
+};
+
+const describeAlert = (alert, window, formatMetric) => {
+    const { kind, label } = METRICS[alert.metric];
+    if (alert.type === 'noInstalls') return `Spent ${formatMetric(alert.value, kind)} with no installs`;
+    const direction = alert.type === 'spike' ? 'rose' : 'fell';
+    return `${label} ${direction} ${Math.round(alert.change * 100)}% to ${formatMetric(alert.value, kind)} against a ${window}-day baseline of ${formatMetric(alert.baseline, kind)}`;
+};
+
+// Flags days where a metric moved sharply against its trailing baseline. Each
+// alert opens the dashboard on that day and ad group, compared with the baseline.
+const AlertsPanel = ({ data, viewHref, onOpenView }) => {
+    const { formatMetric } = useFormatters();
+    const [settings, setSettings] = useState(loadAlertSettings);
+    const [showSettings, setShowSettings] = useState(false);
+    const [showAll, setShowAll] = useState(false);
+
+    const alerts = useMemo(() => detectAnomalies(data, settings), [data, settings]);
+    const visible = showAll ? alerts : alerts.slice(0, VISIBLE_ALERTS);
+    const criticalCount = alerts.filter(alert => alert.severity === 'critical').length;
+
+    const update = (changes) => setSettings(storeAlertSettings({ ...settings, ...changes }));
+    const setThreshold = (metric, value) => update({ thresholds: { ...settings.thresholds, [metric]: Math.max(value, 0) } });
+
+    const openAlert = (e, alert) => {
+        // Plain clicks stay in the app; modified clicks open the link in a new tab.
+        if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+        onOpenView(alert.view);
+    };
+
+    return (
+        <Card>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                    <BellRing className="w-5 h-5" /> Alerts
+                    {alerts.length > 0 && (
+                        <span className="text-sm font-normal text-gray-500 dark:text-gray-400">
+                            {alerts.length} found{criticalCount > 0 && `, ${criticalCount} critical`}
+                        </span>
+                    )}
+                </h2>
+                <Button onClick={() => setShowSettings(!showSettings)} variant="secondary">
+                    <SlidersHorizontal className="w-4 h-4" /> Thresholds
+                </Button>
+            </div>
+
+            {showSettings && (
+                <div className="mb-6 p-4 rounded-lg bg-gray-50 dark:bg-gray-900/40 space-y-4">
+                    <div className="flex flex-wrap items-end gap-4">
+                        <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                            <span>Baseline</span>
+                            <select value={settings.window} onChange={(e) => update({ window: Number(e.target.value) })} className={inputClassName}>
+                                {BASELINE_WINDOWS.map(days => <option key={days} value={days}>Trailing {days} days</option>)}
+                            </select>
+                        </label>
+                        <NumberField
+                            label="Minimum daily volume"
+                            value={settings.minVolume}
+                            min={0}
+                            onChange={(value) => update({ minVolume: Math.max(value, 0) })}
+                            className="w-48"
+                        />
+                        <Button onClick={() => update(DEFAULT_ALERT_SETTINGS)} variant="secondary">Reset</Button>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                        {ALERT_METRICS.map(metric => (
+                            <NumberField
+                                key={metric}
+                                label={`${METRICS[metric].label} ${METRICS[metric].higherIsBetter ? 'falls' : 'rises'} by`}
+                                value={settings.thresholds[metric]}
+                                min={0}
+                                step={10}
+                                suffix="%"
+                                onChange={(value) => setThreshold(metric, value)}
+                            />
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        A threshold of 0 turns the metric off. Days whose base count (installs for CPI, trials for Trial to Paid %, ...) is below the minimum volume are skipped. Spend with no installs is always flagged.
+                    </p>
+                </div>
+            )}
+
+            {alerts.length === 0 ? (
+                <p className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                    <CheckCircle2 className="w-4 h-4 text-green-500" /> No anomalies against the trailing {settings.window}-day baseline.
+                </p>
+            ) : (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {visible.map(alert => (
+                        <li key={alert.id} className="flex items-center gap-3 py-2">
+                            <AlertTriangle className={`w-4 h-4 shrink-0 ${SEVERITY_STYLES[alert.severity]}`} />
+                            <div className="flex-1 min-w-0">
+                                <p className="text-sm text-gray-800 dark:text-gray-200">{describeAlert(alert, settings.window, formatMetric)}</p>
+                                <p className="text-xs text-gray-500 dark:text-gray-400">{format(alert.date, 'EEE, MMM dd, yyyy')} · {alert.scope}</p>
+                            </div>
+                            <a
+                                href={viewHref(alert.view)}
+                                onClick={(e) => openAlert(e, alert)}
+                                className="flex items-center gap-1 text-sm font-semibold text-blue-600 dark:text-blue-400 hover:underline"
+                            >
+                                View <ExternalLink className="w-3 h-3" />
+                            </a>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {alerts.length > VISIBLE_ALERTS && (
+                <button onClick={() => setShowAll(!showAll)} className="mt-3 text-sm font-semibold text-blue-600 dark:text-blue-400 hover:underline">
+                    {showAll ? 'Show fewer' : `Show all ${alerts.length} alerts`}
+                </button>
+            )}
+        </Card>
+    );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,131 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronDown, Tag, X } from 'lucide-react';
+import { Button, inputClassName, useFormatters } from './ui';
+import { BLANK_LABEL, dimensionValues } from '../lib/dimensions';
+
+const popoverClassName = 'absolute z-10 mt-2 w-64 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg';
+
+const selectionLabel = (selected) => {
+    if (selected.length === 0) return 'All';
+    if (selected.length <= 2) return selected.map(value => value || BLANK_LABEL).join(', ');
+    return `${selected.length} selected`;
+};
+
+const withoutKey = (object, key) => Object.fromEntries(Object.entries(object).filter(([k]) => k !== key));
+
+// An empty box clears the bound.
+const parseBound = (text) => (text.trim() === '' || !Number.isFinite(Number(text)) ? null : Number(text));
+
+const DimensionSelect = ({ column, values, selected, open, onToggle, onChange }) => {
+    const { formatNumber } = useFormatters();
+    const toggleValue = (value) => onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+
+    return (
+        <div className="relative">
+            <Button onClick={onToggle} variant="secondary">
+                <Tag className="w-4 h-4" /> {column}: {selectionLabel(selected)} <ChevronDown className="w-4 h-4" />
+            </Button>
+            {open && (
+                <div className={popoverClassName}>
+                    <div className="max-h-64 overflow-y-auto p-3">
+                        {values.map(({ value, count }) => (
+                            <label key={value} className="flex items-center gap-2 py-1 text-sm text-gray-700 dark:text-gray-300">
+                                <input type="checkbox" checked={selected.includes(value)} onChange={() => toggleValue(value)} />
+                                <span className="flex-1 truncate">{value || BLANK_LABEL}</span>
+                                <span className="text-xs text-gray-500 dark:text-gray-400">{formatNumber(count)}</span>
+                            </label>
+                        ))}
+                    </div>
+                    <div className="flex gap-2 p-2 border-t border-gray-200 dark:border-gray-700">
+                        <Button onClick={() => onChange([])} variant="secondary" className="flex-1">All</Button>
+                        <Button onClick={onToggle} className="flex-1">Done</Button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Multi-select filters for the dimension columns and min/max filters for the
+// numeric ones. Columns that are filtered but missing from the data still get a
+// control, so a filter from a link or preset can always be cleared.
+const ColumnFilters = ({ data, dimensions, numericColumns, filters, setFilters }) => {
+    const [openColumn, setOpenColumn] = useState(null);
+
+    const columns = [...new Set([...dimensions, ...Object.keys(filters.dimensions)])];
+    const valuesByColumn = useMemo(
+        () => Object.fromEntries(dimensions.map(column => [column, dimensionValues(data, column)])),
+        [data, dimensions]
+    );
+
+    const setDimension = (column, values) => {
+        setFilters(prev => ({
+            ...prev,
+            dimensions: values.length > 0 ? { ...prev.dimensions, [column]: values } : withoutKey(prev.dimensions, column),
+        }));
+    };
+
+    const setRange = (column, changes) => {
+        setFilters(prev => ({ ...prev, ranges: { ...prev.ranges, [column]: { ...prev.ranges[column], ...changes } } }));
+    };
+
+    const removeRange = (column) => {
+        setFilters(prev => ({ ...prev, ranges: withoutKey(prev.ranges, column) }));
+    };
+
+    const unusedNumericColumns = numericColumns.filter(column => !filters.ranges[column]);
+
+    return (
+        <div className="flex flex-wrap items-center gap-4">
+            {columns.map(column => (
+                <DimensionSelect
+                    key={column}
+                    column={column}
+                    values={valuesByColumn[column] || (filters.dimensions[column] || []).map(value => ({ value, count: 0 }))}
+                    selected={filters.dimensions[column] || []}
+                    open={openColumn === column}
+                    onToggle={() => setOpenColumn(openColumn === column ? null : column)}
+                    onChange={(values) => setDimension(column, values)}
+                />
+            ))}
+            {Object.entries(filters.ranges).map(([column, range]) => (
+                <div key={column} className="flex items-center gap-2">
+                    <span className="text-sm font-semibold text-gray-600 dark:text-gray-300">{column}</span>
+                    <input
+                        type="number"
+                        value={range.min ?? ''}
+                        onChange={(e) => setRange(column, { min: parseBound(e.target.value) })}
+                        placeholder="Min"
+                        aria-label={`${column} minimum`}
+                        className={`${inputClassName} w-24`}
+                    />
+                    <span className="text-gray-500">–</span>
+                    <input
+                        type="number"
+                        value={range.max ?? ''}
+                        onChange={(e) => setRange(column, { max: parseBound(e.target.value) })}
+                        placeholder="Max"
+                        aria-label={`${column} maximum`}
+                        className={`${inputClassName} w-24`}
+                    />
+                    <button onClick={() => removeRange(column)} className="p-1 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200" title="Remove range filter">
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            ))}
+            {unusedNumericColumns.length > 0 && (
+                <select
+                    value=""
+                    onChange={(e) => setRange(e.target.value, { min: null, max: null })}
+                    className={inputClassName}
+                    aria-label="Add range filter"
+                >
+                    <option value="">Add range filter…</option>
+                    {unusedNumericColumns.map(column => <option key={column} value={column}>{column}</option>)}
+                </select>
+            )}
+        </div>
+    );
+};
+
+export default ColumnFilters;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { Columns3, Save, Trash2, X } from 'lucide-react';
+import { Button, Card, inputClassName } from './ui';
+import {
+    IGNORE_MAPPING, NON_IGNORABLE_COLUMNS, OPTIONAL_COLUMNS, REQUIRED_COLUMNS, UNMAPPED,
+    adaptMapping, columnMapping, constantMapping, deletePreset, loadPresets, savePreset, suggestMapping, unmappedColumns
+} from '../lib/columnMapping';
+
+const CONSTANT_OPTION = '__constant__';
+const IGNORE_OPTION = '__ignore__';
+const UNMAPPED_OPTION = '__unmapped__';
+
+const optionValue = (entry) => {
+    if (entry.type === 'column') return entry.column;
+    if (entry.type === 'constant') return CONSTANT_OPTION;
+    if (entry.type === 'ignore') return IGNORE_OPTION;
+    return UNMAPPED_OPTION;
+};
+
+const previewValue = (rows, entry) => {
+    if (entry.type === 'column') return rows.slice(0, 3).map(row => row[entry.column]).join(', ');
+    if (entry.type === 'constant') return entry.value;
+    return '';
+};
+
+// Lets the user match a file's headers to the required columns before import.
+const ColumnMappingWizard = ({ fileName, headers, rows, onConfirm, onCancel }) => {
+    const [mapping, setMapping] = useState(() => suggestMapping(headers));
+    const [presets, setPresets] = useState(loadPresets);
+    const [presetName, setPresetName] = useState('');
+
+    const missing = unmappedColumns(mapping);
+
+    const handleSelect = (column, value) => {
+        let entry = columnMapping(value);
+        if (value === CONSTANT_OPTION) entry = constantMapping();
+        if (value === IGNORE_OPTION) entry = IGNORE_MAPPING;
+        if (value === UNMAPPED_OPTION) entry = UNMAPPED;
+        setMapping(prev => ({ ...prev, [column]: entry }));
+    };
+
+    const handleConstantChange = (column, value) => {
+        setMapping(prev => ({ ...prev, [column]: constantMapping(value) }));
+    };
+
+    const handleApplyPreset = (name) => {
+        if (presets[name]) setMapping(adaptMapping(presets[name], headers));
+    };
+
+    const handleSavePreset = () => {
+        const name = presetName.trim();
+        if (!name) return;
+        setPresets(savePreset(name, mapping));
+        setPresetName('');
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+            <Card className="w-full max-w-3xl max-h-[90vh] overflow-y-auto text-left">
+                <div className="flex items-start justify-between mb-4">
+                    <div>
+                        <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                            <Columns3 className="w-5 h-5" /> Map Columns
+                        </h2>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            <span className="font-semibold">{fileName}</span> does not use the expected headers. Match each required column to one from the file.
+                        </p>
+                    </div>
+                    <button onClick={onCancel} className="p-1 text-gray-500 hover:text-gray-800 dark:hover:text-white" title="Skip this file">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="flex flex-wrap items-end gap-2 mb-4">
+                    {Object.keys(presets).length > 0 && (
+                        <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                            <span>Apply preset</span>
+                            <select defaultValue="" onChange={(e) => handleApplyPreset(e.target.value)} className={inputClassName}>
+                                <option value="" disabled>Choose a preset...</option>
+                                {Object.keys(presets).map(name => <option key={name} value={name}>{name}</option>)}
+                            </select>
+                        </label>
+                    )}
+                    <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300 flex-1 min-w-[10rem]">
+                        <span>Save as preset</span>
+                        <input value={presetName} onChange={(e) => setPresetName(e.target.value)} placeholder="e.g. Meta Ads" className={inputClassName} />
+                    </label>
+                    <Button onClick={handleSavePreset} variant="secondary"><Save className="w-4 h-4" /> Save</Button>
+                </div>
+
+                <table className="w-full text-left mb-4">
+                    <thead className="bg-gray-50 dark:bg-gray-700">
+                        <tr>
+                            {['Required column', 'Source', 'Preview'].map(col => (
+                                <th key={col} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider">{col}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                        {[...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].map(column => {
+                            const entry = mapping[column];
+                            const optional = OPTIONAL_COLUMNS.includes(column);
+                            return (
+                                <tr key={column} className={entry.type === 'unmapped' ? 'bg-amber-50 dark:bg-amber-900/20' : ''}>
+                                    <td className="p-3 text-sm font-semibold text-gray-800 dark:text-gray-200 whitespace-nowrap">
+                                        {column}
+                                        {optional && <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">(optional)</span>}
+                                    </td>
+                                    <td className="p-3 text-sm">
+                                        <div className="flex gap-2">
+                                            <select value={optionValue(entry)} onChange={(e) => handleSelect(column, e.target.value)} className={inputClassName}>
+                                                <option value={UNMAPPED_OPTION} disabled>Choose a column...</option>
+                                                {headers.map(header => <option key={header} value={header}>{header}</option>)}
+                                                <option value={CONSTANT_OPTION}>Fill with a constant</option>
+                                                {!NON_IGNORABLE_COLUMNS.includes(column) && <option value={IGNORE_OPTION}>{optional ? 'Not in this file' : 'Ignore (leave empty)'}</option>}
+                                            </select>
+                                            {entry.type === 'constant' && (
+                                                <input value={entry.value} onChange={(e) => handleConstantChange(column, e.target.value)} placeholder={optional ? 'e.g. EUR' : 'Value'} className={`${inputClassName} w-32`} />
+                                            )}
+                                        </div>
+                                    </td>
+                                    <td className="p-3 text-sm text-gray-500 dark:text-gray-400 truncate max-w-[12rem]">{previewValue(rows, entry)}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+
+                {Object.keys(presets).length > 0 && (
+                    <div className="flex flex-wrap gap-2 mb-4 text-xs">
+                        {Object.keys(presets).map(name => (
+                            <span key={name} className="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200">
+                                {name}
+                                <button onClick={() => setPresets(deletePreset(name))} title="Delete preset"><Trash2 className="w-3 h-3" /></button>
+                            </span>
+                        ))}
+                    </div>
+                )}
+
+                <div className="flex items-center justify-between gap-4">
+                    <p className="text-sm text-amber-600 dark:text-amber-400">
+                        {missing.length > 0 && `Still to map: ${missing.join(', ')}`}
+                    </p>
+                    <div className="flex gap-2">
+                        <Button onClick={onCancel} variant="secondary">Skip File</Button>
+                        <Button onClick={() => missing.length === 0 && onConfirm(mapping)} className={missing.length > 0 ? 'opacity-50 cursor-not-allowed' : ''}>Import</Button>
+                    </div>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import { Check, Link } from 'lucide-react';
+import { Button } from './ui';
+
+// Copies the current URL, which carries the dashboard view, to the clipboard. A
+// saved dataset is named in it by its library id, which only means something in
+// the browser it was saved in: a link shared elsewhere restores the filters only.
+const CopyLinkButton = ({ includesDataset }) => {
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        if (!copied) return undefined;
+        const timer = setTimeout(() => setCopied(false), 2000);
+        return () => clearTimeout(timer);
+    }, [copied]);
+
+    const handleCopy = () => {
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(window.location.href).then(() => setCopied(true), () => {});
+    };
+
+    const title = includesDataset
+        ? 'Copy a link to this view. The dataset opens from the library in this browser only; elsewhere the link restores the filters, not the data.'
+        : 'Copy a link to these filters. Whoever opens it loads the data themselves.';
+
+    return (
+        <span title={title}>
+            <Button onClick={handleCopy} variant="secondary">
+                {copied ? <Check className="w-4 h-4" /> : <Link className="w-4 h-4" />} {copied ? 'Copied' : 'Copy Link'}
+            </Button>
+        </span>
+    );
+};
+
+export default CopyLinkButton;
@@ -0,0 +1,156 @@
+import React, { useRef, useState } from 'react';
+import { ChevronDown, ChevronUp, Coins, Plus, Trash2, Upload } from 'lucide-react';
+import Papa from 'papaparse';
+import { Button, Card, inputClassName } from './ui';
+import { LOCALES, isCurrencyCode, normalizeCurrencyCode, ratesFromRows } from '../lib/currency';
+
+// Reporting currency, display locale and the exchange-rate table used to
+// normalise imported rows.
+const CurrencySettings = ({ settings, onChange, missingRates, setAppError }) => {
+    const [expanded, setExpanded] = useState(missingRates.length > 0);
+    const [newCode, setNewCode] = useState('');
+    // Rate inputs are uncontrolled so partial edits survive; an import remounts them.
+    const [importCount, setImportCount] = useState(0);
+    const fileInput = useRef(null);
+
+    const currencies = Object.keys(settings.rates).sort();
+
+    const update = (changes) => onChange({ ...settings, ...changes });
+
+    const handleRateChange = (code, value) => {
+        const rate = parseFloat(value);
+        if (rate > 0) update({ rates: { ...settings.rates, [code]: rate } });
+    };
+
+    const handleAddCurrency = () => {
+        const code = normalizeCurrencyCode(newCode);
+        if (!isCurrencyCode(code) || settings.rates[code]) return;
+        update({ rates: { ...settings.rates, [code]: 1 } });
+        setNewCode('');
+    };
+
+    const handleRemoveCurrency = (code) => {
+        const rates = { ...settings.rates };
+        delete rates[code];
+        update({ rates });
+    };
+
+    const handleImportRates = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        Papa.parse(file, {
+            header: true,
+            skipEmptyLines: true,
+            complete: (results) => {
+                const imported = ratesFromRows(results.data);
+                if (Object.keys(imported).length === 0) {
+                    setAppError(`${file.name} has no valid rates. Expected "Currency" and "Rate" columns.`);
+                    return;
+                }
+                update({ rates: { ...settings.rates, ...imported } });
+                setImportCount(count => count + 1);
+            },
+            error: (err) => setAppError(`Error reading ${file.name}: ${err.message}`),
+        });
+    };
+
+    return (
+        <Card>
+            <button onClick={() => setExpanded(!expanded)} className="w-full flex items-center justify-between text-left">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                    <Coins className="w-5 h-5" /> Currency
+                    <span className="text-sm font-normal text-gray-500 dark:text-gray-400">
+                        Reporting in {settings.reportingCurrency} · {LOCALES[settings.locale] || settings.locale}
+                    </span>
+                </h2>
+                {expanded ? <ChevronUp className="w-5 h-5 text-gray-500" /> : <ChevronDown className="w-5 h-5 text-gray-500" />}
+            </button>
+
+            {missingRates.length > 0 && (
+                <p className="mt-4 p-3 text-sm rounded-lg bg-amber-50 dark:bg-amber-900/20 text-amber-800 dark:text-amber-200">
+                    No exchange rate for {missingRates.join(', ')}. Rows in {missingRates.length === 1 ? 'this currency are' : 'these currencies are'} shown unconverted until a rate is added.
+                </p>
+            )}
+
+            {expanded && (
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mt-4">
+                    <div className="space-y-4">
+                        <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                            <span>Reporting currency</span>
+                            <select value={settings.reportingCurrency} onChange={(e) => update({ reportingCurrency: e.target.value })} className={inputClassName}>
+                                {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                            <span>Rows without a currency are in</span>
+                            <select value={settings.defaultDataCurrency} onChange={(e) => update({ defaultDataCurrency: e.target.value })} className={inputClassName}>
+                                {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                            <span>Number format</span>
+                            <select value={settings.locale} onChange={(e) => update({ locale: e.target.value })} className={inputClassName}>
+                                {Object.entries(LOCALES).map(([locale, label]) => <option key={locale} value={locale}>{label}</option>)}
+                            </select>
+                        </label>
+                    </div>
+
+                    <div className="lg:col-span-2">
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-left">
+                                <thead className="bg-gray-50 dark:bg-gray-700">
+                                    <tr>
+                                        {['Currency', 'Value of 1 unit in USD', ''].map(col => (
+                                            <th key={col} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider">{col}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                                    {currencies.map(code => {
+                                        const inUse = code === 'USD' || code === settings.reportingCurrency || code === settings.defaultDataCurrency;
+                                        return (
+                                            <tr key={code}>
+                                                <td className="p-3 text-sm font-semibold text-gray-800 dark:text-gray-200">{code}</td>
+                                                <td className="p-3 text-sm">
+                                                    <input
+                                                        key={importCount}
+                                                        type="number"
+                                                        min={0}
+                                                        step="any"
+                                                        defaultValue={settings.rates[code]}
+                                                        disabled={code === 'USD'}
+                                                        onChange={(e) => handleRateChange(code, e.target.value)}
+                                                        className={`${inputClassName} w-32`}
+                                                    />
+                                                </td>
+                                                <td className="p-3 text-sm text-right">
+                                                    {!inUse && (
+                                                        <button onClick={() => handleRemoveCurrency(code)} title="Remove currency" className="text-gray-400 hover:text-red-500">
+                                                            <Trash2 className="w-4 h-4" />
+                                                        </button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="flex flex-wrap items-end gap-2 mt-4">
+                            <input value={newCode} onChange={(e) => setNewCode(e.target.value)} placeholder="Code, e.g. CAD" maxLength={3} className={`${inputClassName} w-36`} />
+                            <Button onClick={handleAddCurrency} variant="secondary"><Plus className="w-4 h-4" /> Add Currency</Button>
+                            <Button onClick={() => fileInput.current.click()} variant="secondary"><Upload className="w-4 h-4" /> Import Rates CSV</Button>
+                            <input ref={fileInput} type="file" accept=".csv" onChange={handleImportRates} className="hidden" />
+                        </div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                            A rates file needs "Currency" and "Rate" columns, with each rate given as the value of one unit in USD.
+                        </p>
+                    </div>
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default CurrencySettings;
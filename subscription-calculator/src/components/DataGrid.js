@@ -0,0 +1,189 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowDown, ArrowUp, ChevronLeft, ChevronRight, Columns3, Search, X } from 'lucide-react';
+import { format, isValid } from 'date-fns';
+import { Button, Card, inputClassName, useFormatters } from './ui';
+import { METRICS } from '../lib/metrics';
+import { summarize } from '../lib/analytics';
+import { REQUIRED_COLUMNS } from '../lib/columnMapping';
+import { MONEY_COLUMNS } from '../lib/currency';
+
+const DERIVED_COLUMNS = ['cpi', 'installRate', 'installToTrialRate', 'trialToPaidRate', 'overallConversion', 'cac', 'roi'];
+const DEFAULT_VISIBLE = [...REQUIRED_COLUMNS, 'cpi', 'cac', 'roi'];
+const PAGE_SIZES = [25, 50, 100, 250];
+const HIDDEN_FIELDS = ['id'];
+
+const columnLabel = (column) => (METRICS[column] && DERIVED_COLUMNS.includes(column) ? METRICS[column].label : column);
+
+const formatCell = (row, column, { formatCurrency, formatMetric, locale }) => {
+    const value = row[column];
+    if (DERIVED_COLUMNS.includes(column)) return formatMetric(value, METRICS[column].kind);
+    if (value instanceof Date) return isValid(value) ? format(value, 'yyyy-MM-dd') : '—';
+    if (typeof value === 'number') return MONEY_COLUMNS.includes(column) ? formatCurrency(value) : value.toLocaleString(locale);
+    return value ?? '';
+};
+
+const compareValues = (a, b) => {
+    if (a instanceof Date || b instanceof Date) return (a?.getTime() || 0) - (b?.getTime() || 0);
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true });
+};
+
+const RowDetails = ({ row, columns, onClose }) => {
+    const formatters = useFormatters();
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <Card className="w-full max-w-2xl max-h-[90vh] overflow-y-auto text-left">
+                <div onClick={(e) => e.stopPropagation()}>
+                    <div className="flex items-start justify-between mb-4">
+                        <h2 className="text-xl font-semibold text-gray-800 dark:text-white">{row['Ad Group']}</h2>
+                        <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-800 dark:hover:text-white" title="Close">
+                            <X className="w-5 h-5" />
+                        </button>
+                    </div>
+                    <dl className="grid grid-cols-2 gap-x-6 gap-y-2">
+                        {columns.map(column => (
+                            <React.Fragment key={column}>
+                                <dt className="text-sm text-gray-500 dark:text-gray-400">{columnLabel(column)}</dt>
+                                <dd className="text-sm font-semibold text-gray-800 dark:text-gray-200">{formatCell(row, column, formatters)}</dd>
+                            </React.Fragment>
+                        ))}
+                    </dl>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+// Sortable, searchable and paginated view of the filtered rows, including
+// per-row derived metrics.
+const DataGrid = ({ data }) => {
+    const formatters = useFormatters();
+    const [search, setSearch] = useState('');
+    const [sort, setSort] = useState({ column: 'Start Date', direction: 'asc' });
+    const [page, setPage] = useState(0);
+    const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+    const [visibleColumns, setVisibleColumns] = useState(DEFAULT_VISIBLE);
+    const [showColumnPicker, setShowColumnPicker] = useState(false);
+    const [selectedRow, setSelectedRow] = useState(null);
+
+    const rows = useMemo(() => data.map(row => {
+        const { cpi, installRate, installToTrialRate, trialToPaidRate, overallConversion, cac, roi } = summarize([row]);
+        return { ...row, cpi, installRate, installToTrialRate, trialToPaidRate, overallConversion, cac, roi };
+    }), [data]);
+
+    const extraColumns = useMemo(() => {
+        const columns = new Set();
+        data.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+        return [...columns].filter(column => !REQUIRED_COLUMNS.includes(column) && !HIDDEN_FIELDS.includes(column));
+    }, [data]);
+    const allColumns = [...REQUIRED_COLUMNS, ...extraColumns, ...DERIVED_COLUMNS];
+    const columns = allColumns.filter(column => visibleColumns.includes(column));
+
+    const searchedRows = useMemo(() => {
+        const query = search.trim().toLowerCase();
+        if (!query) return rows;
+        return rows.filter(row => Object.entries(row).some(([key, value]) => {
+            if (HIDDEN_FIELDS.includes(key) || typeof value === 'number') return false;
+            const text = value instanceof Date ? (isValid(value) ? format(value, 'yyyy-MM-dd') : '') : String(value ?? '');
+            return text.toLowerCase().includes(query);
+        }));
+    }, [rows, search]);
+
+    const sortedRows = useMemo(() => {
+        const factor = sort.direction === 'asc' ? 1 : -1;
+        return [...searchedRows].sort((a, b) => factor * compareValues(a[sort.column], b[sort.column]));
+    }, [searchedRows, sort]);
+
+    const pageCount = Math.max(1, Math.ceil(sortedRows.length / pageSize));
+    const currentPage = Math.min(page, pageCount - 1);
+    const pageRows = sortedRows.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+    const toggleSort = (column) => {
+        setSort(prev => ({ column, direction: prev.column === column && prev.direction === 'asc' ? 'desc' : 'asc' }));
+    };
+
+    const toggleColumn = (column) => {
+        setVisibleColumns(prev => (prev.includes(column) ? prev.filter(c => c !== column) : [...prev, column]));
+    };
+
+    return (
+        <Card>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 className="text-xl font-semibold text-gray-800 dark:text-white">Detailed Data</h2>
+                <div className="flex flex-wrap items-center gap-2">
+                    <div className="relative">
+                        <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                        <input
+                            value={search}
+                            onChange={(e) => { setSearch(e.target.value); setPage(0); }}
+                            placeholder="Search rows..."
+                            className={`${inputClassName} pl-9`}
+                        />
+                    </div>
+                    <div className="relative">
+                        <Button onClick={() => setShowColumnPicker(!showColumnPicker)} variant="secondary">
+                            <Columns3 className="w-4 h-4" /> Columns
+                        </Button>
+                        {showColumnPicker && (
+                            <div className="absolute right-0 z-10 mt-2 w-64 max-h-80 overflow-y-auto p-3 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+                                {allColumns.map(column => (
+                                    <label key={column} className="flex items-center gap-2 py-1 text-sm text-gray-700 dark:text-gray-300">
+                                        <input type="checkbox" checked={visibleColumns.includes(column)} onChange={() => toggleColumn(column)} />
+                                        {columnLabel(column)}
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-left">
+                    <thead className="bg-gray-50 dark:bg-gray-700">
+                        <tr>
+                            {columns.map(column => (
+                                <th key={column} onClick={() => toggleSort(column)} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider cursor-pointer select-none whitespace-nowrap">
+                                    <span className="inline-flex items-center gap-1">
+                                        {columnLabel(column)}
+                                        {sort.column === column && (sort.direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+                                    </span>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                        {pageRows.map(row => (
+                            <tr key={row.id} onClick={() => setSelectedRow(row)} className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                                {columns.map(column => (
+                                    <td key={column} className="p-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                                        {formatCell(row, column, formatters)}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {pageRows.length === 0 && <p className="text-center py-8 text-sm text-gray-500">No rows match the current search.</p>}
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-4 mt-4 text-sm text-gray-600 dark:text-gray-300">
+                <span>
+                    {sortedRows.length === 0 ? 0 : currentPage * pageSize + 1}–{Math.min((currentPage + 1) * pageSize, sortedRows.length)} of {formatters.formatNumber(sortedRows.length)} rows
+                </span>
+                <div className="flex items-center gap-2">
+                    <select value={pageSize} onChange={(e) => { setPageSize(Number(e.target.value)); setPage(0); }} className={inputClassName}>
+                        {PAGE_SIZES.map(size => <option key={size} value={size}>{size} / page</option>)}
+                    </select>
+                    <Button onClick={() => setPage(Math.max(currentPage - 1, 0))} variant="secondary" className="px-2"><ChevronLeft className="w-4 h-4" /></Button>
+                    <span>Page {currentPage + 1} of {pageCount}</span>
+                    <Button onClick={() => setPage(Math.min(currentPage + 1, pageCount - 1))} variant="secondary" className="px-2"><ChevronRight className="w-4 h-4" /></Button>
+                </div>
+            </div>
+
+            {selectedRow && <RowDetails row={selectedRow} columns={allColumns} onClose={() => setSelectedRow(null)} />}
+        </Card>
+    );
+};
+
+export default DataGrid;
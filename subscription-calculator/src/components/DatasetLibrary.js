@@ -0,0 +1,92 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Database, FolderOpen, Trash2 } from 'lucide-react';
+import { format } from 'date-fns';
+import { Button, Card, inputClassName, useFormatters } from './ui';
+import { deleteDatasetVersions, estimateStorage, isStorageAvailable, listDatasets } from '../lib/datasetStore';
+
+// Saved datasets on the upload screen. Each name is listed once, with a picker
+// for its versions.
+const DatasetLibrary = ({ onOpen, setAppError }) => {
+    const { formatBytes, formatNumber } = useFormatters();
+    const [versions, setVersions] = useState([]);
+    const [selected, setSelected] = useState({});
+    const [usage, setUsage] = useState(null);
+
+    const refresh = useCallback(() => {
+        listDatasets()
+            .then(setVersions)
+            .catch(error => setAppError(`Could not read saved datasets: ${error.message}`));
+        estimateStorage().then(setUsage);
+    }, [setAppError]);
+
+    useEffect(() => {
+        if (isStorageAvailable()) refresh();
+    }, [refresh]);
+
+    // Versions arrive newest first, so the first entry of each name is its latest.
+    const datasets = useMemo(() => {
+        const byName = new Map();
+        versions.forEach(version => {
+            if (!byName.has(version.name)) byName.set(version.name, []);
+            byName.get(version.name).push(version);
+        });
+        return [...byName.entries()].map(([name, nameVersions]) => ({ name, versions: nameVersions }));
+    }, [versions]);
+
+    if (versions.length === 0) return null;
+
+    const librarySize = versions.reduce((sum, version) => sum + version.size, 0);
+
+    const selectedVersion = (dataset) => dataset.versions.find(version => version.id === selected[dataset.name]) || dataset.versions[0];
+
+    const handleDelete = (ids) => {
+        deleteDatasetVersions(ids)
+            .then(refresh)
+            .catch(error => setAppError(`Could not delete the dataset: ${error.message}`));
+    };
+
+    return (
+        <Card className="w-full max-w-2xl mx-auto mt-6 text-left">
+            <h2 className="flex items-center gap-2 text-xl font-semibold mb-4 text-gray-800 dark:text-white">
+                <Database className="w-5 h-5" /> Saved Datasets
+            </h2>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {datasets.map(dataset => {
+                    const version = selectedVersion(dataset);
+                    return (
+                        <li key={dataset.name} className="flex flex-wrap items-center justify-between gap-2 py-3">
+                            <div>
+                                <p className="font-semibold text-gray-800 dark:text-gray-200">{dataset.name}</p>
+                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                    {formatNumber(version.rowCount)} rows from {version.sourceNames.length} {version.sourceNames.length === 1 ? 'file' : 'files'} · saved {format(version.savedAt, 'LLL dd, yyyy HH:mm')} · {formatBytes(version.size)}
+                                </p>
+                            </div>
+                            <div className="flex items-center gap-2">
+                                {dataset.versions.length > 1 && (
+                                    <select value={version.id} onChange={(e) => setSelected(prev => ({ ...prev, [dataset.name]: Number(e.target.value) }))} className={inputClassName}>
+                                        {dataset.versions.map(entry => <option key={entry.id} value={entry.id}>Version {entry.version}</option>)}
+                                    </select>
+                                )}
+                                <Button onClick={() => onOpen(version.id)} variant="secondary"><FolderOpen className="w-4 h-4" /> Open</Button>
+                                <button onClick={() => handleDelete([version.id])} className="p-2 rounded-lg text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20" title={`Delete version ${version.version}`}>
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                                {dataset.versions.length > 1 && (
+                                    <button onClick={() => handleDelete(dataset.versions.map(entry => entry.id))} className="text-xs text-gray-500 hover:text-red-600 hover:underline">
+                                        Delete all versions
+                                    </button>
+                                )}
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+            <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+                Saved datasets use about {formatBytes(librarySize)}
+                {usage && usage.quota > 0 && ` · this site uses ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} available in the browser`}.
+            </p>
+        </Card>
+    );
+};
+
+export default DatasetLibrary;
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { ChevronDown, Download } from 'lucide-react';
+import { Button } from './ui';
+
+export const EXPORT_FORMATS = {
+    csv: 'CSV (filtered rows)',
+    json: 'JSON (filtered rows)',
+    xlsx: 'Excel workbook (rows, summary, ad groups)',
+};
+
+const ExportMenu = ({ onExport }) => {
+    const [open, setOpen] = useState(false);
+
+    const handleSelect = (exportFormat) => {
+        setOpen(false);
+        onExport(exportFormat);
+    };
+
+    return (
+        <div className="relative">
+            <Button onClick={() => setOpen(!open)} variant="secondary">
+                <Download className="w-4 h-4" /> Export <ChevronDown className="w-4 h-4" />
+            </Button>
+            {open && (
+                <div className="absolute right-0 z-10 mt-2 w-72 py-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+                    {Object.entries(EXPORT_FORMATS).map(([exportFormat, label]) => (
+                        <button
+                            key={exportFormat}
+                            onClick={() => handleSelect(exportFormat)}
+                            className="block w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExportMenu;
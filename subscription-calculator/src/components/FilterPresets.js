@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { Bookmark, Trash2 } from 'lucide-react';
+import { Button, inputClassName } from './ui';
+import { addFilterPreset, loadFilterPresets, presetFilters, storeFilterPresets } from '../lib/filterPresets';
+
+// Saves the current filters under a name and applies saved ones. A preset keeps
+// the dates, ad group, comparison and column filters, but not the chart bucket.
+const FilterPresets = ({ filters, onApply }) => {
+    const [presets, setPresets] = useState(loadFilterPresets);
+    const [open, setOpen] = useState(false);
+    const [name, setName] = useState('');
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        setPresets(storeFilterPresets(addFilterPreset(presets, trimmed, filters)));
+        setName('');
+    };
+
+    const handleApply = (preset) => {
+        onApply(presetFilters(preset));
+        setOpen(false);
+    };
+
+    return (
+        <div className="relative">
+            <Button onClick={() => setOpen(!open)} variant="secondary">
+                <Bookmark className="w-4 h-4" /> Presets
+            </Button>
+            {open && (
+                <div className="absolute right-0 z-10 mt-2 w-72 p-3 space-y-3 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+                    {presets.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">No presets yet.</p>
+                    ) : (
+                        <ul className="max-h-60 overflow-y-auto">
+                            {presets.map(preset => (
+                                <li key={preset.id} className="flex items-center gap-2">
+                                    <button onClick={() => handleApply(preset)} className="flex-1 py-1 text-left text-sm text-gray-700 hover:text-blue-600 dark:text-gray-300 dark:hover:text-blue-400 truncate">
+                                        {preset.name}
+                                    </button>
+                                    <button
+                                        onClick={() => setPresets(storeFilterPresets(presets.filter(p => p.id !== preset.id)))}
+                                        className="p-1 text-gray-500 hover:text-red-600"
+                                        title="Delete preset"
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <form onSubmit={handleSave} className="space-y-2 pt-3 border-t border-gray-200 dark:border-gray-700">
+                        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Preset name" className={`${inputClassName} w-full`} />
+                        <Button className="w-full">Save Current Filters</Button>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FilterPresets;
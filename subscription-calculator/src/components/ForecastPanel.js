@@ -0,0 +1,144 @@
+import React, { useMemo, useState } from 'react';
+import { Area, CartesianGrid, ComposedChart, Legend, Line, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { Telescope } from 'lucide-react';
+import { Card, NumberField, SegmentedControl, inputClassName, useFormatters } from './ui';
+import { formatPercentage } from '../lib/format';
+import { METRICS } from '../lib/metrics';
+import { GRANULARITIES } from '../lib/timeSeries';
+import {
+    CONFIDENCE_LEVELS, DEFAULT_FORECAST_OPTIONS, FORECAST_METRICS, FORECAST_MODELS, FORECAST_UNITS,
+    backtestForecast, buildForecast
+} from '../lib/forecast';
+
+const METRIC_OPTIONS = FORECAST_METRICS.map(metric => ({ value: metric, label: METRICS[metric].label }));
+
+const UNIT_OPTIONS = FORECAST_UNITS.map(unit => ({ value: unit, label: unit === 'day' ? 'Days' : 'Weeks' }));
+
+const MODE_OPTIONS = [{ value: 'forecast', label: 'Forecast' }, { value: 'backtest', label: 'Backtest' }];
+
+const tooltipStyle = {
+    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+    border: '1px solid #ccc',
+    borderRadius: '8px'
+};
+
+// Chart rows: the history as actuals, then the forecast with its band. The last
+// actual also starts the forecast line so the two join up.
+const chartRows = (result, metric, mode) => {
+    const history = result.history.map(bucket => ({ label: bucket.label, actual: bucket[metric] }));
+    if (!result.points) return history;
+    const last = history[history.length - 1];
+    history[history.length - 1] = { ...last, forecast: last.actual, band: [last.actual, last.actual] };
+    return [
+        ...history,
+        ...result.points.map(point => ({
+            label: point.label,
+            forecast: point.value,
+            band: [point.lower, point.upper],
+            ...(mode === 'backtest' && { actual: point.actual }),
+        })),
+    ];
+};
+
+const Stat = ({ label, value }) => (
+    <div>
+        <p className="text-sm text-gray-600 dark:text-gray-400">{label}</p>
+        <p className="text-lg font-bold text-gray-800 dark:text-gray-200">{value}</p>
+    </div>
+);
+
+// Projects Cost, Subscriptions, Revenue and ROI from the dated rows, and scores
+// the chosen model on held-out history in backtest mode.
+const ForecastPanel = ({ data }) => {
+    const { formatMetric } = useFormatters();
+    const [options, setOptions] = useState(DEFAULT_FORECAST_OPTIONS);
+    const [mode, setMode] = useState('forecast');
+
+    const result = useMemo(
+        () => (mode === 'backtest' ? backtestForecast(data, options) : buildForecast(data, options)),
+        [data, options, mode]
+    );
+
+    const update = (changes) => setOptions(prev => ({ ...prev, ...changes }));
+    const { kind } = METRICS[options.metric];
+    const format = (value) => formatMetric(value, kind);
+    const unitLabel = GRANULARITIES[options.unit].label.toLowerCase();
+
+    return (
+        <Card>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                    <Telescope className="w-5 h-5" /> Forecast
+                </h2>
+                <SegmentedControl options={MODE_OPTIONS} value={mode} onChange={setMode} />
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4 mb-6">
+                <SegmentedControl options={METRIC_OPTIONS} value={options.metric} onChange={(metric) => update({ metric })} />
+                <SegmentedControl options={UNIT_OPTIONS} value={options.unit} onChange={(unit) => update({ unit })} />
+                <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                    <span>Model</span>
+                    <select value={options.model} onChange={(e) => update({ model: e.target.value })} className={inputClassName}>
+                        {Object.entries(FORECAST_MODELS).map(([model, { label }]) => <option key={model} value={model}>{label}</option>)}
+                    </select>
+                </label>
+                <NumberField
+                    label={mode === 'backtest' ? `Held-out ${options.unit}s` : `${options.unit === 'day' ? 'Days' : 'Weeks'} ahead`}
+                    value={options.horizon}
+                    min={1}
+                    max={options.unit === 'day' ? 90 : 26}
+                    onChange={(horizon) => update({ horizon: Math.max(Math.round(horizon), 1) })}
+                    className="w-32"
+                />
+                <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                    <span>Band</span>
+                    <select value={options.level} onChange={(e) => update({ level: Number(e.target.value) })} className={inputClassName}>
+                        {Object.keys(CONFIDENCE_LEVELS).map(level => <option key={level} value={level}>{Math.round(level * 100)}% confidence</option>)}
+                    </select>
+                </label>
+            </div>
+
+            {result.error ? (
+                <p className="text-center py-12 text-gray-500 dark:text-gray-400">{result.error}</p>
+            ) : (
+                <>
+                    <ResponsiveContainer width="100%" height={320}>
+                        <ComposedChart data={chartRows(result, options.metric, mode)}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="label" />
+                            <YAxis tickFormatter={format} width={90} />
+                            <Tooltip
+                                contentStyle={tooltipStyle}
+                                formatter={(value, name) => [Array.isArray(value) ? `${format(value[0])} – ${format(value[1])}` : format(value), name]}
+                            />
+                            <Legend />
+                            <Area type="monotone" dataKey="band" name={`${Math.round(options.level * 100)}% band`} stroke="none" fill="#93c5fd" fillOpacity={0.4} />
+                            <Line type="monotone" dataKey="actual" name="Actual" stroke="#1f2937" strokeWidth={2} dot={false} connectNulls={false} />
+                            <Line type="monotone" dataKey="forecast" name="Forecast" stroke="#3b82f6" strokeWidth={2} strokeDasharray="6 4" dot={false} />
+                        </ComposedChart>
+                    </ResponsiveContainer>
+
+                    {mode === 'forecast' ? (
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+                            {FORECAST_METRICS.map(metric => (
+                                <Stat key={metric} label={`${METRICS[metric].label}, next ${options.horizon} ${options.unit}s`} value={formatMetric(result.totals[metric], METRICS[metric].kind)} />
+                            ))}
+                        </div>
+                    ) : (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                            <Stat label="Mean absolute error" value={format(result.accuracy.mae)} />
+                            <Stat label="Weighted abs. % error" value={result.accuracy.wape === null ? '—' : formatPercentage(result.accuracy.wape)} />
+                            <Stat label={`Actuals inside the ${Math.round(options.level * 100)}% band`} value={formatPercentage(result.accuracy.coverage)} />
+                        </div>
+                    )}
+                    <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+                        Fitted to {result.history.length} {unitLabel} buckets of the current selection{mode === 'backtest' && `, scored on the ${result.points.length} after them`}.
+                        {options.metric === 'roi' && ' ROI is derived from the Cost and Revenue forecasts; its band covers revenue uncertainty only.'}
+                    </p>
+                </>
+            )}
+        </Card>
+    );
+};
+
+export default ForecastPanel;
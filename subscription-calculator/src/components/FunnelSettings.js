@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, ChevronDown, ChevronUp, Filter, Plus, Trash2 } from 'lucide-react';
+import { Button, Card, inputClassName } from './ui';
+import { METRIC_KINDS, createMetric, formulaVariables } from '../lib/funnel';
+import { formulaError } from '../lib/formula';
+
+const iconButtonClassName = 'p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30 dark:hover:text-gray-200';
+
+// Names as they can be typed in a formula; names with spaces need brackets.
+const formulaName = (name) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `[${name}]`);
+
+// Funnel stages and custom metric formulas. `stages` are the stages in use, which
+// can differ from the saved ones when a saved stage is not in the current data.
+const FunnelSettings = ({ settings, onChange, stages, availableColumns, totals }) => {
+    const [expanded, setExpanded] = useState(false);
+
+    const update = (changes) => onChange({ ...settings, ...changes });
+    const knownNames = [...formulaVariables(totals).keys()];
+    const unusedColumns = availableColumns.filter(column => !stages.includes(column));
+
+    const setStage = (index, column) => update({ stages: stages.map((stage, i) => (i === index ? column : stage)) });
+
+    const moveStage = (index, offset) => {
+        const reordered = [...stages];
+        [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+        update({ stages: reordered });
+    };
+
+    const updateMetric = (id, changes) => update({ metrics: settings.metrics.map(metric => (metric.id === id ? { ...metric, ...changes } : metric)) });
+
+    return (
+        <Card>
+            <button onClick={() => setExpanded(!expanded)} className="w-full flex items-center justify-between text-left">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                    <Filter className="w-5 h-5" /> Funnel & Metrics
+                    <span className="text-sm font-normal text-gray-500 dark:text-gray-400">
+                        {stages.join(' → ')}
+                        {settings.metrics.length > 0 && ` · ${settings.metrics.length} custom metric${settings.metrics.length === 1 ? '' : 's'}`}
+                    </span>
+                </h2>
+                {expanded ? <ChevronUp className="w-5 h-5 text-gray-500" /> : <ChevronDown className="w-5 h-5 text-gray-500" />}
+            </button>
+
+            {expanded && (
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mt-4">
+                    <div>
+                        <h3 className="text-sm font-semibold text-gray-600 dark:text-gray-300 mb-2">Stages, widest first</h3>
+                        <ol className="space-y-2">
+                            {stages.map((stage, index) => (
+                                <li key={`${index}-${stage}`} className="flex items-center gap-2">
+                                    <span className="w-5 text-sm text-gray-500">{index + 1}.</span>
+                                    <select value={stage} onChange={(e) => setStage(index, e.target.value)} className={`${inputClassName} flex-1`} aria-label={`Stage ${index + 1}`}>
+                                        {[stage, ...unusedColumns].map(column => <option key={column} value={column}>{column}</option>)}
+                                    </select>
+                                    <button onClick={() => moveStage(index, -1)} disabled={index === 0} className={iconButtonClassName} title="Move up">
+                                        <ArrowUp className="w-4 h-4" />
+                                    </button>
+                                    <button onClick={() => moveStage(index, 1)} disabled={index === stages.length - 1} className={iconButtonClassName} title="Move down">
+                                        <ArrowDown className="w-4 h-4" />
+                                    </button>
+                                    <button onClick={() => update({ stages: stages.filter((_, i) => i !== index) })} disabled={stages.length <= 2} className={iconButtonClassName} title="Remove stage">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </li>
+                            ))}
+                        </ol>
+                        {unusedColumns.length > 0 && (
+                            <Button onClick={() => update({ stages: [...stages, unusedColumns[0]] })} variant="secondary" className="mt-3">
+                                <Plus className="w-4 h-4" /> Add Stage
+                            </Button>
+                        )}
+                        <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                            Any numeric column in the data can be a stage, including extra columns from the file.
+                        </p>
+                    </div>
+
+                    <div className="lg:col-span-2">
+                        <h3 className="text-sm font-semibold text-gray-600 dark:text-gray-300 mb-2">Custom metrics</h3>
+                        {settings.metrics.length === 0 && (
+                            <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">No custom metrics yet.</p>
+                        )}
+                        <div className="space-y-4">
+                            {settings.metrics.map(metric => {
+                                const error = formulaError(metric.formula, knownNames);
+                                return (
+                                    <div key={metric.id} className="space-y-2">
+                                        <div className="flex flex-wrap items-center gap-2">
+                                            <input
+                                                value={metric.name}
+                                                onChange={(e) => updateMetric(metric.id, { name: e.target.value })}
+                                                className={`${inputClassName} w-40`}
+                                                aria-label="Metric name"
+                                            />
+                                            <input
+                                                value={metric.formula}
+                                                onChange={(e) => updateMetric(metric.id, { formula: e.target.value })}
+                                                className={`${inputClassName} flex-1 min-w-[12rem] font-mono text-sm ${error ? 'border-red-500 dark:border-red-500' : ''}`}
+                                                aria-label="Formula"
+                                                spellCheck={false}
+                                            />
+                                            <select value={metric.kind} onChange={(e) => updateMetric(metric.id, { kind: e.target.value })} className={inputClassName} aria-label="Format">
+                                                {Object.entries(METRIC_KINDS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+                                            </select>
+                                            <label className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-300">
+                                                <input type="checkbox" checked={metric.higherIsBetter} onChange={(e) => updateMetric(metric.id, { higherIsBetter: e.target.checked })} />
+                                                Higher is better
+                                            </label>
+                                            <button onClick={() => update({ metrics: settings.metrics.filter(m => m.id !== metric.id) })} className={iconButtonClassName} title="Remove metric">
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                        {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <Button onClick={() => update({ metrics: [...settings.metrics, createMetric()] })} variant="secondary" className="mt-3">
+                            <Plus className="w-4 h-4" /> Add Metric
+                        </Button>
+                        <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                            Formulas use + - * /, parentheses and min(), max(), abs(), over column totals and built-in metrics:{' '}
+                            <span className="font-mono">{['Revenue', 'Spend', ...availableColumns, 'cpi', 'cac', 'roi'].map(formulaName).join(', ')}</span>.
+                            Division by zero gives 0.
+                        </p>
+                    </div>
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default FunnelSettings;
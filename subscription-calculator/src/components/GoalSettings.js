@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, Goal } from 'lucide-react';
+import { Card, inputClassName } from './ui';
+import { ALL_AD_GROUPS } from '../lib/analytics';
+import { METRICS } from '../lib/metrics';
+import { GOAL_METRICS, countGoals, goalsFor, setGoal } from '../lib/goals';
+
+// ROI is stored as a fraction but typed as a percentage, like everywhere else it is shown.
+const toInput = (metric, target) => {
+    if (target === undefined) return '';
+    return METRICS[metric].kind === 'percentage' ? String(Math.round(target * 10000) / 100) : String(target);
+};
+
+const fromInput = (metric, text) => {
+    if (text.trim() === '' || !Number.isFinite(Number(text))) return null;
+    return METRICS[metric].kind === 'percentage' ? Number(text) / 100 : Number(text);
+};
+
+// Targets for all ad groups together or for one of them. The scope starts as the
+// ad group the dashboard is filtered to, whose targets the cards are showing.
+const GoalSettings = ({ goals, onChange, adGroups, adGroup }) => {
+    const [expanded, setExpanded] = useState(false);
+    const [scope, setScope] = useState(adGroup);
+    const targets = goalsFor(goals, scope);
+    const goalCount = countGoals(goals);
+
+    const toggle = () => {
+        if (!expanded) setScope(adGroup);
+        setExpanded(!expanded);
+    };
+
+    return (
+        <Card>
+            <button onClick={toggle} className="w-full flex items-center justify-between text-left">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                    <Goal className="w-5 h-5" /> Goals
+                    <span className="text-sm font-normal text-gray-500 dark:text-gray-400">
+                        {goalCount === 0 ? 'No targets set' : `${goalCount} target${goalCount === 1 ? '' : 's'}`}
+                    </span>
+                </h2>
+                {expanded ? <ChevronUp className="w-5 h-5 text-gray-500" /> : <ChevronDown className="w-5 h-5 text-gray-500" />}
+            </button>
+
+            {expanded && (
+                <div className="mt-4 space-y-4">
+                    <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300 w-64">
+                        <span>Targets for</span>
+                        <select value={scope} onChange={(e) => setScope(e.target.value)} className={inputClassName}>
+                            {[ALL_AD_GROUPS, ...adGroups].map(group => (
+                                <option key={group} value={group}>{group}{goals[group] ? ' •' : ''}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                        {Object.entries(GOAL_METRICS).map(([metric, { label }]) => (
+                            <label key={metric} className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                                <span>{label}</span>
+                                <span className="flex items-center gap-2">
+                                    <input
+                                        type="number"
+                                        value={toInput(metric, targets[metric])}
+                                        onChange={(e) => onChange(setGoal(goals, scope, metric, fromInput(metric, e.target.value)))}
+                                        placeholder="No target"
+                                        aria-label={label}
+                                        className={`${inputClassName} w-full`}
+                                    />
+                                    {METRICS[metric].kind === 'percentage' && <span className="text-gray-500 dark:text-gray-400">%</span>}
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Spend and subscription targets are per month and are prorated to the selected dates; the cards project them to the
+                        end of the range at the run rate so far. An ad group's targets apply when the dashboard is filtered to it. Leave a box
+                        empty for no target.
+                    </p>
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default GoalSettings;
@@ -0,0 +1,97 @@
+import React, { useMemo, useState } from 'react';
+import { CartesianGrid, ComposedChart, Legend, Line, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { Hourglass } from 'lucide-react';
+import { Card, NumberField, inputClassName, useFormatters } from './ui';
+import { formatPercentage, formatRatio } from '../lib/format';
+import { BILLING_PERIODS, DEFAULT_LTV_ASSUMPTIONS, buildCohorts, modelCohort } from '../lib/ltv';
+
+const Stat = ({ label, value, hint }) => (
+    <div className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+        <p className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{label}</p>
+        <p className="text-2xl font-bold mt-1 text-gray-800 dark:text-white">{value}</p>
+        {hint && <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{hint}</p>}
+    </div>
+);
+
+const LtvPanel = ({ data, className = '' }) => {
+    const { formatCurrency, formatNumber } = useFormatters();
+    const [assumptions, setAssumptions] = useState(DEFAULT_LTV_ASSUMPTIONS);
+
+    const overall = useMemo(() => modelCohort(data, assumptions), [data, assumptions]);
+    const cohorts = useMemo(() => buildCohorts(data, assumptions), [data, assumptions]);
+
+    const update = (key) => (value) => setAssumptions(prev => ({ ...prev, [key]: value }));
+    const updatePercent = (key) => (value) => update(key)(Math.min(Math.max(value, 0), 100) / 100);
+
+    return (
+        <Card className={className}>
+            <h2 className="flex items-center gap-2 text-xl font-semibold mb-4 text-gray-800 dark:text-white">
+                <Hourglass className="w-5 h-5" /> Lifetime Value & Payback
+            </h2>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                    <span>Billing period</span>
+                    <select value={assumptions.billingMonths} onChange={(e) => update('billingMonths')(Number(e.target.value))} className={inputClassName}>
+                        {Object.entries(BILLING_PERIODS).map(([months, label]) => <option key={months} value={months}>{label}</option>)}
+                    </select>
+                </label>
+                <NumberField label="Monthly churn" value={+(assumptions.monthlyChurn * 100).toFixed(2)} onChange={updatePercent('monthlyChurn')} min={0} max={100} step={0.5} suffix="%" />
+                <NumberField label="Refund rate" value={+(assumptions.refundRate * 100).toFixed(2)} onChange={updatePercent('refundRate')} min={0} max={100} step={0.5} suffix="%" />
+                <NumberField label="Trial-to-paid delay" value={assumptions.trialDelayDays} onChange={(value) => update('trialDelayDays')(Math.max(value, 0))} min={0} suffix="days" />
+                <NumberField label="Horizon" value={assumptions.horizonMonths} onChange={(value) => update('horizonMonths')(Math.min(Math.max(Math.round(value), 1), 120))} min={1} max={120} suffix="months" />
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="space-y-4">
+                    <Stat label="LTV per subscriber" value={formatCurrency(overall.ltv)} hint={`Over ${assumptions.horizonMonths} months`} />
+                    <Stat label="LTV : CAC" value={formatRatio(overall.ltvToCac)} hint={`CAC ${formatCurrency(overall.cac)}`} />
+                    <Stat label="Payback" value={overall.paybackMonth ? `Month ${overall.paybackMonth}` : 'Not reached'} hint="First month cumulative revenue covers cost" />
+                </div>
+                <div className="lg:col-span-2">
+                    <ResponsiveContainer width="100%" height={320}>
+                        <ComposedChart data={overall.curve}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="month" label={{ value: 'Month', position: 'insideBottom', offset: -5 }} />
+                            <YAxis yAxisId="revenue" tickFormatter={(value) => formatCurrency(value)} width={90} />
+                            <YAxis yAxisId="retention" orientation="right" domain={[0, 1]} tickFormatter={(value) => formatPercentage(value)} width={70} />
+                            <Tooltip formatter={(value, name) => [name === 'Retention' ? formatPercentage(value) : formatCurrency(value), name]} />
+                            <Legend verticalAlign="top" />
+                            <Line yAxisId="revenue" type="stepAfter" dataKey="cumulativeRevenue" name="Cumulative Revenue" stroke="#22c55e" strokeWidth={2} dot={false} />
+                            <Line yAxisId="revenue" type="monotone" dataKey="cost" name="Acquisition Cost" stroke="#ef4444" strokeDasharray="5 5" dot={false} />
+                            <Line yAxisId="retention" type="monotone" dataKey="retention" name="Retention" stroke="#8884d8" dot={false} />
+                        </ComposedChart>
+                    </ResponsiveContainer>
+                </div>
+            </div>
+
+            {cohorts.length > 0 && (
+                <div className="overflow-x-auto mt-6">
+                    <table className="w-full text-left">
+                        <thead className="bg-gray-50 dark:bg-gray-700">
+                            <tr>
+                                {['Cohort', 'Subscriptions', 'CAC', 'LTV', 'LTV : CAC', 'Payback'].map(col => (
+                                    <th key={col} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider">{col}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                            {cohorts.map(cohort => (
+                                <tr key={cohort.label} className="hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                                    <td className="p-3 text-sm font-semibold text-gray-800 dark:text-gray-200">{cohort.label}</td>
+                                    <td className="p-3 text-sm text-gray-700 dark:text-gray-300">{formatNumber(cohort.Subscriptions)}</td>
+                                    <td className="p-3 text-sm text-gray-700 dark:text-gray-300">{formatCurrency(cohort.cac)}</td>
+                                    <td className="p-3 text-sm text-gray-700 dark:text-gray-300">{formatCurrency(cohort.ltv)}</td>
+                                    <td className={`p-3 text-sm font-semibold ${cohort.ltvToCac >= 1 ? 'text-green-600' : 'text-red-500'}`}>{formatRatio(cohort.ltvToCac)}</td>
+                                    <td className="p-3 text-sm text-gray-700 dark:text-gray-300">{cohort.paybackMonth ? `Month ${cohort.paybackMonth}` : '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default LtvPanel;
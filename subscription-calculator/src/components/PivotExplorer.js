@@ -0,0 +1,182 @@
+import React, { useMemo, useState } from 'react';
+import { Bar, BarChart, CartesianGrid, Legend, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { ArrowDown, ArrowUp, ChevronDown, ChevronRight, Layers, Plus, X } from 'lucide-react';
+import { Button, Card, inputClassName, useFormatters } from './ui';
+import { METRICS } from '../lib/metrics';
+import { TIME_LEVELS, buildPivot, groupIds, levelLabel, pivotChartData, visibleNodes } from '../lib/pivot';
+
+const MAX_LEVELS = 3;
+
+const METRIC_COLUMNS = Object.keys(METRICS);
+
+const SERIES_COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#06b6d4', '#9ca3af'];
+
+const tooltipStyle = {
+    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+    border: '1px solid #ccc',
+    borderRadius: '8px'
+};
+
+// Slices the selection by any dimension or time bucket, nested up to three
+// levels deep. Every group and subtotal carries the full set of summary metrics.
+const PivotExplorer = ({ data, dimensions }) => {
+    const { formatMetric, formatNumber } = useFormatters();
+    const [levels, setLevels] = useState(['Ad Group']);
+    const [sort, setSort] = useState(null);
+    const [expanded, setExpanded] = useState(new Set());
+    const [chartMetric, setChartMetric] = useState('Cost');
+
+    const options = ['Ad Group', ...dimensions, ...TIME_LEVELS];
+    const pivot = useMemo(() => buildPivot(data, levels, sort), [data, levels, sort]);
+    const chart = useMemo(() => pivotChartData(data, levels, chartMetric, { sort }), [data, levels, chartMetric, sort]);
+    const rows = visibleNodes(pivot.children, expanded);
+
+    // Totals such as Cost add up across the stack; ratios are shown side by side.
+    const stacked = !METRICS[chartMetric].base;
+    const formatChartValue = (value) => formatMetric(value, METRICS[chartMetric].kind);
+
+    const updateLevels = (next) => {
+        setLevels(next);
+        setExpanded(new Set());
+    };
+
+    const setLevel = (index, level) => updateLevels(levels.map((current, i) => (i === index ? level : current)));
+
+    const toggleExpanded = (id) => {
+        setExpanded(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id); else next.add(id);
+            return next;
+        });
+    };
+
+    const toggleSort = (column) => {
+        setSort(prev => ({
+            column,
+            direction: prev?.column === column && prev.direction === 'desc' ? 'asc' : 'desc'
+        }));
+    };
+
+    const headerCell = (column, label) => (
+        <th key={column} onClick={() => toggleSort(column)} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider cursor-pointer select-none whitespace-nowrap">
+            <span className="inline-flex items-center gap-1">
+                {label}
+                {sort?.column === column && (sort.direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+            </span>
+        </th>
+    );
+
+    const metricCells = (summary) => METRIC_COLUMNS.map(column => (
+        <td key={column} className="p-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">{formatMetric(summary[column], METRICS[column].kind)}</td>
+    ));
+
+    return (
+        <Card>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                    <Layers className="w-5 h-5" /> Pivot Explorer
+                </h2>
+                <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                    <span>Chart</span>
+                    <select value={chartMetric} onChange={(e) => setChartMetric(e.target.value)} className={inputClassName} aria-label="Chart metric">
+                        {METRIC_COLUMNS.map(metric => <option key={metric} value={metric}>{METRICS[metric].label}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 mb-6 text-sm text-gray-600 dark:text-gray-300">
+                {levels.map((level, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                        <span>{index === 0 ? 'Group by' : 'then'}</span>
+                        <select value={level} onChange={(e) => setLevel(index, e.target.value)} className={inputClassName} aria-label={`Group level ${index + 1}`}>
+                            {options.filter(option => option === level || !levels.includes(option)).map(option => (
+                                <option key={option} value={option}>{levelLabel(option)}</option>
+                            ))}
+                        </select>
+                        {levels.length > 1 && (
+                            <button onClick={() => updateLevels(levels.filter((_, i) => i !== index))} className="p-1 text-gray-500 hover:text-gray-800 dark:hover:text-gray-200" title="Remove level">
+                                <X className="w-4 h-4" />
+                            </button>
+                        )}
+                    </div>
+                ))}
+                {levels.length < MAX_LEVELS && (
+                    <Button onClick={() => updateLevels([...levels, options.find(option => !levels.includes(option))])} variant="secondary">
+                        <Plus className="w-4 h-4" /> Add Level
+                    </Button>
+                )}
+                {levels.length > 1 && (
+                    <>
+                        <Button onClick={() => setExpanded(new Set(groupIds(pivot.children)))} variant="secondary">Expand All</Button>
+                        <Button onClick={() => setExpanded(new Set())} variant="secondary">Collapse All</Button>
+                    </>
+                )}
+            </div>
+
+            {pivot.children.length === 0 ? (
+                <p className="text-center py-12 text-gray-500 dark:text-gray-400">No records in the current selection.</p>
+            ) : (
+                <>
+                    <ResponsiveContainer width="100%" height={320}>
+                        <BarChart data={chart.data}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="label" />
+                            <YAxis tickFormatter={formatChartValue} width={90} />
+                            <Tooltip contentStyle={tooltipStyle} formatter={(value, name) => [formatChartValue(value), name]} />
+                            {chart.series.length > 1 && <Legend />}
+                            {chart.series.map((series, index) => (
+                                <Bar
+                                    key={series.dataKey}
+                                    dataKey={series.dataKey}
+                                    name={series.name}
+                                    fill={SERIES_COLORS[index % SERIES_COLORS.length]}
+                                    stackId={stacked ? 'groups' : undefined}
+                                />
+                            ))}
+                        </BarChart>
+                    </ResponsiveContainer>
+
+                    <div className="overflow-x-auto mt-6">
+                        <table className="w-full text-left">
+                            <thead className="bg-gray-50 dark:bg-gray-700">
+                                <tr>
+                                    {headerCell('key', levels.map(levelLabel).join(' → '))}
+                                    {headerCell('rowCount', 'Rows')}
+                                    {METRIC_COLUMNS.map(column => headerCell(column, METRICS[column].label))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                                {rows.map(node => (
+                                    <tr key={node.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                                        <td className="p-3 text-sm text-gray-800 dark:text-gray-200 whitespace-nowrap" style={{ paddingLeft: `${0.75 + node.depth * 1.5}rem` }}>
+                                            {node.children.length > 0 ? (
+                                                <button onClick={() => toggleExpanded(node.id)} className="inline-flex items-center gap-1 font-semibold" aria-expanded={expanded.has(node.id)}>
+                                                    {expanded.has(node.id) ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                                                    {node.label}
+                                                </button>
+                                            ) : (
+                                                <span className={node.depth === 0 ? 'font-semibold' : ''}>{node.label}</span>
+                                            )}
+                                        </td>
+                                        <td className="p-3 text-sm text-gray-700 dark:text-gray-300">{formatNumber(node.rowCount)}</td>
+                                        {metricCells(node.summary)}
+                                    </tr>
+                                ))}
+                                <tr className="bg-gray-50 dark:bg-gray-700 font-semibold">
+                                    <td className="p-3 text-sm text-gray-800 dark:text-gray-200">Total</td>
+                                    <td className="p-3 text-sm text-gray-700 dark:text-gray-300">{formatNumber(pivot.rowCount)}</td>
+                                    {metricCells(pivot.summary)}
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                    <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+                        Subtotals and ratios are worked out from each group's own totals. Rows are bucketed by their start date.
+                    </p>
+                </>
+            )}
+        </Card>
+    );
+};
+
+export default PivotExplorer;
@@ -0,0 +1,41 @@
+import React, { useRef } from 'react';
+import { Download, FileText, Printer, X } from 'lucide-react';
+import { Button, Card } from './ui';
+import { downloadBlob } from '../lib/fileExport';
+
+// Preview of the generated executive report, with download and print actions.
+// Printing goes through the browser dialog, where it can be saved as a PDF.
+const ReportDialog = ({ html, fileName, onClose }) => {
+    const frame = useRef(null);
+
+    const handleDownload = () => {
+        downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8;' }), fileName);
+    };
+
+    const handlePrint = () => {
+        frame.current.contentWindow.focus();
+        frame.current.contentWindow.print();
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+            <Card className="w-full max-w-5xl h-[90vh] flex flex-col text-left">
+                <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                    <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                        <FileText className="w-5 h-5" /> Executive Report
+                    </h2>
+                    <div className="flex items-center gap-2">
+                        <Button onClick={handleDownload} variant="secondary"><Download className="w-4 h-4" /> Download HTML</Button>
+                        <Button onClick={handlePrint}><Printer className="w-4 h-4" /> Print / Save as PDF</Button>
+                        <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-800 dark:hover:text-white" title="Close">
+                            <X className="w-5 h-5" />
+                        </button>
+                    </div>
+                </div>
+                <iframe ref={frame} title="Report preview" srcDoc={html} className="flex-1 w-full rounded-lg border border-gray-200 dark:border-gray-700 bg-white" />
+            </Card>
+        </div>
+    );
+};
+
+export default ReportDialog;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { Save } from 'lucide-react';
+import { Button, inputClassName } from './ui';
+
+// Header control that saves the current sources and filters to the library.
+// `saved` is the metadata of the version that is open, if any. A version's filters
+// only change when they are saved here, either with a new version or, while its
+// files are unchanged, over the open version's own filters.
+const SaveDataset = ({ saved, hasChanges, filtersChanged, defaultName, onSave, onUpdateFilters }) => {
+    const [open, setOpen] = useState(false);
+    const [name, setName] = useState('');
+
+    const handleOpen = () => {
+        setName(saved ? saved.name : defaultName);
+        setOpen(!open);
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        onSave(trimmed);
+        setOpen(false);
+    };
+
+    const handleUpdateFilters = (e) => {
+        e.preventDefault();
+        onUpdateFilters();
+        setOpen(false);
+    };
+
+    return (
+        <div className="relative flex items-center gap-3">
+            {saved && (
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                    {saved.name} · v{saved.version}{hasChanges && ' · unsaved files'}{filtersChanged && ' · unsaved filters'}
+                </span>
+            )}
+            <Button onClick={handleOpen} variant="secondary"><Save className="w-4 h-4" /> Save Dataset</Button>
+            {open && (
+                <form onSubmit={handleSave} className="absolute right-0 top-full z-10 mt-2 w-72 p-3 space-y-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+                    <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Dataset name" className={`${inputClassName} w-full`} autoFocus />
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Saving under an existing name adds a new version. The current filters are saved with it.</p>
+                    <Button className="w-full">Save</Button>
+                    {saved && !hasChanges && filtersChanged && (
+                        <Button onClick={handleUpdateFilters} variant="secondary" className="w-full">Update filters of v{saved.version}</Button>
+                    )}
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default SaveDataset;
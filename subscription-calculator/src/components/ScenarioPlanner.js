@@ -0,0 +1,213 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Calculator, RotateCcw, Save, Sparkles, Trash2 } from 'lucide-react';
+import { Button, Card, NumberField, RangeField, inputClassName, useFormatters } from './ui';
+import { METRICS } from '../lib/metrics';
+import { summarize } from '../lib/analytics';
+import {
+    DEFAULT_ADJUSTMENTS, DEFAULT_ELASTICITY,
+    buildBaselines, loadScenarios, optimizeBudgets, projectScenario, storeScenarios
+} from '../lib/scenarios';
+
+const COMPARISON_METRICS = ['Cost', 'Installs', 'Subscriptions', 'Subscription Value', 'cac', 'roi'];
+
+const ADJUSTMENT_SLIDERS = [
+    { key: 'installRate', label: 'Install rate' },
+    { key: 'installToTrialRate', label: 'Install to trial' },
+    { key: 'trialToPaidRate', label: 'Trial to paid' },
+];
+
+// Columns of the comparison table, which saved scenarios cannot be named.
+const ACTUAL_COLUMN = 'Actual';
+const PLAN_COLUMN = 'Current plan';
+
+const formatAdjustment = (value) => `${value > 0 ? '+' : ''}${Math.round(value * 100)}%`;
+
+// Budget planning on top of the historical per-ad-group funnel rates.
+const ScenarioPlanner = ({ data }) => {
+    const { formatCurrency, formatMetric, formatNumber } = useFormatters();
+    const baselines = useMemo(() => buildBaselines(data), [data]);
+    const actual = useMemo(() => summarize(data), [data]);
+
+    const [budgets, setBudgets] = useState({});
+    const [adjustments, setAdjustments] = useState(DEFAULT_ADJUSTMENTS);
+    const [elasticity, setElasticity] = useState(DEFAULT_ELASTICITY);
+    const [budgetLimit, setBudgetLimit] = useState(() => Math.round(actual.Cost));
+    const [scenarioName, setScenarioName] = useState('');
+    const [savedScenarios, setSavedScenarios] = useState(loadScenarios);
+
+    // The limit starts from the actual spend of the rows in view, and follows it
+    // when filters or sources change.
+    useEffect(() => {
+        setBudgetLimit(Math.round(actual.Cost));
+    }, [actual.Cost]);
+
+    const trimmedName = scenarioName.trim();
+    const nameError = [ACTUAL_COLUMN, PLAN_COLUMN].some(reserved => reserved.toLowerCase() === trimmedName.toLowerCase())
+        ? `"${trimmedName}" is taken by a built-in column.`
+        : null;
+
+    const current = { budgets, adjustments, elasticity };
+    const projection = projectScenario(baselines, current);
+    const savedProjections = savedScenarios.map(scenario => ({ name: scenario.name, total: projectScenario(baselines, scenario).total }));
+
+    const handleOptimize = () => {
+        setBudgets(optimizeBudgets(baselines, budgetLimit, adjustments, elasticity));
+    };
+
+    const handleReset = () => {
+        setBudgets({});
+        setAdjustments(DEFAULT_ADJUSTMENTS);
+        setElasticity(DEFAULT_ELASTICITY);
+    };
+
+    const handleSave = () => {
+        if (!trimmedName || nameError) return;
+        setSavedScenarios(storeScenarios([...savedScenarios.filter(scenario => scenario.name !== trimmedName), { name: trimmedName, ...current }]));
+        setScenarioName('');
+    };
+
+    const handleLoad = (scenario) => {
+        setBudgets(scenario.budgets);
+        setAdjustments(scenario.adjustments);
+        setElasticity(scenario.elasticity);
+    };
+
+    const handleDelete = (name) => {
+        setSavedScenarios(storeScenarios(savedScenarios.filter(scenario => scenario.name !== name)));
+    };
+
+    if (baselines.length === 0) return null;
+
+    const columns = [
+        { name: ACTUAL_COLUMN, total: actual },
+        ...savedProjections,
+        { name: PLAN_COLUMN, total: projection.total },
+    ];
+
+    return (
+        <Card>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                    <Calculator className="w-5 h-5" /> Budget Scenario Planner
+                </h2>
+                <Button onClick={handleReset} variant="secondary"><RotateCcw className="w-4 h-4" /> Reset to Actuals</Button>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="space-y-4">
+                    {ADJUSTMENT_SLIDERS.map(({ key, label }) => (
+                        <RangeField
+                            key={key}
+                            label={label}
+                            value={adjustments[key]}
+                            onChange={(value) => setAdjustments(prev => ({ ...prev, [key]: value }))}
+                            min={-0.5}
+                            max={0.5}
+                            step={0.01}
+                            formatValue={formatAdjustment}
+                        />
+                    ))}
+                    <RangeField
+                        label="Spend response (1 = linear)"
+                        value={elasticity}
+                        onChange={setElasticity}
+                        min={0.3}
+                        max={1}
+                        step={0.05}
+                        formatValue={(value) => value.toFixed(2)}
+                    />
+                    <div className="flex items-end gap-2 pt-2 border-t border-gray-200 dark:border-gray-700">
+                        <NumberField label="Total budget limit" value={budgetLimit} onChange={setBudgetLimit} min={0} step={100} className="flex-1" />
+                        <Button onClick={handleOptimize}><Sparkles className="w-4 h-4" /> Optimize</Button>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Optimize splits the limit to maximise revenue minus cost, and leaves budget unspent where the next dollar would return less than a dollar.
+                    </p>
+                </div>
+
+                <div className="lg:col-span-2 overflow-x-auto">
+                    <table className="w-full text-left">
+                        <thead className="bg-gray-50 dark:bg-gray-700">
+                            <tr>
+                                {['Ad Group', 'Budget', 'Subscriptions', 'Revenue', 'CAC', 'ROI'].map(col => (
+                                    <th key={col} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider">{col}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                            {projection.groups.map((group, index) => (
+                                <tr key={group.adGroup}>
+                                    <td className="p-3 text-sm font-semibold text-gray-800 dark:text-gray-200 whitespace-nowrap">{group.adGroup}</td>
+                                    <td className="p-3 text-sm">
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            step={10}
+                                            value={Math.round(budgets[group.adGroup] ?? baselines[index].cost)}
+                                            onChange={(e) => setBudgets(prev => ({ ...prev, [group.adGroup]: Math.max(parseFloat(e.target.value) || 0, 0) }))}
+                                            className={`${inputClassName} w-28`}
+                                        />
+                                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">was {formatCurrency(baselines[index].cost)}</p>
+                                    </td>
+                                    <td className="p-3 text-sm text-gray-700 dark:text-gray-300">{formatNumber(group.Subscriptions)}</td>
+                                    <td className="p-3 text-sm text-gray-700 dark:text-gray-300">{formatCurrency(group['Subscription Value'])}</td>
+                                    <td className="p-3 text-sm text-gray-700 dark:text-gray-300">{group.Subscriptions > 0 ? formatCurrency(group.cac) : '—'}</td>
+                                    <td className={`p-3 text-sm font-semibold ${group.roi >= 0 ? 'text-green-600' : 'text-red-500'}`}>{formatMetric(group.roi, 'percentage')}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700">
+                <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+                    <h3 className="text-lg font-semibold text-gray-800 dark:text-white">Scenario Comparison</h3>
+                    <div className="flex flex-col items-end gap-1">
+                        <div className="flex items-end gap-2">
+                            <input value={scenarioName} onChange={(e) => setScenarioName(e.target.value)} placeholder="Scenario name" className={`${inputClassName} ${nameError ? 'border-red-500 dark:border-red-500' : ''}`} />
+                            <Button onClick={handleSave} variant="secondary"><Save className="w-4 h-4" /> Save Scenario</Button>
+                        </div>
+                        {nameError && <p className="text-xs text-red-600 dark:text-red-400">{nameError}</p>}
+                    </div>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left">
+                        <thead className="bg-gray-50 dark:bg-gray-700">
+                            <tr>
+                                <th className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider">Metric</th>
+                                {columns.map(column => {
+                                    const saved = savedScenarios.find(scenario => scenario.name === column.name);
+                                    return (
+                                        <th key={column.name} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider whitespace-nowrap">
+                                            <span className="inline-flex items-center gap-2">
+                                                {saved ? <button onClick={() => handleLoad(saved)} className="hover:underline" title="Load this scenario">{column.name}</button> : column.name}
+                                                {saved && (
+                                                    <button onClick={() => handleDelete(column.name)} title="Delete scenario" className="text-gray-400 hover:text-red-500">
+                                                        <Trash2 className="w-3 h-3" />
+                                                    </button>
+                                                )}
+                                            </span>
+                                        </th>
+                                    );
+                                })}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                            {COMPARISON_METRICS.map(metric => (
+                                <tr key={metric}>
+                                    <td className="p-3 text-sm font-semibold text-gray-800 dark:text-gray-200">{METRICS[metric].label}</td>
+                                    {columns.map(column => (
+                                        <td key={column.name} className="p-3 text-sm text-gray-700 dark:text-gray-300">{formatMetric(column.total[metric], METRICS[metric].kind)}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </Card>
+    );
+};
+
+export default ScenarioPlanner;
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { Sheet, X } from 'lucide-react';
+import { Button, Card, useFormatters } from './ui';
+
+// Lets the user choose which sheet of a workbook to import.
+const SheetPicker = ({ fileName, sheets, onConfirm, onCancel }) => {
+    const { formatNumber } = useFormatters();
+    const [selected, setSelected] = useState(sheets[0].name);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+            <Card className="w-full max-w-2xl max-h-[90vh] overflow-y-auto text-left">
+                <div className="flex items-start justify-between mb-4">
+                    <div>
+                        <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                            <Sheet className="w-5 h-5" /> Choose a Sheet
+                        </h2>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            <span className="font-semibold">{fileName}</span> has {sheets.length} sheets with data. Pick the one with your campaign rows.
+                        </p>
+                    </div>
+                    <button onClick={onCancel} className="p-1 text-gray-500 hover:text-gray-800 dark:hover:text-white" title="Skip this file">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700 mb-4">
+                    {sheets.map(sheet => (
+                        <li key={sheet.name}>
+                            <label className="flex items-start gap-3 py-3 cursor-pointer">
+                                <input type="radio" name="sheet" checked={selected === sheet.name} onChange={() => setSelected(sheet.name)} className="mt-1" />
+                                <span>
+                                    <span className="block font-semibold text-gray-800 dark:text-gray-200">{sheet.name}</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400 truncate max-w-lg">
+                                        {formatNumber(sheet.rows.length)} rows · {sheet.headers.join(', ')}
+                                    </span>
+                                </span>
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="flex justify-end gap-2">
+                    <Button onClick={onCancel} variant="secondary">Skip File</Button>
+                    <Button onClick={() => onConfirm(sheets.find(sheet => sheet.name === selected))}>Import Sheet</Button>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+export default SheetPicker;
@@ -0,0 +1,196 @@
+import React, { useMemo, useState } from 'react';
+import { DayPicker } from 'react-day-picker';
+import { Calendar, FlaskConical } from 'lucide-react';
+import { Button, Card, SegmentedControl, inputClassName, useFormatters } from './ui';
+import { formatPercentage, formatRange } from '../lib/format';
+import { METRICS } from '../lib/metrics';
+import { filterByAdGroup, filterByDateRange, listAdGroups, summarize } from '../lib/analytics';
+import { DEFAULT_SIGNIFICANCE_LEVEL, POWER, SIGNIFICANCE_LEVELS, testConversionRates } from '../lib/significance';
+
+const MODE_OPTIONS = [{ value: 'adGroup', label: 'Ad Groups' }, { value: 'period', label: 'Periods' }];
+
+const SEGMENTS = ['A', 'B'];
+
+const formatPValue = (pValue) => (pValue < 0.001 ? '< 0.001' : pValue.toFixed(3));
+
+const formatInterval = (lower, upper) => `${formatPercentage(lower)} – ${formatPercentage(upper)}`;
+
+const RateCell = ({ rate }) => (
+    <td className="p-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+        <div className="font-semibold">{formatPercentage(rate.rate)}</div>
+        <div className="text-xs text-gray-500 dark:text-gray-400">{formatInterval(rate.lower, rate.upper)}</div>
+    </td>
+);
+
+// A/B comparison of the funnel rates of two ad groups over the selected dates,
+// or of two periods within the selected ad group.
+const SignificancePanel = ({ data, dateRange, adGroup, comparisonRange }) => {
+    const { formatDeltaDiff, formatNumber } = useFormatters();
+    const [mode, setMode] = useState('adGroup');
+    const [level, setLevel] = useState(DEFAULT_SIGNIFICANCE_LEVEL);
+    const [openPicker, setOpenPicker] = useState(null);
+
+    const dateFilteredData = useMemo(() => filterByDateRange(data, dateRange), [data, dateRange]);
+    const adGroups = useMemo(() => listAdGroups(dateFilteredData), [dateFilteredData]);
+    const [groups, setGroups] = useState(() => ({ A: adGroups[0] ?? null, B: adGroups[1] ?? null }));
+    // Periods start as the comparison period against the selected one, when there is one.
+    const [periods, setPeriods] = useState(() => ({
+        A: comparisonRange ?? null,
+        B: dateRange?.from ? dateRange : null,
+    }));
+
+    const segmentRows = useMemo(() => {
+        if (mode === 'adGroup') {
+            return Object.fromEntries(SEGMENTS.map(segment => [
+                segment,
+                adGroups.includes(groups[segment]) ? filterByAdGroup(dateFilteredData, groups[segment]) : null,
+            ]));
+        }
+        const groupRows = filterByAdGroup(data, adGroup);
+        return Object.fromEntries(SEGMENTS.map(segment => [
+            segment,
+            periods[segment]?.from ? filterByDateRange(groupRows, periods[segment]) : null,
+        ]));
+    }, [mode, data, dateFilteredData, adGroups, adGroup, groups, periods]);
+
+    const ready = segmentRows.A && segmentRows.B;
+    const summaries = useMemo(
+        () => (ready ? { A: summarize(segmentRows.A), B: summarize(segmentRows.B) } : null),
+        [ready, segmentRows]
+    );
+    const tests = useMemo(() => (summaries ? testConversionRates(summaries.A, summaries.B, level) : []), [summaries, level]);
+
+    const segmentName = (segment) => (mode === 'adGroup' ? groups[segment] : formatRange(periods[segment])) || `Segment ${segment}`;
+
+    const segmentPicker = (segment) => {
+        if (mode === 'adGroup') {
+            return (
+                <select
+                    value={groups[segment] ?? ''}
+                    onChange={(e) => setGroups(prev => ({ ...prev, [segment]: e.target.value }))}
+                    className={inputClassName}
+                    aria-label={`Segment ${segment}`}
+                >
+                    {!adGroups.includes(groups[segment]) && <option value="">Select an ad group</option>}
+                    {adGroups.map(group => <option key={group} value={group}>{group}</option>)}
+                </select>
+            );
+        }
+        return (
+            <div className="relative">
+                <Button onClick={() => setOpenPicker(openPicker === segment ? null : segment)} variant="secondary">
+                    <Calendar className="w-4 h-4" />
+                    {formatRange(periods[segment]) || 'Select Period'}
+                </Button>
+                {openPicker === segment && (
+                    <div className="absolute z-10 mt-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+                        <DayPicker
+                            mode="range"
+                            selected={periods[segment] ?? undefined}
+                            onSelect={(range) => setPeriods(prev => ({ ...prev, [segment]: range ?? null }))}
+                        />
+                        <div className="p-2 border-t border-gray-200 dark:border-gray-700">
+                            <Button onClick={() => setOpenPicker(null)} className="w-full">Done</Button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <Card>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                    <FlaskConical className="w-5 h-5" /> A/B Significance
+                </h2>
+                <SegmentedControl options={MODE_OPTIONS} value={mode} onChange={(value) => { setMode(value); setOpenPicker(null); }} />
+            </div>
+
+            <div className="flex flex-wrap items-end gap-6 mb-6">
+                {SEGMENTS.map(segment => (
+                    <div key={segment} className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                        <span>Segment {segment}</span>
+                        {segmentPicker(segment)}
+                        {summaries && (
+                            <span className="text-xs text-gray-500 dark:text-gray-400">
+                                {formatNumber(summaries[segment].Clicks)} clicks · {formatNumber(summaries[segment].Installs)} installs · {formatNumber(summaries[segment].Trials)} trials · {formatNumber(summaries[segment].Subscriptions)} subs
+                            </span>
+                        )}
+                    </div>
+                ))}
+                <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+                    <span>Confidence</span>
+                    <select value={level} onChange={(e) => setLevel(Number(e.target.value))} className={inputClassName}>
+                        {Object.keys(SIGNIFICANCE_LEVELS).map(value => <option key={value} value={value}>{Math.round(value * 100)}%</option>)}
+                    </select>
+                </label>
+            </div>
+
+            {!summaries ? (
+                <p className="text-center py-12 text-gray-500 dark:text-gray-400">
+                    {mode === 'adGroup' ? 'Pick two ad groups to compare.' : 'Pick two periods to compare.'}
+                </p>
+            ) : (
+                <>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-left">
+                            <thead className="bg-gray-50 dark:bg-gray-700">
+                                <tr>
+                                    {['Rate', `A: ${segmentName('A')}`, `B: ${segmentName('B')}`, 'B − A', 'p-value', 'Result', 'Sample Needed'].map(label => (
+                                        <th key={label} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider whitespace-nowrap">{label}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                                {tests.map(test => (
+                                    <tr key={test.metric}>
+                                        <td className="p-3 text-sm font-semibold text-gray-800 dark:text-gray-200 whitespace-nowrap">{METRICS[test.metric].label}</td>
+                                        {test.error ? (
+                                            <td colSpan={6} className="p-3 text-sm text-gray-500 dark:text-gray-400">Can't test: {test.error} in a segment.</td>
+                                        ) : (
+                                            <>
+                                                <RateCell rate={test.a} />
+                                                <RateCell rate={test.b} />
+                                                <td className="p-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                                                    <div className="font-semibold">{formatDeltaDiff(test.diff, 'percentage')}</div>
+                                                    <div className="text-xs text-gray-500 dark:text-gray-400">{formatDeltaDiff(test.lower, 'percentage')} to {formatDeltaDiff(test.upper, 'percentage')}</div>
+                                                </td>
+                                                <td className="p-3 text-sm text-gray-700 dark:text-gray-300">{formatPValue(test.pValue)}</td>
+                                                <td className="p-3 text-sm">
+                                                    {test.significant ? (
+                                                        <span className="px-2 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300">
+                                                            {test.diff > 0 ? 'B higher' : 'B lower'}
+                                                        </span>
+                                                    ) : (
+                                                        <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300">Not significant</span>
+                                                    )}
+                                                </td>
+                                                <td className="p-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                                                    {test.sampleSize === null ? '—' : (
+                                                        <>
+                                                            {formatNumber(test.sampleSize)} {test.from.toLowerCase()} each
+                                                            {Math.min(test.a.trials, test.b.trials) >= test.sampleSize && (
+                                                                <span className="ml-1 text-xs text-green-700 dark:text-green-400">(reached)</span>
+                                                            )}
+                                                        </>
+                                                    )}
+                                                </td>
+                                            </>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+                        Two-proportion z-tests on the summed counts, with {Math.round(level * 100)}% intervals. Sample needed is
+                        the size per segment at which a difference this large is detected with {Math.round(POWER * 100)}% power.
+                    </p>
+                </>
+            )}
+        </Card>
+    );
+};
+
+export default SignificancePanel;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { FileText, Trash2 } from 'lucide-react';
+import { Card } from './ui';
+import { format } from 'date-fns';
+
+// Lists the files that make up the current dataset. `children` is rendered below
+// the list and is where the caller places its "add more files" drop zone.
+const SourcesPanel = ({ sources, stats, onRemove, children }) => (
+    <Card>
+        <h2 className="flex items-center gap-2 text-xl font-semibold mb-4 text-gray-800 dark:text-white">
+            <FileText className="w-5 h-5" /> Data Sources
+        </h2>
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 mb-4">
+            {sources.map(source => {
+                const { rowCount, duplicates, overlaps } = stats[source.id];
+                return (
+                    <li key={source.id} className="flex flex-wrap items-center justify-between gap-2 py-2">
+                        <div>
+                            <p className="font-semibold text-gray-800 dark:text-gray-200">{source.name}</p>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                {rowCount.toLocaleString()} rows · added {format(source.addedAt, 'LLL dd, HH:mm')}
+                                {duplicates > 0 && <span className="text-amber-600 dark:text-amber-400"> · {duplicates} duplicate rows replaced earlier copies</span>}
+                                {overlaps > 0 && <span className="text-red-600 dark:text-red-400"> · {overlaps} rows overlap another date range</span>}
+                            </p>
+                        </div>
+                        <button onClick={() => onRemove(source.id)} className="p-2 rounded-lg text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20" title="Remove this file">
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    </li>
+                );
+            })}
+        </ul>
+        {children}
+    </Card>
+);
+
+export default SourcesPanel;
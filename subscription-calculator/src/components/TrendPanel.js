@@ -0,0 +1,70 @@
+import React, { useMemo } from 'react';
+import { Bar, CartesianGrid, ComposedChart, Legend, Line, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { LineChart as LineChartIcon } from 'lucide-react';
+import { Card, SegmentedControl, useFormatters } from './ui';
+import { formatPercentage } from '../lib/format';
+import { GRANULARITIES, bucketRows } from '../lib/timeSeries';
+
+const GRANULARITY_OPTIONS = Object.entries(GRANULARITIES).map(([value, { label }]) => ({ value, label }));
+
+const tooltipStyle = {
+    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+    border: '1px solid #ccc',
+    borderRadius: '8px'
+};
+
+const TrendPanel = ({ data, granularity, onGranularityChange }) => {
+    const { formatCurrency } = useFormatters();
+    const series = useMemo(() => bucketRows(data, granularity), [data, granularity]);
+
+    return (
+        <Card>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                    <LineChartIcon className="w-5 h-5" /> Trends
+                </h2>
+                <SegmentedControl options={GRANULARITY_OPTIONS} value={granularity} onChange={onGranularityChange} />
+            </div>
+            {series.length === 0 ? (
+                <p className="text-center py-12 text-gray-500 dark:text-gray-400">No dated records in the current selection.</p>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div>
+                        <h3 className="text-sm font-semibold text-gray-600 dark:text-gray-300 mb-2">Spend vs Revenue</h3>
+                        <ResponsiveContainer width="100%" height={300}>
+                            <ComposedChart data={series}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="label" />
+                                <YAxis tickFormatter={(value) => formatCurrency(value)} width={90} />
+                                <Tooltip contentStyle={tooltipStyle} formatter={(value) => formatCurrency(value)} />
+                                <Legend />
+                                <Bar dataKey="Cost" name="Spend" fill="#ef4444" />
+                                <Bar dataKey="Subscription Value" name="Revenue" fill="#22c55e" />
+                            </ComposedChart>
+                        </ResponsiveContainer>
+                    </div>
+                    <div>
+                        <h3 className="text-sm font-semibold text-gray-600 dark:text-gray-300 mb-2">CAC & ROI</h3>
+                        <ResponsiveContainer width="100%" height={300}>
+                            <ComposedChart data={series}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="label" />
+                                <YAxis yAxisId="cac" tickFormatter={(value) => formatCurrency(value)} width={90} />
+                                <YAxis yAxisId="roi" orientation="right" tickFormatter={(value) => formatPercentage(value)} width={80} />
+                                <Tooltip
+                                    contentStyle={tooltipStyle}
+                                    formatter={(value, name) => [name === 'ROI' ? formatPercentage(value) : formatCurrency(value), name]}
+                                />
+                                <Legend />
+                                <Line yAxisId="cac" type="monotone" dataKey="cac" name="CAC" stroke="#f97316" strokeWidth={2} dot={false} />
+                                <Line yAxisId="roi" type="monotone" dataKey="roi" name="ROI" stroke="#14b8a6" strokeWidth={2} dot={false} />
+                            </ComposedChart>
+                        </ResponsiveContainer>
+                    </div>
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default TrendPanel;
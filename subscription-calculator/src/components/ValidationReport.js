@@ -0,0 +1,163 @@
+import React, { useMemo, useState } from 'react';
+import { CircleAlert, ClipboardCheck, TriangleAlert, Wrench, X } from 'lucide-react';
+import { Button, Card, inputClassName } from './ui';
+import { hasErrors, validateRow } from '../lib/validation';
+
+const PAGE_SIZE = 50;
+
+// Shows every row the validation pass flagged and lets the user fix the values
+// in place or exclude the row before the file is imported.
+const ValidationReport = ({ fileName, results, ignoredColumns, onConfirm, onCancel }) => {
+    const [rows, setRows] = useState(results);
+    const [excluded, setExcluded] = useState(() => new Set(results.filter(result => hasErrors(result.issues)).map(result => result.line)));
+    const [severityFilter, setSeverityFilter] = useState('all');
+    const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+    // Rows stay listed after they are fixed so the user can see what changed.
+    const originalIssues = useMemo(() => new Map(results.filter(result => result.issues.length > 0).map(result => [result.line, result.issues])), [results]);
+    const flagged = useMemo(() => rows.filter(result => originalIssues.has(result.line)), [rows, originalIssues]);
+    const shown = flagged.filter(result => severityFilter === 'all' || result.issues.some(entry => entry.severity === severityFilter));
+    const errorCount = flagged.filter(result => hasErrors(result.issues)).length;
+    const blocking = flagged.filter(result => hasErrors(result.issues) && !excluded.has(result.line)).length;
+    const importCount = rows.length - excluded.size;
+
+    const updateRaw = (line, nextRaw) => {
+        const validated = validateRow(nextRaw, ignoredColumns);
+        setRows(prev => prev.map(result => (result.line === line ? { ...result, raw: nextRaw, ...validated } : result)));
+        if (!hasErrors(validated.issues)) {
+            setExcluded(prev => {
+                const next = new Set(prev);
+                next.delete(line);
+                return next;
+            });
+        }
+    };
+
+    const toggleExcluded = (line) => {
+        setExcluded(prev => {
+            const next = new Set(prev);
+            if (next.has(line)) next.delete(line); else next.add(line);
+            return next;
+        });
+    };
+
+    const applyAllFixes = () => {
+        rows.forEach(result => {
+            const fixes = result.issues.filter(entry => entry.fix);
+            if (fixes.length > 0) updateRaw(result.line, fixes.reduce((raw, entry) => entry.fix.apply(raw), result.raw));
+        });
+    };
+
+    const excludeErrors = () => {
+        setExcluded(new Set(flagged.filter(result => hasErrors(result.issues)).map(result => result.line)));
+    };
+
+    const handleImport = () => {
+        if (blocking > 0) return;
+        onConfirm(rows.filter(result => !excluded.has(result.line)).map(result => result.row));
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+            <Card className="w-full max-w-5xl max-h-[90vh] overflow-y-auto text-left">
+                <div className="flex items-start justify-between mb-4">
+                    <div>
+                        <h2 className="flex items-center gap-2 text-xl font-semibold text-gray-800 dark:text-white">
+                            <ClipboardCheck className="w-5 h-5" /> Review Data
+                        </h2>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            <span className="font-semibold">{fileName}</span>: {rows.length.toLocaleString()} rows, {flagged.length.toLocaleString()} flagged ({errorCount} with errors).
+                        </p>
+                    </div>
+                    <button onClick={onCancel} className="p-1 text-gray-500 hover:text-gray-800 dark:hover:text-white" title="Skip this file">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2 mb-4">
+                    <select value={severityFilter} onChange={(e) => setSeverityFilter(e.target.value)} className={inputClassName}>
+                        <option value="all">All flagged rows</option>
+                        <option value="error">Rows with errors</option>
+                        <option value="warning">Rows with warnings</option>
+                    </select>
+                    <Button onClick={applyAllFixes} variant="secondary"><Wrench className="w-4 h-4" /> Apply All Suggested Fixes</Button>
+                    <Button onClick={excludeErrors} variant="secondary">Exclude Rows With Errors</Button>
+                </div>
+
+                <table className="w-full text-left mb-4">
+                    <thead className="bg-gray-50 dark:bg-gray-700">
+                        <tr>
+                            {['Line', 'Issues', 'Values', 'Exclude'].map(col => (
+                                <th key={col} className="p-3 text-sm font-semibold text-gray-600 dark:text-gray-300 uppercase tracking-wider">{col}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                        {shown.slice(0, visibleCount).map(result => {
+                            const columns = [...new Set([...originalIssues.get(result.line), ...result.issues].map(entry => entry.column))];
+                            return (
+                                <tr key={result.line} className={excluded.has(result.line) ? 'opacity-50' : ''}>
+                                    <td className="p-3 text-sm font-semibold text-gray-800 dark:text-gray-200 align-top">{result.line}</td>
+                                    <td className="p-3 text-sm align-top">
+                                        {result.issues.length === 0 && <p className="text-green-600 dark:text-green-400">Fixed</p>}
+                                        <ul className="space-y-1">
+                                            {result.issues.map((entry, index) => (
+                                                <li key={index} className={`flex items-center gap-2 ${entry.severity === 'error' ? 'text-red-600 dark:text-red-400' : 'text-amber-600 dark:text-amber-400'}`}>
+                                                    {entry.severity === 'error' ? <CircleAlert className="w-4 h-4 shrink-0" /> : <TriangleAlert className="w-4 h-4 shrink-0" />}
+                                                    <span><strong>{entry.column}:</strong> {entry.message}</span>
+                                                    {entry.fix && (
+                                                        <button onClick={() => updateRaw(result.line, entry.fix.apply(result.raw))} className="text-xs font-semibold text-blue-600 hover:underline dark:text-blue-400">
+                                                            {entry.fix.label}
+                                                        </button>
+                                                    )}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </td>
+                                    <td className="p-3 text-sm align-top">
+                                        <div className="flex flex-wrap gap-2">
+                                            {columns.map(column => (
+                                                <label key={column} className="flex flex-col text-xs text-gray-500 dark:text-gray-400">
+                                                    {column}
+                                                    <input
+                                                        value={result.raw[column] ?? ''}
+                                                        onChange={(e) => updateRaw(result.line, { ...result.raw, [column]: e.target.value })}
+                                                        className={`${inputClassName} w-28 text-sm`}
+                                                    />
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </td>
+                                    <td className="p-3 text-sm align-top">
+                                        <input type="checkbox" checked={excluded.has(result.line)} onChange={() => toggleExcluded(result.line)} className="w-4 h-4" />
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+                {shown.length > visibleCount && (
+                    <div className="flex justify-center mb-4">
+                        <Button onClick={() => setVisibleCount(count => count + PAGE_SIZE)} variant="secondary">
+                            Show more ({(shown.length - visibleCount).toLocaleString()} remaining)
+                        </Button>
+                    </div>
+                )}
+
+                <div className="flex items-center justify-between gap-4">
+                    <p className="text-sm text-red-600 dark:text-red-400">
+                        {blocking > 0 && `${blocking} included rows still have errors. Fix or exclude them to continue.`}
+                    </p>
+                    <div className="flex gap-2">
+                        <Button onClick={onCancel} variant="secondary">Skip File</Button>
+                        <Button onClick={handleImport} className={blocking > 0 ? 'opacity-50 cursor-not-allowed' : ''}>
+                            Import {importCount.toLocaleString()} Rows
+                        </Button>
+                    </div>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+export default ValidationReport;
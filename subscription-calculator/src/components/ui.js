@@ -0,0 +1,168 @@
+import React, { createContext, useContext } from 'react';
+import { ArrowDownRight, ArrowUpRight, Minus } from 'lucide-react';
+import { DEFAULT_FORMATTERS, formatPercentage } from '../lib/format';
+import { METRICS } from '../lib/metrics';
+import { computeDelta } from '../lib/analytics';
+import { GOAL_METRICS, STATUS_LABELS } from '../lib/goals';
+
+// Reusable UI Components
+
+// The formatters for the reporting currency and locale (see createFormatters).
+// App provides them from the currency settings.
+export const FormattingContext = createContext(DEFAULT_FORMATTERS);
+
+export const useFormatters = () => useContext(FormattingContext);
+
+export const Card = ({ children, className = '' }) => (
+    <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${className}`}>
+        {children}
+    </div>
+);
+
+export const MetricCard = ({ title, value, icon, color, tooltip, delta, goal }) => (
+    <Card className="relative group">
+        <div className="flex items-start justify-between">
+            <div>
+                <p className="text-sm font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{title}</p>
+                <p className={`text-3xl font-bold mt-2 ${color}`}>{value}</p>
+                {delta && <div className="mt-2">{delta}</div>}
+            </div>
+            <div className={`p-3 rounded-full bg-opacity-20 ${color.replace('text-', 'bg-')}`}>
+                {icon}
+            </div>
+        </div>
+        {goal && <div className="mt-4">{goal}</div>}
+        {tooltip && (
+            <div className="absolute bottom-full mb-2 w-max px-3 py-1.5 text-sm font-medium text-white bg-gray-900 rounded-md shadow-sm opacity-0 group-hover:opacity-100 transition-opacity duration-300 dark:bg-gray-700">
+                {tooltip}
+            </div>
+        )}
+    </Card>
+);
+
+export const Button = ({ children, onClick, variant = 'primary', className = '' }) => {
+    const baseClasses = 'px-4 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center justify-center gap-2 focus:outline-none focus:ring-2 focus:ring-offset-2 dark:focus:ring-offset-gray-900';
+    const variants = {
+        primary: 'bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500',
+        secondary: 'bg-gray-200 text-gray-800 hover:bg-gray-300 focus:ring-gray-400 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600',
+        danger: 'bg-red-500 text-white hover:bg-red-600 focus:ring-red-500',
+    };
+    return (
+        <button onClick={onClick} className={`${baseClasses} ${variants[variant]} ${className}`}>
+            {children}
+        </button>
+    );
+};
+
+// Small pill-style toggle used to switch between a handful of options.
+export const SegmentedControl = ({ options, value, onChange }) => (
+    <div className="inline-flex rounded-lg bg-gray-100 dark:bg-gray-700 p-1">
+        {options.map(option => (
+            <button
+                key={option.value}
+                onClick={() => onChange(option.value)}
+                className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors duration-200 ${value === option.value ? 'bg-white text-blue-600 shadow dark:bg-gray-800 dark:text-blue-400' : 'text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-white'}`}
+            >
+                {option.label}
+            </button>
+        ))}
+    </div>
+);
+
+export const inputClassName = 'p-2 border border-gray-300 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600 focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Labelled numeric input. Empty or non-numeric input is reported as 0.
+export const NumberField = ({ label, value, onChange, min, max, step = 1, suffix, className = '' }) => (
+    <label className={`flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300 ${className}`}>
+        <span>{label}</span>
+        <span className="flex items-center gap-2">
+            <input
+                type="number"
+                value={value}
+                min={min}
+                max={max}
+                step={step}
+                onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+                className={`${inputClassName} w-full`}
+            />
+            {suffix && <span className="text-gray-500 dark:text-gray-400">{suffix}</span>}
+        </span>
+    </label>
+);
+
+// Labelled slider showing its current value through `formatValue`.
+export const RangeField = ({ label, value, onChange, min, max, step, formatValue = String }) => (
+    <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-300">
+        <span className="flex justify-between">
+            <span>{label}</span>
+            <span className="font-semibold text-gray-800 dark:text-gray-200">{formatValue(value)}</span>
+        </span>
+        <input type="range" value={value} min={min} max={max} step={step} onChange={(e) => onChange(parseFloat(e.target.value))} className="w-full accent-blue-600" />
+    </label>
+);
+
+// Change of a METRICS entry against a comparison period, coloured by whether the
+// move is good or bad for that metric. Values outside METRICS (custom metrics,
+// extra funnel stages) pass `kind` and `higherIsBetter` themselves.
+export const DeltaBadge = ({ metric, current, previous, kind = METRICS[metric].kind, higherIsBetter = METRICS[metric].higherIsBetter }) => {
+    const { formatDeltaDiff, formatMetric } = useFormatters();
+    const { diff, percent } = computeDelta(current, previous);
+    const title = `Comparison period: ${formatMetric(previous, kind)}`;
+
+    if (diff === 0) {
+        return (
+            <span title={title} className="inline-flex items-center gap-1 text-xs font-semibold text-gray-500 dark:text-gray-400">
+                <Minus className="w-3 h-3" /> No change
+            </span>
+        );
+    }
+
+    const favourable = (diff > 0) === higherIsBetter;
+    const Icon = diff > 0 ? ArrowUpRight : ArrowDownRight;
+    return (
+        <span title={title} className={`inline-flex items-center gap-1 text-xs font-semibold ${favourable ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+            <Icon className="w-3 h-3" />
+            {formatDeltaDiff(diff, kind)}
+            {percent !== null && ` (${diff > 0 ? '+' : '-'}${(Math.abs(percent) * 100).toFixed(1)}%)`}
+        </span>
+    );
+};
+
+const STATUS_COLORS = {
+    green: { dot: 'bg-green-500', text: 'text-green-600 dark:text-green-400' },
+    amber: { dot: 'bg-amber-500', text: 'text-amber-600 dark:text-amber-400' },
+    red: { dot: 'bg-red-500', text: 'text-red-600 dark:text-red-400' },
+};
+
+// Red/amber/green status of a METRICS entry against its target (see goals.js),
+// with a progress bar for monthly totals and the projection while the period runs.
+export const GoalProgress = ({ goal }) => {
+    const { formatMetric } = useFormatters();
+    const { kind } = METRICS[goal.metric];
+    const { direction, monthly } = GOAL_METRICS[goal.metric];
+    const colors = STATUS_COLORS[goal.status];
+
+    return (
+        <div className="space-y-2 text-xs">
+            <div className="flex items-center justify-between gap-2">
+                <span className={`inline-flex items-center gap-1 font-semibold ${colors ? colors.text : 'text-gray-500 dark:text-gray-400'}`}>
+                    <span className={`w-2 h-2 rounded-full ${colors ? colors.dot : 'bg-gray-400'}`} />
+                    {goal.status ? STATUS_LABELS[goal.status] : 'No data yet'}
+                </span>
+                <span className="text-gray-500 dark:text-gray-400">
+                    {monthly
+                        ? `${formatPercentage(goal.progress)} of ${formatMetric(goal.periodTarget, kind)}`
+                        : `Target ${direction === 'atLeast' ? '≥' : '≤'} ${formatMetric(goal.target, kind)}`}
+                </span>
+            </div>
+            {monthly && (
+                <div className="w-full h-2 rounded-full bg-gray-200 dark:bg-gray-700" role="progressbar" aria-label={`${METRICS[goal.metric].label} target progress`} aria-valuenow={Math.round(goal.progress * 100)}>
+                    <div className={`h-2 rounded-full ${colors ? colors.dot : 'bg-gray-400'}`} style={{ width: `${Math.min(goal.progress, 1) * 100}%` }} />
+                </div>
+            )}
+            {goal.pacing && (
+                <p className="text-gray-500 dark:text-gray-400">On pace for {formatMetric(goal.projected, kind)} by the end of the period</p>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,111 @@
+import { addDays } from 'date-fns';
+import { ALL_AD_GROUPS, deriveMetrics, emptyTotals, groupRows } from './analytics';
+import { METRICS, isMetricDefined } from './metrics';
+import { bucketRows } from './timeSeries';
+import { loadStored, store } from './storage';
+
+// Anomaly detection on daily metrics
+//
+// Each day is compared with a rolling baseline: the metric worked out from the
+// summed totals of the trailing days, so a quiet day does not weigh as much as a
+// busy one. Cost metrics alert when they rise by the metric's threshold, rates
+// when they fall by it. Every ad group is checked on its own as well as all of
+// them together.
+
+// Metrics that can be watched. METRICS says whether a rise or a fall is the problem.
+export const ALERT_METRICS = ['cpi', 'trialCost', 'cac', 'installRate', 'installToTrialRate', 'trialToPaidRate'];
+
+export const BASELINE_WINDOWS = [7, 14, 28];
+
+export const DEFAULT_ALERT_SETTINGS = {
+    // Trailing days that make up the baseline.
+    window: 7,
+    // Days whose metric base (installs for CPI, trials for trial-to-paid, ...) is
+    // below this are too small to judge and are skipped.
+    minVolume: 5,
+    // Percentage change that raises an alert; 0 turns the metric off.
+    thresholds: {
+        cpi: 200,
+        trialCost: 100,
+        cac: 100,
+        installRate: 50,
+        installToTrialRate: 50,
+        trialToPaidRate: 50,
+    },
+};
+
+const addTotals = (totals, day) => {
+    Object.keys(totals).forEach(column => { totals[column] += day[column]; });
+    return totals;
+};
+
+// Relative change in the bad direction for the metric: positive when it got worse.
+const worsening = (metric, value, baseline) => {
+    const change = value / baseline - 1;
+    return METRICS[metric].higherIsBetter ? -change : change;
+};
+
+const alertView = (adGroup, date, window) => ({
+    dateRange: { from: date, to: date },
+    adGroup,
+    compare: { mode: 'custom', range: { from: addDays(date, -window), to: addDays(date, -1) } },
+});
+
+// Alerts for one daily series. `scope` is the ad group, or ALL_AD_GROUPS.
+const detectInSeries = (series, scope, settings) => {
+    const { window, minVolume, thresholds } = settings;
+    const alerts = [];
+
+    series.forEach((day, index) => {
+        const base = { scope, date: day.date, view: alertView(scope, day.date, window) };
+
+        if (day.Cost > 0 && day.Installs === 0) {
+            alerts.push({ ...base, id: `${scope}|${day.date.getTime()}|noInstalls`, type: 'noInstalls', metric: 'Cost', value: day.Cost, severity: 'critical' });
+        }
+
+        if (index < window) return;
+        const baseline = deriveMetrics(series.slice(index - window, index).reduce(addTotals, emptyTotals()));
+
+        ALERT_METRICS.forEach(metric => {
+            const threshold = thresholds[metric] / 100;
+            if (!(threshold > 0)) return;
+            const { base: volume } = METRICS[metric];
+            if (day[volume] < minVolume || !isMetricDefined(baseline, metric) || baseline[metric] <= 0) return;
+
+            const change = worsening(metric, day[metric], baseline[metric]);
+            if (change < threshold) return;
+            alerts.push({
+                ...base,
+                id: `${scope}|${day.date.getTime()}|${metric}`,
+                type: METRICS[metric].higherIsBetter ? 'drop' : 'spike',
+                metric,
+                value: day[metric],
+                baseline: baseline[metric],
+                change,
+                severity: change >= threshold * 2 || day[metric] === 0 ? 'critical' : 'warning',
+            });
+        });
+    });
+
+    return alerts;
+};
+
+// Every alert in the rows, newest first and critical before warning on the same day.
+export const detectAnomalies = (rows, settings = DEFAULT_ALERT_SETTINGS) => {
+    const groups = [...groupRows(rows, row => row['Ad Group'])];
+    // A single ad group would only repeat the overall alerts.
+    const scopes = [[ALL_AD_GROUPS, rows], ...(groups.length > 1 ? groups : [])];
+    return scopes
+        .flatMap(([scope, scopeRows]) => detectInSeries(bucketRows(scopeRows, 'day'), scope, settings))
+        .sort((a, b) => b.date - a.date || (a.severity === b.severity ? 0 : a.severity === 'critical' ? -1 : 1));
+};
+
+const SETTINGS_STORAGE_NAME = 'alert-settings';
+
+export const loadAlertSettings = () => {
+    const stored = loadStored(SETTINGS_STORAGE_NAME);
+    if (!stored) return DEFAULT_ALERT_SETTINGS;
+    return { ...DEFAULT_ALERT_SETTINGS, ...stored, thresholds: { ...DEFAULT_ALERT_SETTINGS.thresholds, ...stored.thresholds } };
+};
+
+export const storeAlertSettings = (settings) => store(SETTINGS_STORAGE_NAME, settings);
@@ -0,0 +1,84 @@
+import { ALL_AD_GROUPS } from './analytics';
+import { DEFAULT_ALERT_SETTINGS, detectAnomalies } from './alerts';
+
+const row = (adGroup, day, values = {}) => ({
+    'Ad Group': adGroup,
+    'Start Date': new Date(2024, 0, day),
+    'End Date': new Date(2024, 0, day),
+    Clicks: 1000,
+    Cost: 100,
+    'Avg. CPC': 0.1,
+    Installs: 100,
+    Trials: 0,
+    Subscriptions: 0,
+    'Subscription Value': 0,
+    ...values,
+});
+
+// Only CPI is watched, alerting on a 100% rise.
+const cpiOnly = {
+    ...DEFAULT_ALERT_SETTINGS,
+    thresholds: { cpi: 100, trialCost: 0, cac: 0, installRate: 0, installToTrialRate: 0, trialToPaidRate: 0 },
+};
+
+// Seven days at a CPI of 1, then `last` on day 8.
+const week = (last, adGroup = 'Search') => [
+    ...[1, 2, 3, 4, 5, 6, 7].map(day => row(adGroup, day)),
+    row(adGroup, 8, last),
+];
+
+describe('detectAnomalies', () => {
+    test('alerts when a metric worsens past its threshold against the trailing days', () => {
+        const [alert, ...rest] = detectAnomalies(week({ Cost: 250 }), cpiOnly);
+
+        expect(rest).toEqual([]);
+        expect(alert).toMatchObject({ scope: ALL_AD_GROUPS, metric: 'cpi', type: 'spike', value: 2.5, baseline: 1, severity: 'warning' });
+        expect(alert.change).toBeCloseTo(1.5);
+        expect(alert.date).toEqual(new Date(2024, 0, 8));
+        expect(alert.view.compare.range).toEqual({ from: new Date(2024, 0, 1), to: new Date(2024, 0, 7) });
+    });
+
+    test('is critical at twice the threshold', () => {
+        expect(detectAnomalies(week({ Cost: 300 }), cpiOnly)[0].severity).toBe('critical');
+        expect(detectAnomalies(week({ Cost: 190 }), cpiOnly)).toEqual([]);
+    });
+
+    test('works the baseline out from the summed totals of the window, not an average of daily values', () => {
+        // Day 7 is a quiet day at a CPI of 10. Averaging the daily CPIs would give a
+        // baseline of 16 / 7; summing gives 700 / 610, which a CPI of 3 doubles.
+        const rows = [
+            ...[1, 2, 3, 4, 5, 6].map(day => row('Search', day)),
+            row('Search', 7, { Installs: 10 }),
+            row('Search', 8, { Cost: 300 }),
+        ];
+        const [alert] = detectAnomalies(rows, cpiOnly);
+
+        expect(alert.baseline).toBeCloseTo(700 / 610);
+        expect(alert.value).toBe(3);
+    });
+
+    test('only compares days with a full window behind them', () => {
+        const rows = [row('Search', 1), row('Search', 2, { Cost: 1000 })];
+
+        expect(detectAnomalies(rows, cpiOnly)).toEqual([]);
+        expect(detectAnomalies(rows, { ...cpiOnly, window: 1 })).toHaveLength(1);
+    });
+
+    test('skips days whose base is below the minimum volume', () => {
+        expect(detectAnomalies(week({ Cost: 40, Installs: 4 }), cpiOnly)).toEqual([]);
+        expect(detectAnomalies(week({ Cost: 40, Installs: 4 }), { ...cpiOnly, minVolume: 4 })).toHaveLength(1);
+    });
+
+    test('always flags spend without installs', () => {
+        const [alert] = detectAnomalies([row('Search', 1, { Installs: 0 })], cpiOnly);
+
+        expect(alert).toMatchObject({ type: 'noInstalls', metric: 'Cost', value: 100, severity: 'critical' });
+    });
+
+    test('checks every ad group on its own as well as together', () => {
+        const rows = [...week({ Cost: 300 }, 'Search'), ...week({}, 'Social')];
+
+        // Search alone has tripled its CPI; together the CPI has doubled.
+        expect(detectAnomalies(rows, cpiOnly).map(alert => [alert.scope, alert.severity])).toEqual([['Search', 'critical'], [ALL_AD_GROUPS, 'warning']]);
+    });
+});
@@ -0,0 +1,390 @@
+import { isValid, parse } from 'date-fns';
+
+// Pure analytics behind the dashboard: parsing raw values, filtering rows,
+// aggregating them, deriving ratio metrics and grouping. Nothing here touches
+// React, the DOM or storage, and no function mutates its arguments.
+//
+// A typed row has numeric Clicks, Cost, Avg. CPC, Installs, Trials,
+// Subscriptions and Subscription Value (the value of one subscription), Date
+// objects for Start Date and End Date, and a string Ad Group.
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+export const NUMERIC_COLUMNS = ['Clicks', 'Cost', 'Avg. CPC', 'Installs', 'Trials', 'Subscriptions', 'Subscription Value'];
+export const DATE_COLUMNS = ['Start Date', 'End Date'];
+
+const DATE_FORMATS = [
+    'yyyy-MM-dd',
+    "yyyy-MM-dd'T'HH:mm:ss",
+    'yyyy-MM-dd HH:mm:ss',
+    'yyyy/MM/dd',
+    'MM/dd/yyyy',
+    'dd/MM/yyyy',
+    'M/d/yy',
+    'dd.MM.yyyy',
+    'd.M.yyyy',
+    'MMM d, yyyy',
+    'MMMM d, yyyy',
+    'd MMM yyyy',
+    'd MMMM yyyy',
+    'yyyyMMdd',
+];
+
+/**
+ * Whether a raw cell is empty: undefined, null or only whitespace.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Parses numbers as written by spreadsheets in different locales: "1,234.50",
+ * "1.234,50", "$5.00", "€ 12", "1'000", "(25.00)". Numbers pass through.
+ * @param {*} value Raw cell value.
+ * @returns {number|null} The number, NaN when the value is not a number, or null when it is blank.
+ */
+export const parseNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (isBlank(value)) return null;
+
+    let text = String(value).trim();
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    text = text.replace(/[()\s '’]/g, '').replace(/^-/, '').replace(/^[^\d.,]+|[^\d.,]+$/g, '');
+    if (!/^[\d.,]+$/.test(text)) return NaN;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma !== -1 && lastDot !== -1) {
+        const decimal = lastComma > lastDot ? ',' : '.';
+        const thousands = decimal === ',' ? '.' : ',';
+        text = text.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma !== -1) {
+        // "1,234" and "1,234,567" use commas for thousands; "12,5" uses a decimal comma.
+        text = /^\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+    } else if (/^\d{1,3}(\.\d{3}){2,}$/.test(text)) {
+        text = text.replace(/\./g, '');
+    }
+
+    const number = Number(text);
+    return negative ? -number : number;
+};
+
+/**
+ * Parses a date in any of the supported formats into local midnight. Slash
+ * dates are read month-first, falling back to day-first when that is the only
+ * valid reading. Date objects pass through. Anything else, including
+ * impossible dates such as 30 February, is an Invalid Date for validation to
+ * flag rather than a guess by the Date constructor.
+ * @param {*} value Raw cell value.
+ * @returns {Date|null} The date, an Invalid Date when nothing matches, or null when the value is blank.
+ */
+export const parseDate = (value) => {
+    if (value instanceof Date) return value;
+    if (isBlank(value)) return null;
+
+    const text = String(value).trim();
+    const reference = new Date(2000, 0, 1);
+    for (const pattern of DATE_FORMATS) {
+        const date = parse(text, pattern, reference);
+        if (isValid(date) && date.getFullYear() > 1900) return date;
+    }
+    return new Date(NaN);
+};
+
+/**
+ * Whether a value is a Date that holds a real point in time.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isValidDate = (value) => value instanceof Date && isValid(value);
+
+/**
+ * Converts a raw row that uses the required column names into a typed row.
+ * Blank or unparseable numbers become 0 and missing or unparseable dates become
+ * an Invalid Date; use the validation step to report those. Other columns are
+ * kept as they are.
+ * @param {Object} raw Row keyed by column name.
+ * @returns {Object} Typed row.
+ */
+export const parseRow = (raw) => {
+    const row = { ...raw };
+    NUMERIC_COLUMNS.forEach(column => {
+        const value = parseNumber(raw[column]);
+        row[column] = value === null || isNaN(value) ? 0 : value;
+    });
+    DATE_COLUMNS.forEach(column => {
+        row[column] = parseDate(raw[column]) || new Date(NaN);
+    });
+    return row;
+};
+
+// ---------------------------------------------------------------------------
+// Filtering
+// ---------------------------------------------------------------------------
+
+/** Ad group filter value that keeps every row. */
+export const ALL_AD_GROUPS = 'All Ad Groups';
+
+/**
+ * Whether a row's Start Date falls in a range. A range without `from` matches
+ * everything and one without `to` is open-ended. Rows with an invalid Start
+ * Date only match an empty range.
+ * @param {Object} row Typed row.
+ * @param {{from?: Date, to?: Date}} [range]
+ * @returns {boolean}
+ */
+export const isInDateRange = (row, range) => {
+    const itemDate = row['Start Date'];
+    return !range?.from || (itemDate >= range.from && (!range.to || itemDate <= range.to));
+};
+
+/**
+ * @param {Object[]} rows Typed rows.
+ * @param {{from?: Date, to?: Date}} [range]
+ * @returns {Object[]} Rows whose Start Date is in the range.
+ */
+export const filterByDateRange = (rows, range) => rows.filter(row => isInDateRange(row, range));
+
+/**
+ * @param {Object[]} rows Typed rows.
+ * @param {string} adGroup An ad group name, or ALL_AD_GROUPS.
+ * @returns {Object[]} Rows of that ad group.
+ */
+export const filterByAdGroup = (rows, adGroup) => rows.filter(row => adGroup === ALL_AD_GROUPS || row['Ad Group'] === adGroup);
+
+/**
+ * The value of a dimension cell as filters and groups see it: trimmed text, with
+ * blank cells as ''.
+ * @param {*} value
+ * @returns {string}
+ */
+export const dimensionValue = (value) => (isBlank(value) ? '' : String(value).trim());
+
+/**
+ * Keeps rows whose value in each dimension column is one of the selected values.
+ * A column with no values selected does not filter.
+ * @param {Object[]} rows Typed rows.
+ * @param {Object<string, string[]>} [dimensions] Selected values per column.
+ * @returns {Object[]}
+ */
+export const filterByDimensions = (rows, dimensions = {}) => {
+    const active = Object.entries(dimensions)
+        .filter(([, values]) => values.length > 0)
+        .map(([column, values]) => [column, new Set(values)]);
+    if (active.length === 0) return rows;
+    return rows.filter(row => active.every(([column, values]) => values.has(dimensionValue(row[column]))));
+};
+
+/**
+ * Keeps rows whose value in each column lies within its range, bounds included.
+ * Either bound can be null. Rows without a number in a filtered column are dropped.
+ * @param {Object[]} rows Typed rows.
+ * @param {Object<string, {min: ?number, max: ?number}>} [ranges] Range per column.
+ * @returns {Object[]}
+ */
+export const filterByRanges = (rows, ranges = {}) => {
+    const active = Object.entries(ranges).filter(([, { min, max }]) => Number.isFinite(min) || Number.isFinite(max));
+    if (active.length === 0) return rows;
+    return rows.filter(row => active.every(([column, { min, max }]) => {
+        const value = typeof row[column] === 'number' ? row[column] : parseNumber(row[column]);
+        return Number.isFinite(value)
+            && !(Number.isFinite(min) && value < min)
+            && !(Number.isFinite(max) && value > max);
+    }));
+};
+
+/**
+ * Applies the column filters of a filter state: dimension values and numeric
+ * ranges, but not the date range or ad group.
+ * @param {Object[]} rows Typed rows.
+ * @param {{dimensions?: Object<string, string[]>, ranges?: Object<string, {min: ?number, max: ?number}>}} filters
+ * @returns {Object[]}
+ */
+export const applyColumnFilters = (rows, { dimensions, ranges }) => filterByRanges(filterByDimensions(rows, dimensions), ranges);
+
+/**
+ * Applies every filter of a filter state: the date range, ad group and column filters.
+ * @param {Object[]} rows Typed rows.
+ * @param {{dateRange?: {from?: Date, to?: Date}, adGroup?: string, dimensions?: Object, ranges?: Object}} filters
+ * @returns {Object[]}
+ */
+export const applyFilters = (rows, { dateRange, adGroup = ALL_AD_GROUPS, dimensions, ranges }) => (
+    applyColumnFilters(filterByAdGroup(filterByDateRange(rows, dateRange), adGroup), { dimensions, ranges })
+);
+
+/**
+ * The latest Start Date among the rows, or the epoch when there is none.
+ * @param {Object[]} rows Typed rows.
+ * @returns {Date}
+ */
+export const latestStartDate = (rows) => rows.reduce((latest, row) => (row['Start Date'] > latest ? row['Start Date'] : latest), new Date(0));
+
+/**
+ * Distinct ad groups in order of first appearance.
+ * @param {Object[]} rows Typed rows.
+ * @returns {string[]}
+ */
+export const listAdGroups = (rows) => [...new Set(rows.map(row => row['Ad Group']))];
+
+// ---------------------------------------------------------------------------
+// Aggregation
+// ---------------------------------------------------------------------------
+
+/**
+ * Division that returns 0 instead of Infinity or NaN when the denominator is 0.
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {number}
+ */
+export const safeDivide = (numerator, denominator) => (denominator ? numerator / denominator : 0);
+
+/**
+ * Totals of an empty selection.
+ * @returns {{Clicks: number, Cost: number, Installs: number, Trials: number, Subscriptions: number, 'Subscription Value': number}}
+ */
+export const emptyTotals = () => ({ Clicks: 0, Cost: 0, Installs: 0, Trials: 0, Subscriptions: 0, 'Subscription Value': 0 });
+
+/**
+ * Sums the funnel counts of a set of rows. 'Subscription Value' in the result
+ * is revenue (Subscriptions * per-subscription value), not the per-row unit value.
+ * @param {Object[]} rows Typed rows.
+ * @returns {Object} Totals in the shape of emptyTotals().
+ */
+export const sumRows = (rows) => rows.reduce((acc, row) => {
+    acc.Clicks += row.Clicks;
+    acc.Cost += row.Cost;
+    acc.Installs += row.Installs;
+    acc.Trials += row.Trials;
+    acc.Subscriptions += row.Subscriptions;
+    acc['Subscription Value'] += row.Subscriptions * row['Subscription Value'];
+    return acc;
+}, emptyTotals());
+
+/**
+ * Sums columns outside the typed ones, such as an Impressions or Signups column
+ * carried over from the import. Their cells are still raw, so they are parsed
+ * here; blank and non-numeric cells count as 0.
+ * @param {Object[]} rows Typed rows.
+ * @param {string[]} columns
+ * @returns {Object} Total per column.
+ */
+export const sumColumns = (rows, columns) => Object.fromEntries(columns.map(column => [
+    column,
+    rows.reduce((sum, row) => {
+        const value = parseNumber(row[column]);
+        return Number.isFinite(value) ? sum + value : sum;
+    }, 0),
+]));
+
+// ---------------------------------------------------------------------------
+// Derived metrics
+// ---------------------------------------------------------------------------
+
+/**
+ * Adds the ratio metrics to a set of totals. Every ratio is 0 when its
+ * denominator is 0.
+ * @param {Object} totals Totals as returned by sumRows.
+ * @returns {Object} The totals plus cpi, installRate, installToTrialRate, trialCost,
+ *     installToPaidRate, trialToPaidRate, cac, valueCostRatio, overallConversion and roi.
+ */
+export const deriveMetrics = (totals) => ({
+    ...totals,
+    cpi: safeDivide(totals.Cost, totals.Installs),
+    installRate: safeDivide(totals.Installs, totals.Clicks),
+    installToTrialRate: safeDivide(totals.Trials, totals.Installs),
+    trialCost: safeDivide(totals.Cost, totals.Trials),
+    installToPaidRate: safeDivide(totals.Subscriptions, totals.Installs),
+    trialToPaidRate: safeDivide(totals.Subscriptions, totals.Trials),
+    cac: safeDivide(totals.Cost, totals.Subscriptions),
+    valueCostRatio: safeDivide(totals['Subscription Value'], totals.Cost),
+    overallConversion: safeDivide(totals.Subscriptions, totals.Clicks),
+    roi: safeDivide(totals['Subscription Value'] - totals.Cost, totals.Cost)
+});
+
+/**
+ * Totals and derived metrics of a set of rows.
+ * @param {Object[]} rows Typed rows.
+ * @returns {Object}
+ */
+export const summarize = (rows) => deriveMetrics(sumRows(rows));
+
+/** The default funnel stages, widest first. Users can configure their own (see funnel.js). */
+export const FUNNEL_STAGES = ['Clicks', 'Installs', 'Trials', 'Subscriptions'];
+
+/**
+ * Each step between two consecutive funnel stages.
+ * @param {string[]} [stages] Stage columns, widest first.
+ * @returns {{from: string, to: string}[]}
+ */
+export const funnelSteps = (stages = FUNNEL_STAGES) => stages.slice(1).map((to, index) => ({ from: stages[index], to }));
+
+/**
+ * Share of one stage that reaches the next, from the totals.
+ * @param {Object} totals Totals with a value for both stages.
+ * @param {{from: string, to: string}} step
+ * @returns {number}
+ */
+export const stepRate = (totals, { from, to }) => safeDivide(totals[to], totals[from]);
+
+/**
+ * The funnel of a summary as chart data.
+ * @param {Object} summary As returned by summarize, plus any extra stage totals.
+ * @param {string[]} [stages] Stage columns, widest first.
+ * @returns {{name: string, value: number}[]}
+ */
+export const funnelData = (summary, stages = FUNNEL_STAGES) => stages.map(stage => ({ name: stage, value: summary[stage] }));
+
+/**
+ * The funnel step that keeps the smallest share of the stage before it. Steps
+ * whose earlier stage is empty are skipped.
+ * @param {Object} summary As returned by summarize, plus any extra stage totals.
+ * @param {string[]} [stages] Stage columns, widest first.
+ * @returns {{from: string, to: string, rate: number}|null} Null when no step has any volume.
+ */
+export const biggestDropOff = (summary, stages = FUNNEL_STAGES) => funnelSteps(stages)
+    .filter(step => summary[step.from] > 0)
+    .map(step => ({ ...step, rate: stepRate(summary, step) }))
+    .reduce((weakest, step) => (!weakest || step.rate < weakest.rate ? step : weakest), null);
+
+/**
+ * Change of a value between two periods.
+ * @param {number} current
+ * @param {number} previous
+ * @returns {{diff: number, percent: number|null}} `percent` is null when the earlier value is 0.
+ */
+export const computeDelta = (current, previous) => ({
+    diff: current - previous,
+    percent: previous ? (current - previous) / Math.abs(previous) : null,
+});
+
+// ---------------------------------------------------------------------------
+// Grouping
+// ---------------------------------------------------------------------------
+
+/**
+ * Splits rows by key, keeping keys in order of first appearance.
+ * @param {Object[]} rows
+ * @param {function(Object): *} keyFn
+ * @returns {Map<*, Object[]>}
+ */
+export const groupRows = (rows, keyFn) => {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = keyFn(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+    return groups;
+};
+
+/**
+ * The full summary for every distinct value returned by keyFn, largest spend first.
+ * @param {Object[]} rows Typed rows.
+ * @param {function(Object): *} keyFn
+ * @returns {Object[]} Summaries with `key` and `rowCount` added.
+ */
+export const summarizeBy = (rows, keyFn) => [...groupRows(rows, keyFn).entries()]
+    .map(([key, keyRows]) => ({ key, rowCount: keyRows.length, ...summarize(keyRows) }))
+    .sort((a, b) => b.Cost - a.Cost);
@@ -0,0 +1,348 @@
+import {
+    ALL_AD_GROUPS, FUNNEL_STAGES,
+    applyFilters, biggestDropOff, computeDelta, deriveMetrics, dimensionValue, emptyTotals, filterByAdGroup, filterByDateRange,
+    filterByDimensions, filterByRanges, funnelData, funnelSteps, groupRows, isBlank, isInDateRange, isValidDate, latestStartDate, listAdGroups,
+    parseDate, parseNumber, parseRow, safeDivide, stepRate, sumColumns, sumRows, summarize, summarizeBy
+} from './analytics';
+
+const row = (adGroup, start, values = {}) => ({
+    'Ad Group': adGroup,
+    'Start Date': start,
+    'End Date': start,
+    Clicks: 1000,
+    Cost: 500,
+    'Avg. CPC': 0.5,
+    Installs: 100,
+    Trials: 40,
+    Subscriptions: 10,
+    'Subscription Value': 60,
+    ...values,
+});
+
+const rows = [
+    row('Search', new Date(2024, 0, 1)),
+    row('Social', new Date(2024, 0, 8), { Clicks: 800, Cost: 700, Installs: 60, Trials: 20, Subscriptions: 3 }),
+    row('Search', new Date(2024, 1, 1), { Cost: 300 }),
+];
+
+describe('parsing', () => {
+    test('isBlank treats undefined, null and whitespace as blank', () => {
+        expect(isBlank(undefined)).toBe(true);
+        expect(isBlank(null)).toBe(true);
+        expect(isBlank('  ')).toBe(true);
+        expect(isBlank(0)).toBe(false);
+        expect(isBlank('x')).toBe(false);
+    });
+
+    test.each([
+        ['1234', 1234],
+        ['1,234.50', 1234.5],
+        ['1.234,50', 1234.5],
+        ['12,5', 12.5],
+        ['1,234,567', 1234567],
+        ['1.234.567', 1234567],
+        ['$5.00', 5],
+        ['€ 12', 12],
+        ["1'000", 1000],
+        ['(25.00)', -25],
+        ['-3', -3],
+        [42, 42],
+    ])('parseNumber(%p) is %p', (input, expected) => {
+        expect(parseNumber(input)).toBe(expected);
+    });
+
+    test('parseNumber returns null for blanks and NaN for text', () => {
+        expect(parseNumber('')).toBeNull();
+        expect(parseNumber(undefined)).toBeNull();
+        expect(parseNumber('abc')).toBeNaN();
+        expect(parseNumber('1-2')).toBeNaN();
+    });
+
+    test.each([
+        ['2024-03-05'],
+        ['2024/03/05'],
+        ['03/05/2024'],
+        ['05.03.2024'],
+        ['Mar 5, 2024'],
+        ['5 March 2024'],
+        ['20240305'],
+    ])('parseDate(%p) is local midnight on 5 March 2024', (input) => {
+        const date = parseDate(input);
+        expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2024, 2, 5, 0]);
+    });
+
+    test('parseDate reads slash dates day-first when month-first is impossible', () => {
+        const date = parseDate('25/03/2024');
+        expect([date.getMonth(), date.getDate()]).toEqual([2, 25]);
+    });
+
+    test('parseDate passes dates through, returns null for blanks and Invalid Date for bad input', () => {
+        const date = new Date(2024, 0, 1);
+        expect(parseDate(date)).toBe(date);
+        expect(parseDate('')).toBeNull();
+        expect(isValidDate(parseDate('not a date'))).toBe(false);
+        expect(isValidDate(parseDate('2024-13-45'))).toBe(false);
+    });
+
+    test.each([
+        ['2024-02-30'],
+        ['02/30/2024'],
+        ['2024-03-05T10:00:00Z'],
+        ['Tuesday 5th March'],
+    ])('parseDate(%p) matches no supported format and is an Invalid Date', (input) => {
+        expect(isValidDate(parseDate(input))).toBe(false);
+    });
+
+    test('isValidDate only accepts real dates', () => {
+        expect(isValidDate(new Date(2024, 0, 1))).toBe(true);
+        expect(isValidDate(new Date(NaN))).toBe(false);
+        expect(isValidDate('2024-01-01')).toBe(false);
+        expect(isValidDate(null)).toBe(false);
+    });
+
+    test('parseRow types numbers and dates and keeps other columns', () => {
+        const raw = {
+            'Ad Group': 'Search', Clicks: '1,000', Cost: '$500', 'Avg. CPC': '0.5', Installs: '100', Trials: '40',
+            Subscriptions: '10', 'Subscription Value': '60', 'Start Date': '2024-01-01', 'End Date': '2024-01-07', Country: 'DE',
+        };
+        const parsed = parseRow(raw);
+        expect(parsed.Clicks).toBe(1000);
+        expect(parsed.Cost).toBe(500);
+        expect(parsed['Start Date']).toEqual(new Date(2024, 0, 1));
+        expect(parsed.Country).toBe('DE');
+        expect(raw.Clicks).toBe('1,000');
+    });
+
+    test('parseRow turns blank or bad numbers into 0 and bad dates into Invalid Date', () => {
+        const parsed = parseRow({ Clicks: '', Cost: 'n/a', 'Start Date': 'soon' });
+        expect(parsed.Clicks).toBe(0);
+        expect(parsed.Cost).toBe(0);
+        expect(parsed.Installs).toBe(0);
+        expect(isValidDate(parsed['Start Date'])).toBe(false);
+        expect(isValidDate(parsed['End Date'])).toBe(false);
+    });
+});
+
+describe('filtering', () => {
+    test('an empty or missing range matches every row', () => {
+        expect(filterByDateRange(rows, undefined)).toHaveLength(3);
+        expect(filterByDateRange(rows, { from: undefined, to: undefined })).toHaveLength(3);
+    });
+
+    test('ranges are inclusive and can be open-ended', () => {
+        expect(filterByDateRange(rows, { from: new Date(2024, 0, 1), to: new Date(2024, 0, 8) })).toHaveLength(2);
+        expect(filterByDateRange(rows, { from: new Date(2024, 0, 2) })).toHaveLength(2);
+    });
+
+    test('rows with an invalid Start Date only match an empty range', () => {
+        const bad = row('Search', new Date(NaN));
+        expect(isInDateRange(bad, undefined)).toBe(true);
+        expect(isInDateRange(bad, { from: new Date(2000, 0, 1) })).toBe(false);
+    });
+
+    test('filterByAdGroup keeps one group, or every row for ALL_AD_GROUPS', () => {
+        expect(filterByAdGroup(rows, 'Social')).toHaveLength(1);
+        expect(filterByAdGroup(rows, ALL_AD_GROUPS)).toHaveLength(3);
+        expect(filterByAdGroup(rows, 'Missing')).toEqual([]);
+    });
+
+    test('applyFilters combines the date range and ad group', () => {
+        expect(applyFilters(rows, { dateRange: { from: new Date(2024, 0, 1), to: new Date(2024, 0, 31) }, adGroup: 'Search' })).toEqual([rows[0]]);
+        expect(applyFilters(rows, {})).toHaveLength(3);
+    });
+
+    test('filterByDimensions keeps rows with a selected value in every filtered column', () => {
+        const tagged = [
+            { ...rows[0], Country: 'US', Platform: 'iOS' },
+            { ...rows[1], Country: ' CA ', Platform: 'iOS' },
+            { ...rows[2], Platform: 'Android' },
+        ];
+        expect(filterByDimensions(tagged, { Country: ['US', 'CA'] })).toEqual(tagged.slice(0, 2));
+        expect(filterByDimensions(tagged, { Country: ['US', 'CA'], Platform: ['Android'] })).toEqual([]);
+        expect(filterByDimensions(tagged, { Country: [''] })).toEqual([tagged[2]]);
+        expect(filterByDimensions(tagged, { Country: [] })).toHaveLength(3);
+        expect(dimensionValue(undefined)).toBe('');
+    });
+
+    test('filterByRanges applies inclusive bounds to typed and raw columns', () => {
+        const extra = rows.map((r, i) => ({ ...r, Impressions: ['5,000', '', '12000'][i] }));
+        expect(filterByRanges(rows, { Cost: { min: 500, max: null } })).toEqual(rows.slice(0, 2));
+        expect(filterByRanges(rows, { Cost: { min: 300, max: 500 } })).toEqual([rows[0], rows[2]]);
+        expect(filterByRanges(rows, { Cost: { min: 701, max: null } })).toEqual([]);
+        expect(filterByRanges(extra, { Impressions: { min: null, max: 5000 } })).toEqual([extra[0]]);
+        expect(filterByRanges(extra, { Impressions: { min: null, max: null } })).toHaveLength(3);
+    });
+
+    test('applyFilters also applies the column filters', () => {
+        const tagged = rows.map((r, i) => ({ ...r, Country: i === 0 ? 'US' : 'CA' }));
+        expect(applyFilters(tagged, { adGroup: 'Search', dimensions: { Country: ['CA'] } })).toEqual([tagged[2]]);
+        expect(applyFilters(tagged, { ranges: { Clicks: { min: 2000, max: null } } })).toEqual([]);
+    });
+
+    test('latestStartDate finds the newest row, or the epoch for no rows', () => {
+        expect(latestStartDate(rows)).toEqual(new Date(2024, 1, 1));
+        expect(latestStartDate([])).toEqual(new Date(0));
+    });
+
+    test('listAdGroups lists each group once in order of appearance', () => {
+        expect(listAdGroups(rows)).toEqual(['Search', 'Social']);
+        expect(listAdGroups([])).toEqual([]);
+    });
+});
+
+describe('aggregation', () => {
+    test('safeDivide returns 0 for a zero denominator', () => {
+        expect(safeDivide(10, 4)).toBe(2.5);
+        expect(safeDivide(10, 0)).toBe(0);
+        expect(safeDivide(0, 0)).toBe(0);
+    });
+
+    test('sumRows adds the counts and turns the unit value into revenue', () => {
+        expect(sumRows(rows)).toEqual({
+            Clicks: 2800,
+            Cost: 1500,
+            Installs: 260,
+            Trials: 100,
+            Subscriptions: 23,
+            'Subscription Value': 23 * 60,
+        });
+    });
+
+    test('sumRows of no rows is the empty totals', () => {
+        expect(sumRows([])).toEqual(emptyTotals());
+    });
+
+    test('sumColumns parses and sums extra columns, skipping blank and bad cells', () => {
+        const extra = [
+            { Impressions: '10,000', Signups: '12' },
+            { Impressions: 5000, Signups: '' },
+            { Impressions: 'n/a' },
+        ];
+        expect(sumColumns(extra, ['Impressions', 'Signups', 'Missing'])).toEqual({ Impressions: 15000, Signups: 12, Missing: 0 });
+    });
+
+    test('emptyTotals returns a new object each time', () => {
+        const totals = emptyTotals();
+        totals.Cost = 5;
+        expect(emptyTotals().Cost).toBe(0);
+    });
+});
+
+describe('derived metrics', () => {
+    test('summarize derives every ratio from the totals', () => {
+        const summary = summarize([rows[0]]);
+        expect(summary.cpi).toBe(5);
+        expect(summary.installRate).toBe(0.1);
+        expect(summary.installToTrialRate).toBe(0.4);
+        expect(summary.trialCost).toBe(12.5);
+        expect(summary.installToPaidRate).toBe(0.1);
+        expect(summary.trialToPaidRate).toBe(0.25);
+        expect(summary.cac).toBe(50);
+        expect(summary.valueCostRatio).toBe(1.2);
+        expect(summary.overallConversion).toBe(0.01);
+        expect(summary.roi).toBeCloseTo(0.2);
+    });
+
+    test('ratios are recomputed from totals, not averaged across rows', () => {
+        const summary = summarize(rows.slice(0, 2));
+        expect(summary.cac).toBeCloseTo(1200 / 13);
+        expect(summary.installRate).toBeCloseTo(160 / 1800);
+    });
+
+    test('every ratio is 0 for empty data', () => {
+        const summary = summarize([]);
+        ['cpi', 'installRate', 'installToTrialRate', 'trialCost', 'installToPaidRate', 'trialToPaidRate', 'cac', 'valueCostRatio', 'overallConversion', 'roi']
+            .forEach(metric => expect(summary[metric]).toBe(0));
+    });
+
+    test('zero denominators give 0 rather than Infinity or NaN', () => {
+        const summary = deriveMetrics({ ...emptyTotals(), Cost: 100, Clicks: 50 });
+        expect(summary.cpi).toBe(0);
+        expect(summary.cac).toBe(0);
+        expect(summary.trialCost).toBe(0);
+        expect(summary.roi).toBe(-1);
+        expect(Object.values(summary).every(Number.isFinite)).toBe(true);
+    });
+
+    test('funnelData lists the stages in order', () => {
+        expect(funnelData(summarize([rows[0]]))).toEqual([
+            { name: 'Clicks', value: 1000 },
+            { name: 'Installs', value: 100 },
+            { name: 'Trials', value: 40 },
+            { name: 'Subscriptions', value: 10 },
+        ]);
+        expect(funnelData(summarize([])).map(stage => stage.name)).toEqual(FUNNEL_STAGES);
+    });
+
+    test('biggestDropOff picks the step with the lowest conversion', () => {
+        expect(biggestDropOff(summarize([rows[0]]))).toEqual({ from: 'Clicks', to: 'Installs', rate: 0.1 });
+        const leakyTrials = summarize([row('A', new Date(2024, 0, 1), { Clicks: 100, Installs: 80, Trials: 60, Subscriptions: 1 })]);
+        expect(biggestDropOff(leakyTrials).to).toBe('Subscriptions');
+    });
+
+    test('biggestDropOff skips empty stages and is null without volume', () => {
+        expect(biggestDropOff(summarize([]))).toBeNull();
+        const noTrials = summarize([row('A', new Date(2024, 0, 1), { Clicks: 100, Installs: 50, Trials: 0, Subscriptions: 0 })]);
+        expect(biggestDropOff(noTrials).to).toBe('Trials');
+    });
+
+    test('funnelSteps pairs consecutive stages', () => {
+        expect(funnelSteps()).toEqual([
+            { from: 'Clicks', to: 'Installs' },
+            { from: 'Installs', to: 'Trials' },
+            { from: 'Trials', to: 'Subscriptions' },
+        ]);
+        expect(funnelSteps(['Clicks'])).toEqual([]);
+    });
+
+    test('stepRate matches the built-in conversion metrics', () => {
+        const summary = summarize([rows[0]]);
+        expect(stepRate(summary, { from: 'Installs', to: 'Trials' })).toBe(summary.installToTrialRate);
+        expect(stepRate(summary, { from: 'Trials', to: 'Subscriptions' })).toBe(summary.trialToPaidRate);
+        expect(stepRate(emptyTotals(), { from: 'Clicks', to: 'Installs' })).toBe(0);
+    });
+
+    test('custom stages drive the funnel and its drop-off', () => {
+        const totals = { Impressions: 10000, Clicks: 1000, Signups: 50, Subscriptions: 10 };
+        const stages = ['Impressions', 'Clicks', 'Signups', 'Subscriptions'];
+        expect(funnelData(totals, stages).map(stage => stage.value)).toEqual([10000, 1000, 50, 10]);
+        expect(biggestDropOff(totals, stages)).toEqual({ from: 'Clicks', to: 'Signups', rate: 0.05 });
+    });
+
+    test('computeDelta reports the difference and the relative change', () => {
+        expect(computeDelta(150, 100)).toEqual({ diff: 50, percent: 0.5 });
+        expect(computeDelta(-50, -100)).toEqual({ diff: 50, percent: 0.5 });
+    });
+
+    test('computeDelta has no relative change from zero', () => {
+        expect(computeDelta(10, 0)).toEqual({ diff: 10, percent: null });
+        expect(computeDelta(0, 0)).toEqual({ diff: 0, percent: null });
+    });
+});
+
+describe('grouping', () => {
+    test('groupRows keeps keys in order of first appearance', () => {
+        const groups = groupRows(rows, r => r['Ad Group']);
+        expect([...groups.keys()]).toEqual(['Search', 'Social']);
+        expect(groups.get('Search')).toEqual([rows[0], rows[2]]);
+    });
+
+    test('summarizeBy summarises each group, largest spend first', () => {
+        const groups = summarizeBy(rows, r => r['Ad Group']);
+        expect(groups.map(group => group.key)).toEqual(['Search', 'Social']);
+        expect(groups[0]).toMatchObject({ key: 'Search', rowCount: 2, Cost: 800, Subscriptions: 20 });
+        expect(groups[0].cac).toBe(40);
+    });
+
+    test('summarizeBy of no rows is empty', () => {
+        expect(summarizeBy([], r => r['Ad Group'])).toEqual([]);
+    });
+
+    test('functions do not mutate their input', () => {
+        const snapshot = JSON.stringify(rows);
+        summarizeBy(rows, r => r['Ad Group']);
+        applyFilters(rows, { adGroup: 'Search' });
+        sumRows(rows);
+        expect(JSON.stringify(rows)).toBe(snapshot);
+    });
+});
@@ -0,0 +1,147 @@
+import { DATE_COLUMNS } from './analytics';
+import { loadStored, store } from './storage';
+
+// Mapping of arbitrary export headers onto the calculator's required columns
+
+export const REQUIRED_COLUMNS = ['Clicks', 'Cost', 'Avg. CPC', 'Installs', 'Trials', 'Subscriptions', 'Subscription Value', 'Start Date', 'End Date', 'Ad Group'];
+
+// Columns that are picked up when present but never required.
+export const OPTIONAL_COLUMNS = ['Currency'];
+
+// Columns that cannot be left empty: every row needs a date range and an ad group.
+export const NON_IGNORABLE_COLUMNS = ['Start Date', 'End Date', 'Ad Group'];
+
+// Header names used by the common ad network exports for each required column.
+export const COLUMN_SYNONYMS = {
+    Clicks: ['clicks', 'taps', 'link clicks', 'clicks all', 'outbound clicks'],
+    Cost: ['cost', 'spend', 'amount spent', 'spend usd', 'total spend', 'local spend'],
+    'Avg. CPC': ['avg cpc', 'average cpc', 'cpc', 'cost per click', 'avg cpt', 'average cpt', 'cost per tap', 'cpc all'],
+    Installs: ['installs', 'downloads', 'app installs', 'mobile app installs', 'new downloads', 'conversions'],
+    Trials: ['trials', 'free trials', 'trial starts', 'start trial', 'trials started'],
+    Subscriptions: ['subscriptions', 'subscribers', 'purchases', 'paid subscriptions', 'subscribe', 'conversions paid'],
+    'Subscription Value': ['subscription value', 'price', 'subscription price', 'value per subscription', 'purchase value', 'average purchase value'],
+    'Start Date': ['start date', 'reporting starts', 'day', 'date', 'week', 'start'],
+    'End Date': ['end date', 'reporting ends', 'day', 'date', 'end'],
+    'Ad Group': ['ad group', 'ad group name', 'adgroup', 'campaign', 'campaign name', 'ad set', 'ad set name', 'adset name'],
+    Currency: ['currency', 'currency code', 'account currency', 'cost currency'],
+};
+
+const MAPPABLE_COLUMNS = [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS];
+
+const MATCH_THRESHOLD = 0.6;
+
+export const normalizeHeader = (header) => String(header).toLowerCase().replace(/\(.*?\)/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+
+const bigrams = (text) => {
+    const compact = text.replace(/\s+/g, '');
+    const pairs = [];
+    for (let i = 0; i < compact.length - 1; i++) pairs.push(compact.slice(i, i + 2));
+    return pairs;
+};
+
+// Sørensen–Dice similarity of two strings' letter pairs, between 0 and 1.
+export const similarity = (a, b) => {
+    if (a === b) return 1;
+    const left = bigrams(a);
+    const right = bigrams(b);
+    if (left.length === 0 || right.length === 0) return 0;
+    const counts = new Map();
+    left.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+    let matches = 0;
+    right.forEach(pair => {
+        if (counts.get(pair) > 0) {
+            matches++;
+            counts.set(pair, counts.get(pair) - 1);
+        }
+    });
+    return (2 * matches) / (left.length + right.length);
+};
+
+const scoreHeader = (header, column) => {
+    const normalized = normalizeHeader(header);
+    return Math.max(...COLUMN_SYNONYMS[column].map(synonym => similarity(normalized, synonym)));
+};
+
+export const columnMapping = (column) => ({ type: 'column', column });
+export const constantMapping = (value = '') => ({ type: 'constant', value });
+export const IGNORE_MAPPING = { type: 'ignore' };
+export const UNMAPPED = { type: 'unmapped' };
+
+// Suggests a source header for every required and optional column. A header is
+// only given to the column it matches best, except that one date header may serve
+// both the start and end of a daily export. Optional columns without a match are
+// ignored rather than left for the user to map.
+export const suggestMapping = (headers) => {
+    const candidates = MAPPABLE_COLUMNS.map(column => {
+        const ranked = headers
+            .map(header => ({ header, score: scoreHeader(header, column) }))
+            .sort((a, b) => b.score - a.score);
+        return { column, ...(ranked[0] || { header: null, score: 0 }) };
+    });
+
+    const claimed = new Map();
+    candidates
+        .filter(candidate => candidate.score >= MATCH_THRESHOLD && !DATE_COLUMNS.includes(candidate.column))
+        .sort((a, b) => b.score - a.score)
+        .forEach(candidate => {
+            if (!claimed.has(candidate.header)) claimed.set(candidate.header, candidate.column);
+        });
+
+    const missing = (column) => (OPTIONAL_COLUMNS.includes(column) ? IGNORE_MAPPING : UNMAPPED);
+    return Object.fromEntries(candidates.map(({ column, header, score }) => {
+        if (score < MATCH_THRESHOLD) return [column, missing(column)];
+        if (DATE_COLUMNS.includes(column)) return [column, columnMapping(header)];
+        return [column, claimed.get(header) === column ? columnMapping(header) : missing(column)];
+    }));
+};
+
+// Re-targets a saved mapping at a new file, dropping references to headers it lacks.
+export const adaptMapping = (mapping, headers) => Object.fromEntries(MAPPABLE_COLUMNS.map(column => {
+    const fallback = OPTIONAL_COLUMNS.includes(column) ? IGNORE_MAPPING : UNMAPPED;
+    const entry = mapping[column] || fallback;
+    return [column, entry.type === 'column' && !headers.includes(entry.column) ? fallback : entry];
+}));
+
+export const unmappedColumns = (mapping) => REQUIRED_COLUMNS.filter(column => !mapping[column] || mapping[column].type === 'unmapped');
+
+const resolveValue = (row, entry) => {
+    if (entry.type === 'column') return row[entry.column];
+    if (entry.type === 'constant') return entry.value;
+    return '';
+};
+
+// Renames raw CSV rows to the required column names. Source columns that are not
+// used by the mapping are carried over unchanged; ignored optional columns are
+// left out.
+export const applyMapping = (rows, mapping) => {
+    const usedHeaders = new Set(Object.values(mapping).filter(entry => entry.type === 'column').map(entry => entry.column));
+    return rows.map(row => {
+        const mapped = {};
+        Object.entries(row).forEach(([header, value]) => {
+            if (!usedHeaders.has(header)) mapped[header] = value;
+        });
+        REQUIRED_COLUMNS.forEach(column => {
+            mapped[column] = resolveValue(row, mapping[column] || IGNORE_MAPPING);
+        });
+        OPTIONAL_COLUMNS.forEach(column => {
+            const entry = mapping[column] || IGNORE_MAPPING;
+            if (entry.type === 'column' || entry.type === 'constant') mapped[column] = resolveValue(row, entry);
+        });
+        return mapped;
+    });
+};
+
+// Named mapping presets live in localStorage so they survive between uploads.
+const PRESETS_STORAGE_NAME = 'mapping-presets';
+
+export const loadPresets = () => loadStored(PRESETS_STORAGE_NAME) || {};
+
+const storePresets = (presets) => store(PRESETS_STORAGE_NAME, presets);
+
+export const savePreset = (name, mapping) => storePresets({ ...loadPresets(), [name]: mapping });
+
+export const deletePreset = (name) => {
+    const presets = loadPresets();
+    delete presets[name];
+    return storePresets(presets);
+};
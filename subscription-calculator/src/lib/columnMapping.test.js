@@ -0,0 +1,108 @@
+import {
+    IGNORE_MAPPING, UNMAPPED, adaptMapping, applyMapping, columnMapping, constantMapping, deletePreset, loadPresets,
+    normalizeHeader, savePreset, similarity, suggestMapping, unmappedColumns
+} from './columnMapping';
+
+const META_HEADERS = [
+    'Ad Set Name', 'Reporting Starts', 'Reporting Ends', 'Amount Spent (USD)', 'Link Clicks', 'CPC (All)',
+    'App Installs', 'Trials Started', 'Purchases', 'Purchase Value',
+];
+
+afterEach(() => {
+    window.localStorage.clear();
+});
+
+describe('header matching', () => {
+    test('similarity is the Dice coefficient of the letter pairs', () => {
+        expect(similarity('spend', 'spend')).toBe(1);
+        // night and nacht share only "ht" of four pairs each.
+        expect(similarity('night', 'nacht')).toBe(0.25);
+        expect(similarity('a', 'b')).toBe(0);
+    });
+
+    test('normalizeHeader drops case, punctuation and bracketed notes', () => {
+        expect(normalizeHeader('Amount Spent (USD)')).toBe('amount spent');
+        expect(normalizeHeader('Avg._CPC')).toBe('avg cpc');
+    });
+});
+
+describe('suggestMapping', () => {
+    test('maps the headers of a Meta export onto the required columns', () => {
+        const mapping = suggestMapping(META_HEADERS);
+
+        expect(mapping).toEqual({
+            'Ad Group': columnMapping('Ad Set Name'),
+            'Start Date': columnMapping('Reporting Starts'),
+            'End Date': columnMapping('Reporting Ends'),
+            Cost: columnMapping('Amount Spent (USD)'),
+            Clicks: columnMapping('Link Clicks'),
+            'Avg. CPC': columnMapping('CPC (All)'),
+            Installs: columnMapping('App Installs'),
+            Trials: columnMapping('Trials Started'),
+            Subscriptions: columnMapping('Purchases'),
+            'Subscription Value': columnMapping('Purchase Value'),
+            Currency: IGNORE_MAPPING,
+        });
+    });
+
+    test('lets one date header serve as both start and end of a daily export', () => {
+        const mapping = suggestMapping(['Date', 'Campaign', 'Spend']);
+
+        expect(mapping['Start Date']).toEqual(columnMapping('Date'));
+        expect(mapping['End Date']).toEqual(columnMapping('Date'));
+    });
+
+    test('gives a header only to the column it matches best', () => {
+        const mapping = suggestMapping(['Conversions']);
+
+        expect(mapping.Installs).toEqual(columnMapping('Conversions'));
+        expect(mapping.Subscriptions).toEqual(UNMAPPED);
+    });
+
+    test('leaves required columns without a close match unmapped', () => {
+        const mapping = suggestMapping(['Impressions']);
+
+        expect(unmappedColumns(mapping)).toHaveLength(10);
+        expect(mapping.Currency).toEqual(IGNORE_MAPPING);
+    });
+});
+
+describe('adaptMapping', () => {
+    test('drops headers the new file lacks and keeps constants', () => {
+        const mapping = { ...suggestMapping(META_HEADERS), Trials: constantMapping('0') };
+        const adapted = adaptMapping(mapping, META_HEADERS.filter(header => header !== 'Purchases'));
+
+        expect(adapted.Subscriptions).toEqual(UNMAPPED);
+        expect(adapted.Trials).toEqual(constantMapping('0'));
+        expect(adapted.Cost).toEqual(columnMapping('Amount Spent (USD)'));
+        expect(unmappedColumns(adapted)).toEqual(['Subscriptions']);
+    });
+});
+
+describe('applyMapping', () => {
+    test('renames mapped columns, fills constants and carries other columns over', () => {
+        const mapping = {
+            ...suggestMapping(['Spend', 'Campaign', 'Date', 'Country']),
+            Clicks: constantMapping('0'),
+            Installs: IGNORE_MAPPING,
+        };
+        const [mapped] = applyMapping([{ Spend: '12.50', Campaign: 'Search', Date: '2024-03-05', Country: 'US' }], mapping);
+
+        expect(mapped).toMatchObject({ Cost: '12.50', 'Ad Group': 'Search', 'Start Date': '2024-03-05', 'End Date': '2024-03-05', Clicks: '0', Installs: '', Country: 'US' });
+        expect(mapped).not.toHaveProperty('Spend');
+        expect(mapped).not.toHaveProperty('Currency');
+    });
+});
+
+describe('mapping presets', () => {
+    test('are saved, loaded and deleted by name', () => {
+        const mapping = suggestMapping(META_HEADERS);
+        savePreset('Meta', mapping);
+        savePreset('Empty', {});
+
+        expect(Object.keys(loadPresets())).toEqual(['Meta', 'Empty']);
+        expect(loadPresets().Meta).toEqual(mapping);
+        expect(deletePreset('Meta')).toEqual({ Empty: {} });
+        expect(loadPresets()).toEqual({ Empty: {} });
+    });
+});
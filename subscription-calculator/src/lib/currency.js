@@ -0,0 +1,73 @@
+import { loadStored, store } from './storage';
+
+// Currency normalisation of imported rows
+
+export const MONEY_COLUMNS = ['Cost', 'Avg. CPC', 'Subscription Value'];
+
+export const LOCALES = {
+    'en-US': 'English (US)',
+    'en-GB': 'English (UK)',
+    'de-DE': 'Deutsch',
+    'fr-FR': 'Français',
+    'ja-JP': '日本語',
+};
+
+// `rates` hold the value of one unit of each currency in USD. They are only a
+// starting point and are meant to be edited or imported.
+export const DEFAULT_CURRENCY_SETTINGS = {
+    reportingCurrency: 'USD',
+    locale: 'en-US',
+    defaultDataCurrency: 'USD',
+    rates: { USD: 1, EUR: 1.08, GBP: 1.27, JPY: 0.0067 },
+};
+
+export const normalizeCurrencyCode = (value) => String(value ?? '').trim().toUpperCase();
+
+export const isCurrencyCode = (value) => /^[A-Z]{3}$/.test(normalizeCurrencyCode(value));
+
+// Converts an amount between two currencies. Returns null when either rate is unknown.
+export const convertAmount = (amount, from, to, rates) => {
+    if (from === to) return amount;
+    if (!rates[from] || !rates[to]) return null;
+    return (amount * rates[from]) / rates[to];
+};
+
+// Converts the money columns of every row into the reporting currency. Rows
+// without a Currency value are taken to be in `defaultDataCurrency`. Rows whose
+// currency has no rate are left unconverted and their currency is reported back
+// in `missingRates`.
+export const normalizeRows = (rows, settings) => {
+    const { reportingCurrency, defaultDataCurrency, rates } = settings;
+    const missingRates = new Set();
+
+    const normalized = rows.map(row => {
+        const currency = normalizeCurrencyCode(row.Currency) || defaultDataCurrency;
+        if (currency === reportingCurrency) return row.Currency ? { ...row, Currency: currency } : row;
+
+        const factor = convertAmount(1, currency, reportingCurrency, rates);
+        if (factor === null) {
+            missingRates.add(currency);
+            return row;
+        }
+        const converted = { ...row, Currency: reportingCurrency, 'Original Currency': currency };
+        MONEY_COLUMNS.forEach(column => { converted[column] = row[column] * factor; });
+        return converted;
+    });
+
+    return { rows: normalized, missingRates: [...missingRates].sort() };
+};
+
+// Reads a rate table from parsed CSV rows with `Currency` and `Rate` columns
+// (the value of one unit in USD). Invalid lines are skipped.
+export const ratesFromRows = (rows) => Object.fromEntries(rows
+    .map(row => [normalizeCurrencyCode(row.Currency), parseFloat(row.Rate)])
+    .filter(([code, rate]) => isCurrencyCode(code) && rate > 0));
+
+const SETTINGS_STORAGE_NAME = 'currency-settings';
+
+export const loadCurrencySettings = () => {
+    const stored = loadStored(SETTINGS_STORAGE_NAME);
+    return stored ? { ...DEFAULT_CURRENCY_SETTINGS, ...stored } : DEFAULT_CURRENCY_SETTINGS;
+};
+
+export const storeCurrencySettings = (settings) => store(SETTINGS_STORAGE_NAME, settings);
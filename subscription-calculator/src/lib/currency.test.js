@@ -0,0 +1,107 @@
+import {
+    DEFAULT_CURRENCY_SETTINGS, convertAmount, isCurrencyCode, loadCurrencySettings, normalizeCurrencyCode, normalizeRows,
+    ratesFromRows, storeCurrencySettings
+} from './currency';
+
+const rates = { USD: 1, EUR: 1.25, GBP: 1.5 };
+
+const settings = { ...DEFAULT_CURRENCY_SETTINGS, reportingCurrency: 'USD', defaultDataCurrency: 'EUR', rates };
+
+const row = (currency, values = {}) => ({
+    'Ad Group': 'Search',
+    Clicks: 100,
+    Cost: 80,
+    'Avg. CPC': 0.8,
+    Installs: 10,
+    Trials: 4,
+    Subscriptions: 1,
+    'Subscription Value': 40,
+    ...(currency === undefined ? {} : { Currency: currency }),
+    ...values,
+});
+
+afterEach(() => {
+    window.localStorage.clear();
+});
+
+describe('currency codes', () => {
+    test('are trimmed and upper-cased, and must have three letters', () => {
+        expect(normalizeCurrencyCode(' eur ')).toBe('EUR');
+        expect(normalizeCurrencyCode(null)).toBe('');
+        expect(isCurrencyCode('gbp')).toBe(true);
+        expect(isCurrencyCode('€')).toBe(false);
+        expect(isCurrencyCode('EURO')).toBe(false);
+    });
+});
+
+describe('convertAmount', () => {
+    test('converts through the USD value of each currency', () => {
+        expect(convertAmount(100, 'EUR', 'GBP', rates)).toBeCloseTo(83.33);
+        expect(convertAmount(100, 'GBP', 'USD', rates)).toBe(150);
+    });
+
+    test('leaves amounts in the same currency alone, even without rates', () => {
+        expect(convertAmount(100, 'JPY', 'JPY', {})).toBe(100);
+    });
+
+    test('is null when either rate is unknown', () => {
+        expect(convertAmount(100, 'JPY', 'USD', rates)).toBeNull();
+        expect(convertAmount(100, 'USD', 'JPY', rates)).toBeNull();
+    });
+});
+
+describe('normalizeRows', () => {
+    test('converts the money columns and records the original currency', () => {
+        const { rows, missingRates } = normalizeRows([row('gbp')], settings);
+
+        expect(rows[0]).toMatchObject({ Currency: 'USD', 'Original Currency': 'GBP', Cost: 120, 'Subscription Value': 60, Clicks: 100 });
+        expect(rows[0]['Avg. CPC']).toBeCloseTo(1.2);
+        expect(missingRates).toEqual([]);
+    });
+
+    test('takes rows without a currency to be in the default data currency', () => {
+        const { rows } = normalizeRows([row(undefined), row(' ')], settings);
+
+        expect(rows.map(converted => [converted.Currency, converted.Cost])).toEqual([['USD', 100], ['USD', 100]]);
+    });
+
+    test('keeps rows already in the reporting currency, normalising the code', () => {
+        const usd = row(undefined);
+        const { rows } = normalizeRows([usd, row('usd')], { ...settings, defaultDataCurrency: 'USD' });
+
+        expect(rows[0]).toBe(usd);
+        expect(rows[1]).toMatchObject({ Currency: 'USD', Cost: 80 });
+        expect(rows[1]).not.toHaveProperty('Original Currency');
+    });
+
+    test('leaves rows without a rate unconverted and reports their currencies once each', () => {
+        const jpy = row('JPY');
+        const { rows, missingRates } = normalizeRows([jpy, row('CHF'), row('JPY')], settings);
+
+        expect(rows[0]).toBe(jpy);
+        expect(missingRates).toEqual(['CHF', 'JPY']);
+    });
+});
+
+describe('ratesFromRows', () => {
+    test('reads Currency and Rate columns, skipping invalid lines', () => {
+        const parsed = [
+            { Currency: 'eur', Rate: '1.08' },
+            { Currency: 'GBP', Rate: '1.27' },
+            { Currency: 'Euro', Rate: '1.08' },
+            { Currency: 'JPY', Rate: '0' },
+            { Currency: 'CHF', Rate: 'n/a' },
+        ];
+
+        expect(ratesFromRows(parsed)).toEqual({ EUR: 1.08, GBP: 1.27 });
+    });
+});
+
+describe('currency settings', () => {
+    test('load as the defaults, with stored values on top', () => {
+        expect(loadCurrencySettings()).toBe(DEFAULT_CURRENCY_SETTINGS);
+
+        storeCurrencySettings({ reportingCurrency: 'EUR' });
+        expect(loadCurrencySettings()).toEqual({ ...DEFAULT_CURRENCY_SETTINGS, reportingCurrency: 'EUR' });
+    });
+});
@@ -0,0 +1,133 @@
+import { ImportCancelledError, parseImportFile } from './fileImport';
+import { validateRow, validateRows } from './validation';
+import { summarizeView } from './viewSummary';
+
+// Talking to the data worker (workers/data.worker.js)
+//
+// Parsing uploads, validating their rows and summarising large datasets run in a
+// Web Worker so the page stays responsive. Where workers are unavailable, as under
+// jsdom in tests, callers fall back to running the same code on the main thread.
+//
+// Merging sources, currency conversion, the filtered row sets and the panels built
+// from them (trend, LTV, forecast, pivot, alerts and the data grid) stay on the
+// main thread on purpose: they need the rows themselves rather than totals, and
+// copying a row set back from a worker costs about as much as filtering it.
+
+export const workersSupported = () => typeof window.Worker !== 'undefined';
+
+// The module that creates the worker is only loaded once one is needed.
+const spawnWorker = () => import('../workers/createDataWorker').then(({ default: createDataWorker }) => createDataWorker());
+
+// Parses one upload, in a worker of its own when possible, and resolves like
+// parseImportFile. `onProgress` gets the fraction of a CSV read so far. Aborting
+// `signal` stops the worker and rejects with an ImportCancelledError.
+export const parseFile = (file, { onProgress, signal } = {}) => {
+    if (!workersSupported()) {
+        return parseImportFile(file, { onProgress, signal }).then(parsed => {
+            if (signal?.aborted) throw new ImportCancelledError(file.name);
+            return parsed;
+        });
+    }
+    return spawnWorker().then(worker => new Promise((resolve, reject) => {
+        const finish = (settle, value) => {
+            worker.terminate();
+            signal?.removeEventListener('abort', cancel);
+            settle(value);
+        };
+        const cancel = () => finish(reject, new ImportCancelledError(file.name));
+        if (signal?.aborted) {
+            cancel();
+            return;
+        }
+        signal?.addEventListener('abort', cancel);
+        worker.onmessage = ({ data: message }) => {
+            if (message.type === 'progress' && onProgress) onProgress(message.progress);
+            if (message.type === 'parsed') finish(resolve, message.file);
+            if (message.type === 'error') finish(reject, new Error(message.message));
+        };
+        worker.onerror = (event) => finish(reject, new Error(`${file.name}: ${event.message || 'The file could not be read.'}`));
+        worker.postMessage({ type: 'parse', file });
+    }));
+};
+
+// Validates rows like validateRows, in a worker of its own when possible. Fixes are
+// functions, which cannot leave the worker, so only the flagged rows are checked
+// again here to get them back.
+export const validateFile = (rows, ignoredColumns = []) => {
+    if (!workersSupported()) return Promise.resolve(validateRows(rows, ignoredColumns));
+    return spawnWorker().then(worker => new Promise((resolve, reject) => {
+        worker.onmessage = ({ data: message }) => {
+            worker.terminate();
+            resolve(message.results.map(result => (
+                result.issues.length === 0 ? result : { ...result, ...validateRow(result.raw, ignoredColumns) }
+            )));
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'The rows could not be validated.'));
+        };
+        worker.postMessage({ type: 'validate', rows, ignoredColumns });
+    }));
+};
+
+// Keeps a copy of the dashboard rows in a worker and summarises views of them
+// there (see viewSummary.js). `onResult(result, progress)` is called after each
+// chunk of rows, with progress reaching 1 on the last; results for a view that
+// has since been replaced are dropped. If the worker fails to load or throws,
+// views are summarised here in one go instead.
+export const createViewSummarizer = (onResult) => {
+    let job = 0;
+    let rows = [];
+    let view = null;
+    let failed = false;
+    let stopped = false;
+
+    const summarizeHere = () => {
+        if (view && !stopped) onResult(summarizeView(rows, view), 1);
+    };
+    const fallBack = () => {
+        if (failed) return;
+        failed = true;
+        summarizeHere();
+    };
+
+    const worker = spawnWorker().then(spawned => {
+        spawned.onmessage = ({ data: message }) => {
+            if (message.type === 'summary' && message.job === job) onResult(message.result, message.progress);
+        };
+        spawned.onerror = () => {
+            spawned.terminate();
+            fallBack();
+        };
+        return spawned;
+    }).catch(() => {
+        fallBack();
+        return null;
+    });
+    const send = (message) => {
+        worker.then(spawned => {
+            if (spawned && !failed) spawned.postMessage(message);
+        });
+    };
+
+    return {
+        load: (loaded) => {
+            rows = loaded;
+            send({ type: 'load', rows: loaded });
+        },
+        summarize: (next) => {
+            job += 1;
+            view = next;
+            if (failed) {
+                summarizeHere();
+                return;
+            }
+            send({ type: 'summarize', job, view: next });
+        },
+        terminate: () => {
+            job += 1;
+            stopped = true;
+            worker.then(spawned => spawned && spawned.terminate());
+        },
+    };
+};
@@ -0,0 +1,104 @@
+import { ALL_AD_GROUPS } from './analytics';
+import { createViewSummarizer } from './dataWorker';
+import createDataWorker from '../workers/createDataWorker';
+
+// The real module finds the worker through `import.meta`, which the test runner
+// cannot parse.
+jest.mock('../workers/createDataWorker', () => jest.fn());
+
+const row = (adGroup, cost) => ({
+    'Ad Group': adGroup,
+    'Start Date': new Date(2024, 0, 1),
+    'End Date': new Date(2024, 0, 1),
+    Clicks: 100,
+    Cost: cost,
+    'Avg. CPC': 1,
+    Installs: 10,
+    Trials: 4,
+    Subscriptions: 1,
+    'Subscription Value': 60,
+});
+
+const rows = [row('Search', 100), row('Social', 50)];
+const view = { dateRange: {}, adGroup: ALL_AD_GROUPS };
+
+const fakeWorker = () => ({ postMessage: jest.fn(), terminate: jest.fn() });
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+afterEach(() => {
+    createDataWorker.mockReset();
+});
+
+describe('createViewSummarizer', () => {
+    test('passes on results for the latest view only', async () => {
+        const worker = fakeWorker();
+        createDataWorker.mockReturnValue(worker);
+        const onResult = jest.fn();
+
+        const summarizer = createViewSummarizer(onResult);
+        summarizer.load(rows);
+        summarizer.summarize(view);
+        summarizer.summarize({ ...view, adGroup: 'Search' });
+        await settle();
+
+        expect(worker.postMessage.mock.calls.map(([message]) => message.type)).toEqual(['load', 'summarize', 'summarize']);
+        worker.onmessage({ data: { type: 'summary', job: 1, result: 'stale', progress: 1 } });
+        worker.onmessage({ data: { type: 'summary', job: 2, result: 'latest', progress: 0.5 } });
+        expect(onResult.mock.calls).toEqual([['latest', 0.5]]);
+    });
+
+    test('summarises on the main thread when the worker cannot be loaded', async () => {
+        createDataWorker.mockImplementation(() => {
+            throw new Error('Loading chunk failed');
+        });
+        const onResult = jest.fn();
+
+        const summarizer = createViewSummarizer(onResult);
+        summarizer.load(rows);
+        summarizer.summarize(view);
+        await settle();
+
+        expect(onResult).toHaveBeenCalledTimes(1);
+        expect(onResult.mock.calls[0][0].summary.Cost).toBe(150);
+        expect(onResult.mock.calls[0][1]).toBe(1);
+
+        summarizer.summarize({ ...view, adGroup: 'Social' });
+        expect(onResult.mock.calls[1][0].summary.Cost).toBe(50);
+    });
+
+    test('summarises on the main thread once the worker throws', async () => {
+        const worker = fakeWorker();
+        createDataWorker.mockReturnValue(worker);
+        const onResult = jest.fn();
+
+        const summarizer = createViewSummarizer(onResult);
+        summarizer.load(rows);
+        summarizer.summarize(view);
+        await settle();
+        worker.onerror(new ErrorEvent('error', { message: 'Boom' }));
+
+        expect(worker.terminate).toHaveBeenCalled();
+        expect(onResult.mock.calls[0][0]).toMatchObject({ summary: { Cost: 150 }, count: 2 });
+
+        summarizer.load([rows[0]]);
+        summarizer.summarize(view);
+        await settle();
+        expect(worker.postMessage).toHaveBeenCalledTimes(2);
+        expect(onResult.mock.calls[1][0].summary.Cost).toBe(100);
+    });
+
+    test('reports nothing after it is terminated', async () => {
+        createDataWorker.mockImplementation(() => {
+            throw new Error('Loading chunk failed');
+        });
+        const onResult = jest.fn();
+
+        const summarizer = createViewSummarizer(onResult);
+        summarizer.summarize(view);
+        summarizer.terminate();
+        await settle();
+
+        expect(onResult).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,145 @@
+// Saved dataset library in IndexedDB
+//
+// Every save of a name adds a new version. Version metadata (row counts, size,
+// filters) lives in its own store so the library can be listed without reading
+// the rows, which are kept in `payloads` under the same id. IndexedDB stores
+// values with the structured clone algorithm, so the `Date` objects in rows and
+// filters come back as dates.
+
+const DB_NAME = 'subscription-calculator';
+const DB_VERSION = 1;
+const VERSIONS_STORE = 'datasets';
+const PAYLOADS_STORE = 'payloads';
+
+let databasePromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Storage transaction was aborted'));
+});
+
+// Aborts the transaction when one of its steps fails, so nothing is half written,
+// and passes the step's error on. A step fails on its own, without aborting, when
+// a request cannot even be made, e.g. a DataCloneError for a value that cannot be
+// stored.
+const abortOnFailure = (transaction) => (error) => {
+    try {
+        transaction.abort();
+    } catch (e) {
+        // The transaction has already finished.
+    }
+    throw error;
+};
+
+export const isStorageAvailable = () => typeof window !== 'undefined' && Boolean(window.indexedDB);
+
+const openDatabase = () => {
+    if (!isStorageAvailable()) return Promise.reject(new Error('Saving datasets is not supported in this browser.'));
+    if (!databasePromise) {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const versions = db.createObjectStore(VERSIONS_STORE, { keyPath: 'id', autoIncrement: true });
+            versions.createIndex('name', 'name');
+            db.createObjectStore(PAYLOADS_STORE, { keyPath: 'id' });
+        };
+        databasePromise = requestToPromise(request).catch(error => {
+            databasePromise = null;
+            throw error;
+        });
+    }
+    return databasePromise;
+};
+
+// Approximate size of a value once stored, in bytes.
+const estimateSize = (value) => new Blob([JSON.stringify(value)]).size;
+
+// Sources are saved without their generated ids; they are recreated on load.
+const toStoredSource = ({ name, addedAt, rows }) => ({
+    name,
+    addedAt,
+    rows: rows.map(row => {
+        const stored = { ...row };
+        delete stored.id;
+        return stored;
+    }),
+});
+
+// Lists every saved version, newest first (ids increase with each save).
+export const listDatasets = () => openDatabase()
+    .then(db => requestToPromise(db.transaction(VERSIONS_STORE).objectStore(VERSIONS_STORE).getAll()))
+    .then(versions => versions.sort((a, b) => b.id - a.id));
+
+// Saves the sources and filters as the next version of `name`. Resolves with the
+// new version's metadata.
+export const saveDataset = (name, sources, filters) => openDatabase().then(db => {
+    const storedSources = sources.map(toStoredSource);
+    const transaction = db.transaction([VERSIONS_STORE, PAYLOADS_STORE], 'readwrite');
+    const versions = transaction.objectStore(VERSIONS_STORE);
+    let metadata = null;
+
+    const written = requestToPromise(versions.index('name').getAll(name)).then(existing => {
+        metadata = {
+            name,
+            version: existing.reduce((max, entry) => Math.max(max, entry.version), 0) + 1,
+            savedAt: new Date(),
+            sourceNames: storedSources.map(source => source.name),
+            rowCount: storedSources.reduce((sum, source) => sum + source.rows.length, 0),
+            size: estimateSize(storedSources),
+            filters,
+        };
+        return requestToPromise(versions.add(metadata));
+    }).then(id => {
+        metadata.id = id;
+        return requestToPromise(transaction.objectStore(PAYLOADS_STORE).put({ id, sources: storedSources }));
+    }).catch(abortOnFailure(transaction));
+
+    return Promise.all([written, transactionDone(transaction)]).then(() => metadata);
+});
+
+// Resolves with a version's metadata and its sources.
+export const loadDataset = (id) => openDatabase().then(db => {
+    const transaction = db.transaction([VERSIONS_STORE, PAYLOADS_STORE]);
+    return Promise.all([
+        requestToPromise(transaction.objectStore(VERSIONS_STORE).get(id)),
+        requestToPromise(transaction.objectStore(PAYLOADS_STORE).get(id)),
+    ]);
+}).then(([metadata, payload]) => {
+    if (!metadata || !payload) throw new Error('This dataset is not in the library in this browser.');
+    return { ...metadata, sources: payload.sources };
+});
+
+// Replaces the filters saved with a version without creating a new version.
+// Resolves with the updated metadata.
+export const updateDatasetFilters = (id, filters) => openDatabase().then(db => {
+    const transaction = db.transaction(VERSIONS_STORE, 'readwrite');
+    const versions = transaction.objectStore(VERSIONS_STORE);
+    const written = requestToPromise(versions.get(id)).then(metadata => {
+        if (!metadata) throw new Error('This dataset is no longer in the library.');
+        const updated = { ...metadata, filters };
+        return requestToPromise(versions.put(updated)).then(() => updated);
+    }).catch(abortOnFailure(transaction));
+    return Promise.all([written, transactionDone(transaction)]).then(([updated]) => updated);
+});
+
+export const deleteDatasetVersions = (ids) => openDatabase().then(db => {
+    const transaction = db.transaction([VERSIONS_STORE, PAYLOADS_STORE], 'readwrite');
+    ids.forEach(id => {
+        transaction.objectStore(VERSIONS_STORE).delete(id);
+        transaction.objectStore(PAYLOADS_STORE).delete(id);
+    });
+    return transactionDone(transaction);
+});
+
+// Browser-wide usage and quota for this origin, or null when the browser does not
+// report them.
+export const estimateStorage = () => {
+    if (!navigator.storage || !navigator.storage.estimate) return Promise.resolve(null);
+    return navigator.storage.estimate().catch(() => null);
+};
@@ -0,0 +1,92 @@
+import 'fake-indexeddb/auto';
+import {
+    deleteDatasetVersions, isStorageAvailable, listDatasets, loadDataset, saveDataset, updateDatasetFilters
+} from './datasetStore';
+
+const source = (name, rows = 2) => ({
+    name,
+    addedAt: new Date(2024, 0, 1),
+    rows: Array.from({ length: rows }, (_, index) => ({ id: `${name}-${index}`, 'Ad Group': 'Search', Cost: 10, 'Start Date': new Date(2024, 0, index + 1) })),
+});
+
+// Every test saves under its own name, as they share one database.
+let nameCount = 0;
+const uniqueName = () => {
+    nameCount += 1;
+    return `Dataset ${nameCount}`;
+};
+
+const versionsOf = (name) => listDatasets().then(versions => versions.filter(version => version.name === name));
+
+describe('saving datasets', () => {
+    test('numbers the versions of each name and describes their sources', async () => {
+        const name = uniqueName();
+        const first = await saveDataset(name, [source('a.csv'), source('b.csv', 3)], { adGroup: 'Search' });
+        const second = await saveDataset(name, [source('a.csv')], {});
+
+        expect(first).toMatchObject({ name, version: 1, sourceNames: ['a.csv', 'b.csv'], rowCount: 5, filters: { adGroup: 'Search' } });
+        expect(first.size).toBeGreaterThan(0);
+        expect(second.version).toBe(2);
+        expect((await versionsOf(name)).map(version => version.version)).toEqual([2, 1]);
+    });
+
+    test('loads the sources back with their dates, without row ids', async () => {
+        const saved = await saveDataset(uniqueName(), [source('a.csv')], { dateRange: { from: new Date(2024, 0, 1) } });
+        const loaded = await loadDataset(saved.id);
+
+        expect(loaded.filters.dateRange.from).toEqual(new Date(2024, 0, 1));
+        expect(loaded.sources[0].rows[1]).toEqual({ 'Ad Group': 'Search', Cost: 10, 'Start Date': new Date(2024, 0, 2) });
+    });
+
+    test('writes nothing when a value cannot be stored', async () => {
+        const name = uniqueName();
+        await saveDataset(name, [source('a.csv')], {});
+
+        await expect(saveDataset(name, [source('a.csv')], { format: () => '' })).rejects.toBeTruthy();
+        expect((await versionsOf(name)).map(version => version.version)).toEqual([1]);
+    });
+});
+
+describe('updating and deleting versions', () => {
+    test('replaces the filters of a version without adding one', async () => {
+        const name = uniqueName();
+        const saved = await saveDataset(name, [source('a.csv')], { adGroup: 'Search' });
+        const updated = await updateDatasetFilters(saved.id, { adGroup: 'Social' });
+
+        expect(updated).toEqual({ ...saved, filters: { adGroup: 'Social' } });
+        expect((await loadDataset(saved.id)).filters).toEqual({ adGroup: 'Social' });
+        expect(await versionsOf(name)).toHaveLength(1);
+    });
+
+    test('deletes the metadata and rows of each version', async () => {
+        const name = uniqueName();
+        const first = await saveDataset(name, [source('a.csv')], {});
+        const second = await saveDataset(name, [source('a.csv')], {});
+        await deleteDatasetVersions([first.id]);
+
+        expect((await versionsOf(name)).map(version => version.id)).toEqual([second.id]);
+        await expect(loadDataset(first.id)).rejects.toThrow('This dataset is not in the library in this browser.');
+    });
+
+    test('reports versions that are not in the library', async () => {
+        await expect(loadDataset(999)).rejects.toThrow('This dataset is not in the library in this browser.');
+        await expect(updateDatasetFilters(999, {})).rejects.toThrow('This dataset is no longer in the library.');
+    });
+});
+
+describe('without IndexedDB', () => {
+    const { indexedDB } = window;
+
+    beforeEach(() => {
+        Object.defineProperty(window, 'indexedDB', { value: undefined, configurable: true, writable: true });
+    });
+
+    afterEach(() => {
+        Object.defineProperty(window, 'indexedDB', { value: indexedDB, configurable: true, writable: true });
+    });
+
+    test('rejects every operation with a clear message', async () => {
+        expect(isStorageAvailable()).toBe(false);
+        await expect(listDatasets()).rejects.toThrow('Saving datasets is not supported in this browser.');
+    });
+});
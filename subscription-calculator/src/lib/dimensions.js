@@ -0,0 +1,52 @@
+import { DATE_COLUMNS, NUMERIC_COLUMNS, dimensionValue, isBlank, parseNumber } from './analytics';
+
+// Dimension columns: text columns beyond the typed ones, such as Country,
+// Platform or Campaign, carried over from the import. Rows can be filtered by
+// them (see filterByDimensions in analytics.js), and they are part of what makes
+// a row a distinct record when files are merged (see sources.js).
+
+// How a blank cell is shown wherever dimension values are listed.
+export const BLANK_LABEL = '(blank)';
+
+// Ad Group has a filter of its own, Currency is the reporting currency on every
+// row once amounts are converted, Original Currency is added by that conversion
+// (see currency.js), and id is internal.
+const NON_DIMENSION_COLUMNS = [...NUMERIC_COLUMNS, ...DATE_COLUMNS, 'Ad Group', 'Currency', 'Original Currency', 'id'];
+
+// Columns with at least one non-blank cell that is not a number, in first-seen
+// order. The file name each row came from is one, as Source.
+export const dimensionColumns = (rows) => {
+    const textual = new Map();
+    rows.forEach(row => Object.keys(row).forEach(column => {
+        if (NON_DIMENSION_COLUMNS.includes(column) || textual.get(column)) return;
+        textual.set(column, !isBlank(row[column]) && !Number.isFinite(parseNumber(row[column])));
+    }));
+    return [...textual.entries()].filter(([, isText]) => isText).map(([column]) => column);
+};
+
+// The values of a dimension, sorted, each with the number of rows that have it.
+export const dimensionValues = (rows, column) => {
+    const counts = new Map();
+    rows.forEach(row => {
+        const value = dimensionValue(row[column]);
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }));
+};
+
+const describeRange = ({ min, max }) => {
+    if (Number.isFinite(min) && Number.isFinite(max)) return `${min} to ${max}`;
+    return Number.isFinite(min) ? `at least ${min}` : `at most ${max}`;
+};
+
+// One line per active column filter, e.g. "Country: US, CA" or "Cost: at least 100".
+export const describeColumnFilters = ({ dimensions, ranges }) => [
+    ...Object.entries(dimensions)
+        .filter(([, values]) => values.length > 0)
+        .map(([column, values]) => `${column}: ${values.map(value => value || BLANK_LABEL).join(', ')}`),
+    ...Object.entries(ranges)
+        .filter(([, range]) => Number.isFinite(range.min) || Number.isFinite(range.max))
+        .map(([column, range]) => `${column}: ${describeRange(range)}`),
+];
@@ -0,0 +1,57 @@
+import { DEFAULT_CURRENCY_SETTINGS, normalizeRows } from './currency';
+import { describeColumnFilters, dimensionColumns, dimensionValues } from './dimensions';
+
+const row = (values) => ({
+    'Ad Group': 'Search',
+    'Start Date': new Date(2024, 0, 1),
+    'End Date': new Date(2024, 0, 1),
+    Clicks: 100,
+    Cost: 10,
+    'Avg. CPC': 0.1,
+    Installs: 10,
+    Trials: 4,
+    Subscriptions: 1,
+    'Subscription Value': 60,
+    ...values,
+});
+
+describe('dimensionColumns', () => {
+    test('lists text columns beyond the typed ones, in the order the columns first appear', () => {
+        const rows = [
+            row({ Country: 'US', Campaign: '' }),
+            row({ Platform: 'iOS', Campaign: 'Spring', Impressions: '1,200' }),
+        ];
+
+        expect(dimensionColumns(rows)).toEqual(['Country', 'Campaign', 'Platform']);
+    });
+
+    test('leaves out the currency columns added by conversion', () => {
+        const { rows } = normalizeRows([row({ Currency: 'EUR', Country: 'DE' })], DEFAULT_CURRENCY_SETTINGS);
+
+        expect(rows[0]['Original Currency']).toBe('EUR');
+        expect(dimensionColumns(rows)).toEqual(['Country']);
+    });
+});
+
+describe('dimensionValues', () => {
+    test('counts each value, blanks included, in natural order', () => {
+        const rows = [row({ Campaign: 'Wave 10' }), row({ Campaign: 'Wave 2' }), row({ Campaign: ' ' }), row({ Campaign: 'Wave 2' })];
+
+        expect(dimensionValues(rows, 'Campaign')).toEqual([
+            { value: '', count: 1 },
+            { value: 'Wave 2', count: 2 },
+            { value: 'Wave 10', count: 1 },
+        ]);
+    });
+});
+
+describe('describeColumnFilters', () => {
+    test('describes active filters only', () => {
+        const filters = {
+            dimensions: { Country: ['US', ''], Platform: [] },
+            ranges: { Cost: { min: 100 }, Clicks: { min: 1, max: 5 }, Installs: {} },
+        };
+
+        expect(describeColumnFilters(filters)).toEqual(['Country: US, (blank)', 'Cost: at least 100', 'Clicks: 1 to 5']);
+    });
+});
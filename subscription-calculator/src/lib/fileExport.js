@@ -0,0 +1,64 @@
+import Papa from 'papaparse';
+import { format, isValid } from 'date-fns';
+import { METRICS } from './metrics';
+import { summarizeBy } from './analytics';
+
+// Downloads of the current selection as CSV, JSON or an Excel workbook
+
+export const downloadBlob = (blob, fileName) => {
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+const formatCellDate = (value) => (isValid(value) ? format(value, 'yyyy-MM-dd') : '');
+
+// Rows without their internal id. Text formats get dates as yyyy-MM-dd, which
+// import reads back as the same local day.
+const exportRows = (rows, { keepDates = false } = {}) => rows.map(row => {
+    const exported = {};
+    Object.entries(row).forEach(([key, value]) => {
+        if (key === 'id') return;
+        exported[key] = value instanceof Date && !keepDates ? formatCellDate(value) : value;
+    });
+    return exported;
+});
+
+export const exportCsv = (rows, fileName) => {
+    const csv = Papa.unparse(exportRows(rows));
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8;' }), fileName);
+};
+
+export const exportJson = (rows, fileName) => {
+    const json = JSON.stringify(exportRows(rows), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json;charset=utf-8;' }), fileName);
+};
+
+const summarySheetRows = (summary) => Object.entries(METRICS).map(([metric, { label }]) => ({
+    Metric: label,
+    Value: summary[metric],
+}));
+
+const groupSheetRows = (rows) => summarizeBy(rows, row => row['Ad Group']).map(group => ({
+    'Ad Group': group.key,
+    Rows: group.rowCount,
+    ...Object.fromEntries(Object.entries(METRICS).map(([metric, { label }]) => [label, group[metric]])),
+}));
+
+// Writes a workbook with the raw rows, the summary metrics and the per-ad-group
+// breakdown of those rows on separate sheets, matching the printable report.
+// SheetJS is loaded on first use.
+export const exportWorkbook = ({ rows, summary }, fileName) => import('xlsx').then(XLSX => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(exportRows(rows, { keepDates: true }), { cellDates: true, dateNF: 'yyyy-mm-dd' }), 'Rows');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summarySheetRows(summary)), 'Summary');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(groupSheetRows(rows)), 'Ad Groups');
+    const data = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+    downloadBlob(new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), fileName);
+});
@@ -0,0 +1,141 @@
+import Papa from 'papaparse';
+import { format, isValid } from 'date-fns';
+
+// Reading uploaded files into raw rows
+//
+// Every format resolves to { fileName, headers, rows } with one object per row
+// keyed by header, which then goes through the same column mapping and
+// validation as a CSV. Workbooks with more than one sheet resolve to
+// { fileName, workbook, sheets } instead, so the user can pick a sheet first.
+
+export const ACCEPTED_FILE_TYPES = {
+    'text/csv': ['.csv'],
+    'application/json': ['.json'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+    'application/vnd.ms-excel': ['.xls'],
+};
+
+const extension = (fileName) => fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+
+// Raised when the user cancels an import, so callers can tell it from a failure.
+export class ImportCancelledError extends Error {
+    constructor(fileName) {
+        super(`${fileName}: Import cancelled.`);
+        this.name = 'ImportCancelledError';
+    }
+}
+
+// Bytes of a CSV file read per chunk; progress is reported after each one.
+const CSV_CHUNK_SIZE = 1024 * 1024;
+
+// Parses one CSV file into raw string rows, a chunk at a time. `onProgress` is
+// called with the fraction of the file read so far, and aborting `signal` stops
+// the parse. Rejects with a message naming the file.
+export const parseCsvFile = (file, { onProgress, signal } = {}) => new Promise((resolve, reject) => {
+    const rows = [];
+    let headers = [];
+    Papa.parse(file, {
+        header: true,
+        skipEmptyLines: true,
+        chunkSize: CSV_CHUNK_SIZE,
+        chunk: (results, parser) => {
+            if (signal?.aborted) {
+                reject(new ImportCancelledError(file.name));
+                parser.abort();
+                return;
+            }
+            if (results.errors.length > 0) {
+                reject(new Error(`${file.name}: Error parsing CSV: ${results.errors[0].message}`));
+                parser.abort();
+                return;
+            }
+            headers = results.meta.fields;
+            results.data.forEach(row => rows.push(row));
+            if (onProgress && file.size > 0) onProgress(Math.min(results.meta.cursor / file.size, 1));
+        },
+        complete: (results) => {
+            if (!results?.meta.aborted) resolve({ fileName: file.name, headers, rows });
+        },
+        error: (error) => {
+            reject(new Error(`${file.name}: CSV parsing error: ${error.message}`));
+        }
+    });
+});
+
+// Headers are the union of the keys of every row, in first-seen order.
+const headersOf = (rows) => [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+// Accepts a top-level array of row objects, or an object with a `rows` or `data`
+// array as written by common exporters.
+export const parseJsonText = (fileName, text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${fileName}: Invalid JSON: ${e.message}`);
+    }
+    const rows = Array.isArray(parsed) ? parsed : (parsed && (parsed.rows || parsed.data));
+    if (!Array.isArray(rows) || !rows.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+        throw new Error(`${fileName}: Expected a JSON array of row objects.`);
+    }
+    return { fileName, headers: headersOf(rows), rows };
+};
+
+const readFile = (file, method) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`${file.name}: Could not read the file.`));
+    reader[method](file);
+});
+
+export const parseJsonFile = (file) => readFile(file, 'readAsText').then(text => parseJsonText(file.name, text));
+
+// SheetJS is only loaded once a workbook is opened.
+const loadXlsx = () => import('xlsx');
+
+// Cells are read as their values rather than their display text, so a date cell
+// shown as 03/02/2024 cannot be read back month first. Date cells (local midnight
+// with cellDates) are written as yyyy-MM-dd text, the one format validation reads
+// without ambiguity; numbers stay numbers.
+const cellValue = (value) => (value instanceof Date && isValid(value) ? format(value, 'yyyy-MM-dd') : value);
+
+const sheetRows = (XLSX, sheet) => XLSX.utils.sheet_to_json(sheet, { raw: true, defval: '' })
+    .map(row => Object.fromEntries(Object.entries(row).map(([column, value]) => [column, cellValue(value)])));
+
+const sheetHeaders = (XLSX, sheet) => (XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false })[0] || []).map(String);
+
+// Reads the sheets of a workbook. Each entry carries its rows and headers so the
+// sheet picker can preview them.
+export const parseWorkbookFile = (file) => Promise.all([loadXlsx(), readFile(file, 'readAsArrayBuffer')])
+    .then(([XLSX, buffer]) => {
+        let workbook;
+        try {
+            workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+        } catch (e) {
+            throw new Error(`${file.name}: Could not read the workbook: ${e.message}`);
+        }
+        const sheets = workbook.SheetNames.map(name => ({
+            name,
+            headers: sheetHeaders(XLSX, workbook.Sheets[name]),
+            rows: sheetRows(XLSX, workbook.Sheets[name]),
+        })).filter(sheet => sheet.rows.length > 0);
+
+        if (sheets.length === 0) throw new Error(`${file.name}: The workbook has no rows.`);
+        if (sheets.length === 1) return sheetFile(file.name, sheets[0]);
+        return { fileName: file.name, sheets };
+    });
+
+// The file-shaped result for one sheet of a workbook.
+export const sheetFile = (fileName, sheet) => ({
+    fileName: `${fileName} (${sheet.name})`,
+    headers: sheet.headers,
+    rows: sheet.rows,
+});
+
+// Only CSV files report progress; JSON and workbooks are read in one go.
+export const parseImportFile = (file, options) => {
+    const type = extension(file.name);
+    if (type === '.json') return parseJsonFile(file);
+    if (type === '.xlsx' || type === '.xls') return parseWorkbookFile(file);
+    return parseCsvFile(file, options);
+};
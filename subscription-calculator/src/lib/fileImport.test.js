@@ -0,0 +1,31 @@
+import * as XLSX from 'xlsx';
+import { parseWorkbookFile } from './fileImport';
+
+// A one-sheet workbook whose Start Date cells are Excel date serials shown in `dateFormat`.
+const workbookFile = (dateFormat) => {
+    const sheet = XLSX.utils.aoa_to_sheet([['Start Date', 'Ad Group', 'Cost']]);
+    sheet.A2 = { t: 'n', v: 45325, z: dateFormat }; // 3 February 2024
+    sheet.B2 = { t: 's', v: 'Search' };
+    sheet.C2 = { t: 'n', v: 12.5 };
+    sheet['!ref'] = 'A1:C2';
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Data');
+    const buffer = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+    return new File([buffer], 'report.xlsx');
+};
+
+describe('parseWorkbookFile', () => {
+    test('reads a dd/mm/yyyy date cell as its date, not its display text', () => {
+        return parseWorkbookFile(workbookFile('dd/mm/yyyy')).then(parsed => {
+            expect(parsed.fileName).toBe('report.xlsx (Data)');
+            expect(parsed.headers).toEqual(['Start Date', 'Ad Group', 'Cost']);
+            expect(parsed.rows).toEqual([{ 'Start Date': '2024-02-03', 'Ad Group': 'Search', Cost: 12.5 }]);
+        });
+    });
+
+    test('reads a cell in the default date format the same way', () => {
+        return parseWorkbookFile(workbookFile('m/d/yy')).then(parsed => {
+            expect(parsed.rows[0]['Start Date']).toBe('2024-02-03');
+        });
+    });
+});
@@ -0,0 +1,22 @@
+import { decodeViewState, encodeViewState } from './urlState';
+import { loadStored, store } from './storage';
+
+// Named filter states kept in localStorage. A preset holds the query string its
+// filters would have in a shared link, so it reads back exactly as a link does.
+
+const PRESETS_STORAGE_NAME = 'filter-presets';
+
+export const loadFilterPresets = () => {
+    const stored = loadStored(PRESETS_STORAGE_NAME);
+    return Array.isArray(stored) ? stored : [];
+};
+
+export const storeFilterPresets = (presets) => store(PRESETS_STORAGE_NAME, presets);
+
+// Saving under the name of an existing preset replaces it.
+export const addFilterPreset = (presets, name, filters) => [
+    ...presets.filter(preset => preset.name !== name),
+    { id: `preset-${Date.now()}`, name, search: encodeViewState(filters) },
+];
+
+export const presetFilters = (preset) => decodeViewState(preset.search).filters;
@@ -0,0 +1,39 @@
+import { addDays, differenceInCalendarDays, subYears } from 'date-fns';
+import { ALL_AD_GROUPS } from './analytics';
+
+// Dashboard filter state. The row filters it drives live in analytics.js.
+
+export const COMPARE_MODES = {
+    off: 'No comparison',
+    previous: 'Previous period',
+    lastYear: 'Same period last year',
+    custom: 'Custom range',
+};
+
+export const DEFAULT_FILTERS = {
+    dateRange: { from: undefined, to: undefined },
+    adGroup: ALL_AD_GROUPS,
+    compare: { mode: 'off', range: { from: undefined, to: undefined } },
+    // Selected values per dimension column, and { min, max } per numeric column.
+    dimensions: {},
+    ranges: {},
+    // Time bucket of the trend charts. Kept with the filters so it is saved and
+    // shared along with them.
+    granularity: 'week',
+};
+
+// Works out the range to compare the selected range against. An open-ended
+// selection is closed at `latestDate` first. Returns null when there is nothing
+// to compare.
+export const resolveComparisonRange = (range, compare, latestDate) => {
+    if (!compare || compare.mode === 'off') return null;
+    if (compare.mode === 'custom') return compare.range?.from ? compare.range : null;
+    if (!range?.from) return null;
+
+    const to = range.to || latestDate;
+    if (compare.mode === 'lastYear') {
+        return { from: subYears(range.from, 1), to: subYears(to, 1) };
+    }
+    const days = differenceInCalendarDays(to, range.from) + 1;
+    return { from: addDays(range.from, -days), to: addDays(range.from, -1) };
+};
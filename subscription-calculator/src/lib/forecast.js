@@ -0,0 +1,189 @@
+import { format } from 'date-fns';
+import { safeDivide } from './analytics';
+import { GRANULARITIES, bucketRows } from './timeSeries';
+
+// Forecasting of the daily or weekly totals
+//
+// The models are deliberately simple and run in the browser: each one is fitted
+// to the bucketed history and predicts a value and a standard error per future
+// bucket, from which the confidence band is drawn. ROI is not forecast directly;
+// it is worked out from the Cost and Revenue forecasts.
+
+export const FORECAST_MODELS = {
+    movingAverage: { label: 'Moving average' },
+    linearTrend: { label: 'Linear trend' },
+    seasonal: { label: 'Trend + weekly seasonality', dailyOnly: true },
+};
+
+export const FORECAST_METRICS = ['Cost', 'Subscriptions', 'Subscription Value', 'roi'];
+
+export const FORECAST_UNITS = ['day', 'week'];
+
+// Two-sided normal quantiles for the supported band widths.
+export const CONFIDENCE_LEVELS = { 0.8: 1.2816, 0.95: 1.96 };
+
+export const DEFAULT_FORECAST_OPTIONS = { metric: 'Cost', model: 'linearTrend', unit: 'week', horizon: 8, level: 0.8 };
+
+// Buckets averaged by the moving average.
+const MOVING_AVERAGE_WINDOW = { day: 7, week: 4 };
+
+// Fewest buckets a model is fitted to. Weekly seasonality needs two full weeks.
+const MIN_HISTORY = { movingAverage: 3, linearTrend: 4, seasonal: 14 };
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const sampleSd = (residuals, fittedParameters) => {
+    const dof = residuals.length - fittedParameters;
+    if (dof <= 0) return 0;
+    return Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / dof);
+};
+
+// Least-squares line through (index, value).
+const fitLine = (values) => {
+    const n = values.length;
+    const xMean = (n - 1) / 2;
+    const yMean = mean(values);
+    let sxx = 0;
+    let sxy = 0;
+    values.forEach((y, x) => {
+        sxx += (x - xMean) ** 2;
+        sxy += (x - xMean) * (y - yMean);
+    });
+    const slope = safeDivide(sxy, sxx);
+    return { n, xMean, sxx, at: (x) => yMean + slope * (x - xMean) };
+};
+
+// Standard error of a regression prediction at x, which widens away from the data.
+const predictionSd = (line, sd, x) => sd * Math.sqrt(1 + 1 / line.n + safeDivide((x - line.xMean) ** 2, line.sxx));
+
+// Each model takes the history and returns a predictor for step h (1 = next bucket).
+
+const movingAverage = (values, dates, unit) => {
+    const recent = values.slice(-MOVING_AVERAGE_WINDOW[unit]);
+    const level = mean(recent);
+    const sd = sampleSd(recent.map(value => value - level), 1) * Math.sqrt(1 + 1 / recent.length);
+    return () => ({ value: level, sd });
+};
+
+const linearTrend = (values) => {
+    const line = fitLine(values);
+    const sd = sampleSd(values.map((value, x) => value - line.at(x)), 2);
+    return (h) => {
+        const x = values.length - 1 + h;
+        return { value: line.at(x), sd: predictionSd(line, sd, x) };
+    };
+};
+
+// Linear trend plus an offset per day of the week. The offsets are measured
+// against a centred 7-day moving average, which a weekly pattern cannot skew, and
+// centred so they sum to zero.
+const seasonal = (values, dates, unit, futureDates) => {
+    const byWeekday = Array.from({ length: 7 }, () => []);
+    for (let x = 3; x < values.length - 3; x++) {
+        byWeekday[dates[x].getDay()].push(values[x] - mean(values.slice(x - 3, x + 4)));
+    }
+    const raw = byWeekday.map(deviations => (deviations.length > 0 ? mean(deviations) : 0));
+    const centre = mean(raw);
+    const offsets = raw.map(offset => offset - centre);
+
+    const line = fitLine(values.map((value, x) => value - offsets[dates[x].getDay()]));
+    const sd = sampleSd(values.map((value, x) => value - line.at(x) - offsets[dates[x].getDay()]), 2 + 6);
+    return (h) => {
+        const x = values.length - 1 + h;
+        return { value: line.at(x) + offsets[futureDates[h - 1].getDay()], sd: predictionSd(line, sd, x) };
+    };
+};
+
+const MODEL_FITS = { movingAverage, linearTrend, seasonal };
+
+const futureDatesAfter = (lastDate, unit, horizon) => {
+    const dates = [];
+    let date = lastDate;
+    for (let h = 0; h < horizon; h++) {
+        date = GRANULARITIES[unit].next(date);
+        dates.push(date);
+    }
+    return dates;
+};
+
+// Counts and money cannot go below zero.
+const projectColumn = (history, column, model, unit, dates, z) => {
+    const values = history.map(bucket => bucket[column]);
+    const predict = MODEL_FITS[model](values, history.map(bucket => bucket.date), unit, dates);
+    return dates.map((date, index) => {
+        const { value, sd } = predict(index + 1);
+        return { value: Math.max(value, 0), lower: Math.max(value - z * sd, 0), upper: Math.max(value + z * sd, 0) };
+    });
+};
+
+// ROI from the Cost and Revenue forecasts. Its band reflects the uncertainty in
+// revenue at the forecast spend.
+const projectRoi = (history, model, unit, dates, z) => {
+    const cost = projectColumn(history, 'Cost', model, unit, dates, z);
+    const revenue = projectColumn(history, 'Subscription Value', model, unit, dates, z);
+    const roi = (value, spend) => safeDivide(value - spend, spend);
+    return dates.map((date, index) => ({
+        value: roi(revenue[index].value, cost[index].value),
+        lower: roi(revenue[index].lower, cost[index].value),
+        upper: roi(revenue[index].upper, cost[index].value),
+    }));
+};
+
+// Why a model cannot be fitted to a history, or null when it can.
+export const forecastUnavailableReason = (historyLength, { model, unit }) => {
+    if (FORECAST_MODELS[model].dailyOnly && unit !== 'day') return 'Weekly seasonality needs daily data. Switch to days to use it.';
+    if (historyLength < MIN_HISTORY[model]) return `${FORECAST_MODELS[model].label} needs at least ${MIN_HISTORY[model]} ${unit}s of history.`;
+    return null;
+};
+
+const projectHistory = (history, { metric, model, unit, horizon, level }) => {
+    const dates = futureDatesAfter(history[history.length - 1].date, unit, horizon);
+    const z = CONFIDENCE_LEVELS[level];
+    const points = metric === 'roi'
+        ? projectRoi(history, model, unit, dates, z)
+        : projectColumn(history, metric, model, unit, dates, z);
+    return points.map((point, index) => ({ ...point, date: dates[index], label: format(dates[index], GRANULARITIES[unit].format) }));
+};
+
+// Forecast of the next `horizon` buckets after the rows. Returns
+// { history, points, totals }, or { history, error } when the history is too short.
+export const buildForecast = (rows, options) => {
+    const history = bucketRows(rows, options.unit);
+    const error = forecastUnavailableReason(history.length, options);
+    if (error) return { error, history };
+
+    const points = projectHistory(history, options);
+    const dates = points.map(point => point.date);
+    const total = (column) => projectColumn(history, column, options.model, options.unit, dates, 0)
+        .reduce((sum, point) => sum + point.value, 0);
+    const cost = total('Cost');
+    const revenue = total('Subscription Value');
+    const totals = { Cost: cost, Subscriptions: total('Subscriptions'), 'Subscription Value': revenue, roi: safeDivide(revenue - cost, cost) };
+    return { history, points, totals };
+};
+
+// Fits the model without the last `horizon` buckets and scores its forecast of
+// them. Fewer buckets are held out when the model would otherwise be left with
+// too little history. WAPE (total absolute error over total actual) copes with
+// zero buckets where a percentage error would not.
+export const backtestForecast = (rows, options) => {
+    const series = bucketRows(rows, options.unit);
+    const horizon = Math.min(options.horizon, series.length - MIN_HISTORY[options.model]);
+    const error = forecastUnavailableReason(series.length - 1, options);
+    if (error || horizon < 1) return { error: error || 'There is no history to hold out.', history: series };
+    const history = series.slice(0, series.length - horizon);
+
+    const heldOut = series.slice(history.length);
+    const points = projectHistory(history, { ...options, horizon }).map((point, index) => ({ ...point, actual: heldOut[index][options.metric] }));
+    const absoluteError = points.reduce((sum, point) => sum + Math.abs(point.actual - point.value), 0);
+    const actualTotal = points.reduce((sum, point) => sum + Math.abs(point.actual), 0);
+    return {
+        history,
+        points,
+        accuracy: {
+            mae: absoluteError / points.length,
+            wape: actualTotal > 0 ? absoluteError / actualTotal : null,
+            coverage: points.filter(point => point.actual >= point.lower && point.actual <= point.upper).length / points.length,
+        },
+    };
+};
@@ -0,0 +1,73 @@
+import { backtestForecast, buildForecast } from './forecast';
+
+// One row per day of January 2024, with Cost from `cost(index)`.
+const days = (count, cost = (index) => 100 + 10 * index) => Array.from({ length: count }, (_, index) => ({
+    'Ad Group': 'Search',
+    'Start Date': new Date(2024, 0, index + 1),
+    'End Date': new Date(2024, 0, index + 1),
+    Clicks: 1000,
+    Cost: cost(index),
+    'Avg. CPC': 0.1,
+    Installs: 100,
+    Trials: 40,
+    Subscriptions: 10,
+    'Subscription Value': 60,
+}));
+
+const options = { metric: 'Cost', model: 'linearTrend', unit: 'day', horizon: 3, level: 0.8 };
+
+describe('backtestForecast', () => {
+    test('holds out the last `horizon` buckets and scores the forecast of them', () => {
+        const result = backtestForecast(days(10), options);
+
+        expect(result.history).toHaveLength(7);
+        expect(result.points.map(point => point.actual)).toEqual([170, 180, 190]);
+        result.points.forEach(point => expect(point.value).toBeCloseTo(point.actual));
+        expect(result.accuracy.mae).toBeCloseTo(0);
+        expect(result.accuracy.wape).toBeCloseTo(0);
+        expect(result.accuracy.coverage).toBe(1);
+    });
+
+    test('holds out fewer buckets when the model would be left with too little history', () => {
+        // A linear trend needs four days, so only two of six can be held out.
+        const result = backtestForecast(days(6), { ...options, horizon: 5 });
+
+        expect(result.history).toHaveLength(4);
+        expect(result.points).toHaveLength(2);
+    });
+
+    test('holds out one bucket when only one more than the minimum is available', () => {
+        const result = backtestForecast(days(5), options);
+
+        expect(result.history).toHaveLength(4);
+        expect(result.points).toHaveLength(1);
+    });
+
+    test('cannot backtest without a bucket to spare', () => {
+        expect(backtestForecast(days(4), options).error).toBe('Linear trend needs at least 4 days of history.');
+        expect(backtestForecast(days(14), { ...options, model: 'seasonal' }).error).toBe('Trend + weekly seasonality needs at least 14 days of history.');
+    });
+
+    test('has no WAPE when the held-out buckets are all zero', () => {
+        const result = backtestForecast(days(8, (index) => (index < 5 ? 10 : 0)), options);
+
+        expect(result.accuracy.wape).toBeNull();
+        expect(result.accuracy.mae).toBeGreaterThan(0);
+    });
+});
+
+describe('buildForecast', () => {
+    test('extends a linear trend and never forecasts below zero', () => {
+        const rising = buildForecast(days(7), options);
+        const falling = buildForecast(days(7, (index) => 60 - 10 * index), options);
+
+        [170, 180, 190].forEach((value, index) => expect(rising.points[index].value).toBeCloseTo(value));
+        expect(rising.totals.Cost).toBeCloseTo(540);
+        expect(falling.points.map(point => point.value)).toEqual([0, 0, 0]);
+    });
+
+    test('reports a history that is too short', () => {
+        expect(buildForecast(days(3), options)).toMatchObject({ error: 'Linear trend needs at least 4 days of history.' });
+        expect(buildForecast(days(14), { ...options, model: 'seasonal', unit: 'week' }).error).toMatch(/needs daily data/);
+    });
+});
@@ -0,0 +1,47 @@
+import { format } from 'date-fns';
+
+// Display helpers shared by the dashboard panels
+
+export const formatPercentage = (value) => `${(value * 100).toFixed(2)}%`;
+export const formatRatio = (value) => `${value.toFixed(2)}x`;
+
+export const formatRange = (range) => (range?.from
+    ? `${format(range.from, 'LLL dd, y')} - ${range.to ? format(range.to, 'LLL dd, y') : ''}`
+    : null);
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+// The formatters that depend on the reporting currency and locale. App builds one
+// set from the currency settings and hands it to the panels through
+// FormattingContext (see components/ui.js); code outside React takes a set as an
+// argument.
+export const createFormatters = ({ currency, locale }) => {
+    const currencyFormatter = new Intl.NumberFormat(locale, { style: 'currency', currency });
+    const numberFormatter = new Intl.NumberFormat(locale);
+
+    const formatCurrency = (value) => currencyFormatter.format(value);
+    const formatNumber = (value) => numberFormatter.format(Math.round(value));
+    const byKind = { currency: formatCurrency, percentage: formatPercentage, ratio: formatRatio, number: formatNumber };
+    const formatMetric = (value, kind) => (byKind[kind] || String)(value);
+
+    const formatDeltaDiff = (diff, kind) => {
+        const sign = diff > 0 ? '+' : diff < 0 ? '-' : '';
+        // Rates change by percentage points, which would read like a percent change otherwise.
+        if (kind === 'percentage') return `${sign}${(Math.abs(diff) * 100).toFixed(2)} pp`;
+        return `${sign}${formatMetric(Math.abs(diff), kind)}`;
+    };
+
+    const formatBytes = (bytes) => {
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${numberFormatter.format(Math.round(value * 10) / 10)} ${BYTE_UNITS[unit]}`;
+    };
+
+    return { currency, locale, formatCurrency, formatNumber, formatMetric, formatDeltaDiff, formatBytes };
+};
+
+export const DEFAULT_FORMATTERS = createFormatters({ currency: 'USD', locale: 'en-US' });
@@ -0,0 +1,179 @@
+import { safeDivide } from './analytics';
+
+// A small arithmetic language for custom metrics, e.g. `(Revenue - Cost) / Installs`
+//
+// Formulas are parsed into a tree and evaluated against named totals; nothing is
+// ever passed to eval. The grammar:
+//
+//   expression := term (("+" | "-") term)*
+//   term       := unary (("*" | "/") unary)*
+//   unary      := "-" unary | primary
+//   primary    := number | name | name "(" arguments ")" | "(" expression ")"
+//
+// A name is a word (`Installs`, `cpi`) or any text in square brackets
+// (`[Subscription Value]`). Names match case-insensitively and ignore spaces and
+// punctuation. Division by zero gives 0, as it does for the built-in metrics.
+
+export class FormulaError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} at position ${position + 1}`);
+        this.name = 'FormulaError';
+    }
+}
+
+export const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+const FUNCTIONS = {
+    min: { arity: [1, Infinity], apply: (args) => Math.min(...args) },
+    max: { arity: [1, Infinity], apply: (args) => Math.max(...args) },
+    abs: { arity: [1, 1], apply: ([value]) => Math.abs(value) },
+};
+
+const tokenize = (text) => {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (/[\d.]/.test(char)) {
+            const match = /^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i.exec(text.slice(i));
+            if (!match) throw new FormulaError('Invalid number', i);
+            tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+            i += match[0].length;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+            tokens.push({ type: 'name', value: match[0], position: i });
+            i += match[0].length;
+        } else if (char === '[') {
+            const end = text.indexOf(']', i);
+            if (end === -1) throw new FormulaError('Missing "]"', i);
+            tokens.push({ type: 'name', value: text.slice(i + 1, end).trim(), position: i });
+            i = end + 1;
+        } else if ('+-*/(),'.includes(char)) {
+            tokens.push({ type: char, position: i });
+            i++;
+        } else {
+            throw new FormulaError(`Unexpected "${char}"`, i);
+        }
+    }
+    tokens.push({ type: 'end', position: text.length });
+    return tokens;
+};
+
+const parse = (text) => {
+    const tokens = tokenize(text);
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const expect = (type) => {
+        const token = next();
+        if (token.type !== type) throw new FormulaError(`Expected "${type}"`, token.position);
+        return token;
+    };
+
+    const binary = (operand, operators) => () => {
+        let node = operand();
+        while (operators.includes(peek().type)) {
+            const operator = next().type;
+            node = { type: 'binary', operator, left: node, right: operand() };
+        }
+        return node;
+    };
+
+    const primary = () => {
+        const token = next();
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.type === '(') {
+            const node = expression();
+            expect(')');
+            return node;
+        }
+        if (token.type === 'name') {
+            if (peek().type !== '(') return { type: 'name', name: token.value, position: token.position };
+            const fn = FUNCTIONS[token.value.toLowerCase()];
+            if (!fn) throw new FormulaError(`Unknown function "${token.value}"`, token.position);
+            next();
+            const args = [];
+            if (peek().type !== ')') {
+                args.push(expression());
+                while (peek().type === ',') {
+                    next();
+                    args.push(expression());
+                }
+            }
+            expect(')');
+            if (args.length < fn.arity[0] || args.length > fn.arity[1]) {
+                throw new FormulaError(`Wrong number of arguments for ${token.value}()`, token.position);
+            }
+            return { type: 'call', fn, args };
+        }
+        if (token.type === 'end') throw new FormulaError('Unexpected end of formula', token.position);
+        throw new FormulaError(`Unexpected "${token.type}"`, token.position);
+    };
+
+    const unary = () => {
+        if (peek().type === '-') {
+            next();
+            return { type: 'negate', operand: unary() };
+        }
+        return primary();
+    };
+
+    const expression = binary(binary(unary, ['*', '/']), ['+', '-']);
+
+    if (peek().type === 'end') throw new FormulaError('The formula is empty');
+    const tree = expression();
+    if (peek().type !== 'end') throw new FormulaError(`Unexpected "${peek().type === 'name' ? peek().value : peek().type}"`, peek().position);
+    return tree;
+};
+
+const namesIn = (node) => {
+    if (node.type === 'name') return [node];
+    if (node.type === 'binary') return [...namesIn(node.left), ...namesIn(node.right)];
+    if (node.type === 'negate') return namesIn(node.operand);
+    if (node.type === 'call') return node.args.flatMap(namesIn);
+    return [];
+};
+
+const evaluate = (node, variables) => {
+    switch (node.type) {
+        case 'number': return node.value;
+        case 'name': return variables.get(normalizeName(node.name)) ?? 0;
+        case 'negate': return -evaluate(node.operand, variables);
+        case 'call': return node.fn.apply(node.args.map(arg => evaluate(arg, variables)));
+        default: {
+            const left = evaluate(node.left, variables);
+            const right = evaluate(node.right, variables);
+            if (node.operator === '+') return left + right;
+            if (node.operator === '-') return left - right;
+            if (node.operator === '*') return left * right;
+            return safeDivide(left, right);
+        }
+    }
+};
+
+// Parses a formula and checks its names against `knownNames`. Returns a function
+// of a Map from normalised name to value. Throws a FormulaError when the formula
+// is invalid.
+export const compileFormula = (text, knownNames) => {
+    const tree = parse(text);
+    const known = new Set([...knownNames].map(normalizeName));
+    const unknown = namesIn(tree).find(node => !known.has(normalizeName(node.name)));
+    if (unknown) throw new FormulaError(`Unknown name "${unknown.name}"`, unknown.position);
+    return (variables) => {
+        const value = evaluate(tree, variables);
+        return Number.isFinite(value) ? value : 0;
+    };
+};
+
+// The error message for a formula, or null when it is valid.
+export const formulaError = (text, knownNames) => {
+    try {
+        compileFormula(text, knownNames);
+        return null;
+    } catch (e) {
+        if (e instanceof FormulaError) return e.message;
+        throw e;
+    }
+};
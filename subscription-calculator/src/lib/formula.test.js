@@ -0,0 +1,106 @@
+import { FormulaError, compileFormula, formulaError, normalizeName } from './formula';
+import { evaluateMetrics, formulaVariables } from './funnel';
+
+const totals = { Clicks: 1000, Cost: 500, Installs: 100, Trials: 40, Subscriptions: 10, 'Subscription Value': 600, cpi: 5 };
+const variables = formulaVariables(totals);
+
+const run = (text) => compileFormula(text, variables.keys())(variables);
+
+describe('evaluating', () => {
+    test('multiplication and division bind tighter than addition and subtraction', () => {
+        expect(run('2 + 3 * 4')).toBe(14);
+        expect(run('20 - 10 / 5')).toBe(18);
+        expect(run('10 - 4 - 3')).toBe(3);
+        expect(run('64 / 4 / 2')).toBe(8);
+    });
+
+    test('brackets override precedence', () => {
+        expect(run('(2 + 3) * 4')).toBe(20);
+        expect(run('((Cost))')).toBe(500);
+    });
+
+    test('unary minus applies to the next operand', () => {
+        expect(run('-3 * 2')).toBe(-6);
+        expect(run('--3')).toBe(3);
+        expect(run('4 - -2')).toBe(6);
+        expect(run('-(Cost - 600)')).toBe(100);
+    });
+
+    test('numbers can have decimals and exponents', () => {
+        expect(run('.5 + 1.25')).toBe(1.75);
+        expect(run('2e3')).toBe(2000);
+    });
+
+    test('names match case-insensitively, ignoring spaces and punctuation', () => {
+        expect(run('[Subscription Value] / subscriptions')).toBe(60);
+        expect(run('[subscription-value]')).toBe(600);
+        expect(run('CPI')).toBe(5);
+        expect(normalizeName('Avg. CPC')).toBe('avgcpc');
+    });
+
+    test('Revenue and Spend are other names for Subscription Value and Cost', () => {
+        expect(run('Revenue - Spend')).toBe(100);
+        expect(run('(Revenue - Cost) / Installs')).toBe(1);
+    });
+
+    test('dividing by zero gives 0', () => {
+        expect(run('Cost / 0')).toBe(0);
+        expect(run('1 / (Installs - 100)')).toBe(0);
+    });
+
+    test('min, max and abs', () => {
+        expect(run('min(Cost, Installs, 300)')).toBe(100);
+        expect(run('max(Cost)')).toBe(500);
+        expect(run('ABS(Installs - Cost)')).toBe(400);
+    });
+});
+
+describe('errors', () => {
+    const errorFor = (text) => formulaError(text, variables.keys());
+
+    test('a valid formula has no error', () => {
+        expect(errorFor('Revenue / Installs')).toBeNull();
+    });
+
+    test('unknown names are reported where they appear', () => {
+        expect(errorFor('Cost / Signups')).toBe('Unknown name "Signups" at position 8');
+        expect(errorFor('[Net Revenue] * 2')).toBe('Unknown name "Net Revenue" at position 1');
+    });
+
+    test('unknown functions are reported where they appear', () => {
+        expect(errorFor('1 + sqrt(Cost)')).toBe('Unknown function "sqrt" at position 5');
+    });
+
+    test('functions given the wrong number of arguments', () => {
+        expect(errorFor('abs(Cost, Installs)')).toBe('Wrong number of arguments for abs() at position 1');
+        expect(errorFor('min()')).toBe('Wrong number of arguments for min() at position 1');
+    });
+
+    test('syntax errors give the position of the offending character', () => {
+        expect(errorFor('Cost +')).toBe('Unexpected end of formula at position 7');
+        expect(errorFor('(Cost + 1')).toBe('Expected ")" at position 10');
+        expect(errorFor('Cost Installs')).toBe('Unexpected "Installs" at position 6');
+        expect(errorFor('Cost % 2')).toBe('Unexpected "%" at position 6');
+        expect(errorFor('[Cost')).toBe('Missing "]" at position 1');
+        expect(errorFor('* 2')).toBe('Unexpected "*" at position 1');
+    });
+
+    test('an empty formula has no position', () => {
+        expect(errorFor('   ')).toBe('The formula is empty');
+    });
+
+    test('compileFormula throws a FormulaError', () => {
+        expect(() => compileFormula('Cost +', variables.keys())).toThrow(FormulaError);
+    });
+
+    test('evaluateMetrics keeps the error of a metric that does not compile', () => {
+        const [valid, invalid] = evaluateMetrics([
+            { id: 'a', formula: 'Spend / Installs' },
+            { id: 'b', formula: 'Spend / Signups' },
+        ], totals);
+
+        expect(valid.value).toBe(5);
+        expect(invalid).toMatchObject({ error: 'Unknown name "Signups" at position 9' });
+        expect(invalid.value).toBeUndefined();
+    });
+});
@@ -0,0 +1,92 @@
+import { DATE_COLUMNS, FUNNEL_STAGES, NUMERIC_COLUMNS, isBlank, parseNumber, sumColumns } from './analytics';
+import { compileFormula, normalizeName } from './formula';
+import { loadStored, store } from './storage';
+
+// User-defined funnel stages and custom metrics
+//
+// Stages can be any numeric column, including extra columns carried over from
+// the import such as Impressions or Signups. Custom metrics are formulas (see
+// formula.js) over the column totals and the built-in summary metrics.
+
+export const METRIC_KINDS = {
+    number: 'Number',
+    currency: 'Currency',
+    percentage: 'Percentage',
+    ratio: 'Ratio',
+};
+
+export const DEFAULT_FUNNEL_SETTINGS = { stages: FUNNEL_STAGES, metrics: [] };
+
+// Numeric columns that are not counts of people, so cannot be funnel stages.
+const NON_STAGE_COLUMNS = ['Cost', 'Avg. CPC', 'Subscription Value'];
+
+// Columns that are never extra numeric columns, whatever their values look like.
+const NON_NUMERIC_COLUMNS = [...DATE_COLUMNS, 'Ad Group', 'Currency', 'Original Currency', 'Source', 'id'];
+
+// Other names formulas can use for a total.
+const ALIASES = { Revenue: 'Subscription Value', Spend: 'Cost' };
+
+// Columns beyond the typed ones whose non-blank cells all parse as numbers.
+export const extraNumericColumns = (rows) => {
+    const numeric = new Map();
+    rows.forEach(row => Object.keys(row).forEach(column => {
+        if (NUMERIC_COLUMNS.includes(column) || NON_NUMERIC_COLUMNS.includes(column) || numeric.get(column) === false) return;
+        if (isBlank(row[column])) return;
+        numeric.set(column, Number.isFinite(parseNumber(row[column])));
+    }));
+    return [...numeric.entries()].filter(([, isNumeric]) => isNumeric).map(([column]) => column);
+};
+
+export const stageColumns = (extraColumns) => [
+    ...NUMERIC_COLUMNS.filter(column => !NON_STAGE_COLUMNS.includes(column)),
+    ...extraColumns,
+];
+
+// The configured stages that exist in the data. Falls back to the default funnel
+// when fewer than two are left, e.g. after loading a file without a custom column.
+export const resolveStages = (stages, available) => {
+    const present = stages.filter(stage => available.includes(stage));
+    return present.length >= 2 ? present : FUNNEL_STAGES;
+};
+
+// A summary with the totals of the extra columns added.
+export const withColumnTotals = (summary, rows, extraColumns) => ({ ...summary, ...sumColumns(rows, extraColumns) });
+
+// The values formulas can refer to, keyed by normalised name.
+export const formulaVariables = (totals) => {
+    const variables = new Map(Object.entries(totals)
+        .filter(([, value]) => typeof value === 'number')
+        .map(([name, value]) => [normalizeName(name), value]));
+    Object.entries(ALIASES).forEach(([alias, name]) => variables.set(normalizeName(alias), totals[name]));
+    return variables;
+};
+
+export const createMetric = () => ({
+    id: `metric-${Date.now()}`,
+    name: 'New metric',
+    formula: '(Revenue - Cost) / Installs',
+    kind: 'currency',
+    higherIsBetter: true,
+});
+
+// Evaluates each custom metric against the totals. A metric whose formula does
+// not compile carries the error instead of a value.
+export const evaluateMetrics = (metrics, totals) => {
+    const variables = formulaVariables(totals);
+    return metrics.map(metric => {
+        try {
+            return { ...metric, value: compileFormula(metric.formula, variables.keys())(variables) };
+        } catch (e) {
+            return { ...metric, error: e.message };
+        }
+    });
+};
+
+const SETTINGS_STORAGE_NAME = 'funnel-settings';
+
+export const loadFunnelSettings = () => {
+    const stored = loadStored(SETTINGS_STORAGE_NAME);
+    return stored ? { ...DEFAULT_FUNNEL_SETTINGS, ...stored } : DEFAULT_FUNNEL_SETTINGS;
+};
+
+export const storeFunnelSettings = (settings) => store(SETTINGS_STORAGE_NAME, settings);
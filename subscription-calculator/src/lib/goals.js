@@ -0,0 +1,106 @@
+import { addMonths, differenceInCalendarDays, endOfMonth, getDaysInMonth, isValid, max, min, startOfMonth } from 'date-fns';
+import { ALL_AD_GROUPS, latestStartDate, safeDivide } from './analytics';
+import { isMetricDefined } from './metrics';
+import { loadStored, store } from './storage';
+
+// Targets for the headline metrics and how the selected period is pacing
+//
+// Spend and subscription targets are monthly totals, prorated to the days of the
+// period being viewed. CAC and ROI targets are limits that hold whatever the
+// period. Targets are set for all ad groups together and, optionally, for single
+// ad groups; a view filtered to one ad group is measured against that group's
+// targets only.
+
+export const GOAL_METRICS = {
+    Cost: { label: 'Monthly spend', direction: 'atMost', monthly: true },
+    Subscriptions: { label: 'Monthly subscriptions', direction: 'atLeast', monthly: true },
+    cac: { label: 'Maximum CAC', direction: 'atMost', monthly: false },
+    roi: { label: 'Minimum ROI', direction: 'atLeast', monthly: false },
+};
+
+// A metric that misses its target by no more than this share of it is amber.
+const AMBER_MARGIN = 0.1;
+
+export const STATUS_LABELS = { green: 'On track', amber: 'At risk', red: 'Off track' };
+
+// The targets that apply to a view of one ad group, or of all of them.
+export const goalsFor = (goals, adGroup = ALL_AD_GROUPS) => goals[adGroup] || {};
+
+// Sets or clears (with null) one target, dropping ad groups left without any.
+export const setGoal = (goals, adGroup, metric, target) => {
+    const others = Object.fromEntries(Object.entries(goalsFor(goals, adGroup)).filter(([key]) => key !== metric));
+    const targets = target === null ? others : { ...others, [metric]: target };
+    const otherGroups = Object.fromEntries(Object.entries(goals).filter(([key]) => key !== adGroup));
+    return Object.keys(targets).length > 0 ? { ...otherGroups, [adGroup]: targets } : otherGroups;
+};
+
+export const countGoals = (goals) => Object.values(goals).reduce((count, targets) => count + Object.keys(targets).length, 0);
+
+// The period a view covers: the date range, with open ends filled in from the
+// data. `elapsedDays` counts the days up to the latest date in the data, and
+// `months` is the period's length in months, counted day by day so that ranges
+// crossing months of different lengths prorate correctly. Null when neither the
+// range nor the data has dates.
+export const goalPeriod = (range, rows) => {
+    const dates = rows.map(row => row['Start Date']).filter(isValid);
+    if (!range?.from && dates.length === 0) return null;
+    const latest = latestStartDate(rows);
+    const from = range?.from || min(dates);
+    const to = range?.to || max([from, latest]);
+
+    const days = differenceInCalendarDays(to, from) + 1;
+    const elapsedDays = Math.min(Math.max(differenceInCalendarDays(min([latest, to]), from) + 1, 0), days);
+    let months = 0;
+    for (let month = startOfMonth(from); month <= to; month = addMonths(month, 1)) {
+        const overlap = differenceInCalendarDays(min([endOfMonth(month), to]), max([month, from])) + 1;
+        months += overlap / getDaysInMonth(month);
+    }
+    return { from, to, days, elapsedDays, months };
+};
+
+const ragStatus = (value, target, direction) => {
+    const shortfall = direction === 'atLeast' ? target - value : value - target;
+    if (shortfall <= 0) return 'green';
+    return shortfall <= AMBER_MARGIN * Math.abs(target) ? 'amber' : 'red';
+};
+
+// Progress of one metric against its target. Monthly targets are scaled to the
+// period, and while the period is still running the total is projected to its
+// end at the run rate so far; the status follows the projection. The status is
+// null when there is nothing to judge yet: no days of the period have data, or a
+// ratio's base is zero.
+export const evaluateGoal = (metric, target, summary, period) => {
+    const { direction, monthly } = GOAL_METRICS[metric];
+    const value = summary[metric];
+    if (!monthly) {
+        return { metric, target, value, status: isMetricDefined(summary, metric) ? ragStatus(value, target, direction) : null };
+    }
+
+    const periodTarget = target * (period ? period.months : 1);
+    const pacing = Boolean(period) && period.elapsedDays < period.days;
+    const projected = pacing ? safeDivide(value * period.days, period.elapsedDays) : value;
+    const started = !period || period.elapsedDays > 0;
+    return {
+        metric,
+        target,
+        periodTarget,
+        value,
+        progress: safeDivide(value, periodTarget),
+        pacing: pacing && started,
+        projected,
+        status: started ? ragStatus(projected, periodTarget, direction) : null,
+    };
+};
+
+// Evaluations of every target set for a view, keyed by metric.
+export const evaluateGoals = (targets, summary, period) => Object.fromEntries(
+    Object.entries(targets)
+        .filter(([metric]) => GOAL_METRICS[metric])
+        .map(([metric, target]) => [metric, evaluateGoal(metric, target, summary, period)])
+);
+
+const GOALS_STORAGE_NAME = 'goals';
+
+export const loadGoals = () => loadStored(GOALS_STORAGE_NAME) || {};
+
+export const storeGoals = (goals) => store(GOALS_STORAGE_NAME, goals);
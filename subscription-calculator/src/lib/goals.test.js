@@ -0,0 +1,117 @@
+import { ALL_AD_GROUPS } from './analytics';
+import { countGoals, evaluateGoal, evaluateGoals, goalPeriod, goalsFor, setGoal } from './goals';
+
+const row = (start) => ({ 'Ad Group': 'Search', 'Start Date': start, 'End Date': start });
+
+const date = (month, day, year = 2024) => new Date(year, month - 1, day);
+
+describe('goalPeriod', () => {
+    test('a whole month is one month, whatever its length', () => {
+        expect(goalPeriod({ from: date(2, 1), to: date(2, 29) }, [row(date(2, 29))])).toMatchObject({ days: 29, elapsedDays: 29, months: 1 });
+        expect(goalPeriod({ from: date(2, 1, 2023), to: date(2, 28, 2023) }, [row(date(2, 28, 2023))]).months).toBe(1);
+        expect(goalPeriod({ from: date(1, 1), to: date(1, 31) }, [row(date(1, 31))]).months).toBe(1);
+    });
+
+    test('prorates each month by its own length', () => {
+        // Half of January (16 of 31 days) and all of a leap-year February.
+        expect(goalPeriod({ from: date(1, 16), to: date(2, 29) }, []).months).toBeCloseTo(1 + 16 / 31);
+        // Fifteen days of February 2023 weigh more than fifteen days of March.
+        expect(goalPeriod({ from: date(2, 14, 2023), to: date(3, 15, 2023) }, []).months).toBeCloseTo(15 / 28 + 15 / 31);
+    });
+
+    test('fills open ends of the range from the data', () => {
+        const rows = [row(date(1, 5)), row(date(1, 20)), row(date(1, 12))];
+
+        expect(goalPeriod(null, rows)).toMatchObject({ from: date(1, 5), to: date(1, 20), days: 16, elapsedDays: 16 });
+        expect(goalPeriod({ from: date(1, 10) }, rows)).toMatchObject({ from: date(1, 10), to: date(1, 20), days: 11 });
+        expect(goalPeriod({ to: date(1, 31) }, rows)).toMatchObject({ from: date(1, 5), to: date(1, 31), days: 27, elapsedDays: 16 });
+    });
+
+    test('counts elapsed days up to the latest date in the data', () => {
+        expect(goalPeriod({ from: date(1, 1), to: date(1, 31) }, [row(date(1, 1)), row(date(1, 10))])).toMatchObject({ days: 31, elapsedDays: 10 });
+    });
+
+    test('a range wholly before the data has elapsed in full', () => {
+        expect(goalPeriod({ from: date(1, 1), to: date(1, 31) }, [row(date(3, 5))]).elapsedDays).toBe(31);
+    });
+
+    test('a range wholly after the data has not started', () => {
+        expect(goalPeriod({ from: date(6, 1), to: date(6, 30) }, [row(date(3, 5))]).elapsedDays).toBe(0);
+    });
+
+    test('is null with no dates in the range or the data', () => {
+        expect(goalPeriod(null, [])).toBeNull();
+        expect(goalPeriod({ from: undefined, to: date(1, 31) }, [])).toBeNull();
+    });
+});
+
+describe('evaluateGoal', () => {
+    const january = (elapsedDays) => ({ from: date(1, 1), to: date(1, 31), days: 31, elapsedDays, months: 1 });
+
+    test('projects a running period to its end at the run rate so far', () => {
+        const result = evaluateGoal('Cost', 3000, { Cost: 1000 }, january(10));
+
+        expect(result).toMatchObject({ periodTarget: 3000, value: 1000, pacing: true, projected: 3100 });
+        expect(result.progress).toBeCloseTo(1 / 3);
+        expect(result.status).toBe('amber');
+    });
+
+    test('judges a finished period on its total', () => {
+        expect(evaluateGoal('Cost', 3000, { Cost: 2900 }, january(31))).toMatchObject({ pacing: false, projected: 2900, status: 'green' });
+    });
+
+    test('scales monthly targets to the period', () => {
+        const period = { ...january(31), months: 1.5 };
+
+        expect(evaluateGoal('Subscriptions', 100, { Subscriptions: 140 }, period)).toMatchObject({ periodTarget: 150, status: 'amber' });
+    });
+
+    test('is amber within 10% of the target and red beyond it', () => {
+        const subscriptions = (value) => evaluateGoal('Subscriptions', 100, { Subscriptions: value }, january(31)).status;
+        expect(subscriptions(100)).toBe('green');
+        expect(subscriptions(90)).toBe('amber');
+        expect(subscriptions(89)).toBe('red');
+
+        const cac = (value) => evaluateGoal('cac', 50, { cac: value, Subscriptions: 10 }, january(31)).status;
+        expect(cac(50)).toBe('green');
+        expect(cac(55)).toBe('amber');
+        expect(cac(55.5)).toBe('red');
+    });
+
+    test('the amber margin of a negative ROI target is taken from its size', () => {
+        const roi = (value) => evaluateGoal('roi', -0.2, { roi: value, Cost: 100 }, january(31)).status;
+
+        expect(roi(-0.21)).toBe('amber');
+        expect(roi(-0.25)).toBe('red');
+    });
+
+    test('has no status before the period has data', () => {
+        expect(evaluateGoal('Cost', 3000, { Cost: 0 }, january(0))).toMatchObject({ pacing: false, status: null });
+    });
+
+    test('has no status for a ratio without a base', () => {
+        expect(evaluateGoal('cac', 50, { cac: 0, Subscriptions: 0 }, january(31)).status).toBeNull();
+    });
+
+    test('uses the monthly target as is without a period', () => {
+        expect(evaluateGoal('Cost', 3000, { Cost: 1000 }, null)).toMatchObject({ periodTarget: 3000, pacing: false, status: 'green' });
+    });
+});
+
+describe('goal settings', () => {
+    test('setGoal sets and clears targets, dropping empty ad groups', () => {
+        let goals = setGoal({}, ALL_AD_GROUPS, 'Cost', 3000);
+        goals = setGoal(goals, 'Search', 'roi', 0.2);
+
+        expect(goalsFor(goals)).toEqual({ Cost: 3000 });
+        expect(goalsFor(goals, 'Search')).toEqual({ roi: 0.2 });
+        expect(countGoals(goals)).toBe(2);
+        expect(setGoal(goals, 'Search', 'roi', null)).toEqual({ [ALL_AD_GROUPS]: { Cost: 3000 } });
+    });
+
+    test('evaluateGoals skips unknown metrics', () => {
+        const results = evaluateGoals({ Cost: 3000, clicks: 10 }, { Cost: 1000 }, null);
+
+        expect(Object.keys(results)).toEqual(['Cost']);
+    });
+});
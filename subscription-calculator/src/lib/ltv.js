@@ -0,0 +1,96 @@
+import { format, isValid, startOfMonth } from 'date-fns';
+import { safeDivide, sumRows } from './analytics';
+
+const DAYS_PER_MONTH = 30.4;
+
+export const BILLING_PERIODS = {
+    1: 'Monthly',
+    3: 'Quarterly',
+    6: 'Semi-annual',
+    12: 'Annual',
+};
+
+export const DEFAULT_LTV_ASSUMPTIONS = {
+    billingMonths: 1,
+    monthlyChurn: 0.1,
+    refundRate: 0.02,
+    trialDelayDays: 0,
+    horizonMonths: 24,
+};
+
+// Projects the revenue of one paying subscriber month by month. `price` is the
+// charge per billing period ('Subscription Value'); a charge is collected at the
+// start of every billing period from the share of subscribers still retained,
+// net of refunds. A trial delay shifts the whole curve later by its length in
+// fractional months, so a 7-day trial moves it by about a quarter of a month.
+export const projectSubscriber = (price, assumptions) => {
+    const { billingMonths, monthlyChurn, refundRate, trialDelayDays, horizonMonths } = assumptions;
+    const netPrice = price * (1 - refundRate);
+
+    // The curve without a trial, at the end of each month; index 0 is acquisition.
+    const undelayed = [{ retention: 1, cumulativeRevenue: 0 }];
+    let cumulative = 0;
+    for (let month = 0; month < horizonMonths; month++) {
+        const retention = Math.pow(1 - monthlyChurn, month);
+        if (month % billingMonths === 0) cumulative += netPrice * retention;
+        undelayed.push({ retention, cumulativeRevenue: cumulative });
+    }
+
+    // Reads the undelayed curve `delayMonths` earlier, between its monthly points.
+    const delayMonths = trialDelayDays / DAYS_PER_MONTH;
+    const read = (month, key) => {
+        const position = month - delayMonths;
+        if (position <= 0) return undelayed[0][key];
+        const before = Math.floor(position);
+        const after = Math.min(before + 1, horizonMonths);
+        return undelayed[before][key] + (position - before) * (undelayed[after][key] - undelayed[before][key]);
+    };
+
+    return Array.from({ length: horizonMonths }, (_, index) => ({
+        month: index + 1,
+        retention: read(index + 1, 'retention'),
+        cumulativeRevenue: read(index + 1, 'cumulativeRevenue'),
+    }));
+};
+
+// Works out LTV, LTV:CAC and payback for a group of rows acquired together.
+export const modelCohort = (rows, assumptions) => {
+    const totals = sumRows(rows);
+    const price = safeDivide(totals['Subscription Value'], totals.Subscriptions);
+    const cac = safeDivide(totals.Cost, totals.Subscriptions);
+    const curve = projectSubscriber(price, assumptions).map(point => ({
+        ...point,
+        cumulativeRevenue: point.cumulativeRevenue * totals.Subscriptions,
+        cost: totals.Cost,
+    }));
+    const ltv = curve.length ? safeDivide(curve[curve.length - 1].cumulativeRevenue, totals.Subscriptions) : 0;
+    const payback = curve.find(point => totals.Cost > 0 && point.cumulativeRevenue >= totals.Cost);
+
+    return {
+        Cost: totals.Cost,
+        Subscriptions: totals.Subscriptions,
+        price,
+        cac,
+        ltv,
+        ltvToCac: safeDivide(ltv, cac),
+        paybackMonth: payback ? payback.month : null,
+        curve,
+    };
+};
+
+// Splits rows into monthly acquisition cohorts by Start Date and models each one.
+export const buildCohorts = (rows, assumptions) => {
+    const cohorts = new Map();
+    rows.forEach(row => {
+        if (!isValid(row['Start Date'])) return;
+        const key = startOfMonth(row['Start Date']).getTime();
+        if (!cohorts.has(key)) cohorts.set(key, []);
+        cohorts.get(key).push(row);
+    });
+    return [...cohorts.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([key, cohortRows]) => ({
+            label: format(new Date(key), 'MMM yyyy'),
+            ...modelCohort(cohortRows, assumptions),
+        }));
+};
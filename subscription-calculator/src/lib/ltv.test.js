@@ -0,0 +1,69 @@
+import { DEFAULT_LTV_ASSUMPTIONS, buildCohorts, modelCohort, projectSubscriber } from './ltv';
+
+const row = (start, values = {}) => ({
+    'Ad Group': 'Search',
+    'Start Date': start,
+    'End Date': start,
+    Clicks: 1000,
+    Cost: 200,
+    'Avg. CPC': 0.2,
+    Installs: 100,
+    Trials: 40,
+    Subscriptions: 10,
+    'Subscription Value': 10,
+    ...values,
+});
+
+const assumptions = { ...DEFAULT_LTV_ASSUMPTIONS, monthlyChurn: 0, refundRate: 0, horizonMonths: 4 };
+
+const revenue = (curve) => curve.map(point => point.cumulativeRevenue);
+
+describe('projectSubscriber', () => {
+    test('charges at the start of each billing period, net of churn and refunds', () => {
+        const curve = projectSubscriber(10, { ...assumptions, monthlyChurn: 0.1, refundRate: 0.5, horizonMonths: 3 });
+
+        [5, 9.5, 13.55].forEach((value, index) => expect(curve[index].cumulativeRevenue).toBeCloseTo(value));
+        [1, 0.9, 0.81].forEach((value, index) => expect(curve[index].retention).toBeCloseTo(value));
+    });
+
+    test('charges once per billing period', () => {
+        expect(revenue(projectSubscriber(10, { ...assumptions, billingMonths: 3 }))).toEqual([10, 10, 10, 20]);
+    });
+
+    test('shifts the curve by the trial in fractional months', () => {
+        const week = 7 / 30.4;
+        const curve = projectSubscriber(10, { ...assumptions, trialDelayDays: 7 });
+
+        [10 * (1 - week), 20 - 10 * week, 30 - 10 * week, 40 - 10 * week]
+            .forEach((value, index) => expect(curve[index].cumulativeRevenue).toBeCloseTo(value));
+    });
+
+    test('a trial of a whole month moves every charge a month later', () => {
+        expect(revenue(projectSubscriber(10, { ...assumptions, trialDelayDays: 30.4 }))).toEqual([0, 10, 20, 30]);
+    });
+});
+
+describe('modelCohort', () => {
+    test('works out LTV, LTV:CAC and the payback month per subscriber', () => {
+        const cohort = modelCohort([row(new Date(2024, 0, 1))], assumptions);
+
+        expect(cohort).toMatchObject({ price: 10, cac: 20, ltv: 40, ltvToCac: 2, paybackMonth: 2 });
+        expect(cohort.curve[1]).toMatchObject({ month: 2, cumulativeRevenue: 200, cost: 200 });
+    });
+
+    test('a two-week trial can push payback back a month', () => {
+        expect(modelCohort([row(new Date(2024, 0, 1))], { ...assumptions, trialDelayDays: 14 }).paybackMonth).toBe(3);
+    });
+
+    test('has no payback month when the cost is never earned back', () => {
+        expect(modelCohort([row(new Date(2024, 0, 1), { Cost: 1000 })], assumptions).paybackMonth).toBeNull();
+    });
+});
+
+describe('buildCohorts', () => {
+    test('groups rows by the month they started, in date order, skipping undated rows', () => {
+        const rows = [row(new Date(2024, 1, 3)), row(new Date(2024, 0, 20)), row(new Date(2024, 0, 5)), row(new Date(NaN))];
+
+        expect(buildCohorts(rows, assumptions).map(cohort => [cohort.label, cohort.Subscriptions])).toEqual([['Jan 2024', 20], ['Feb 2024', 10]]);
+    });
+});
@@ -0,0 +1,26 @@
+// Display metadata for the summary metrics, which are calculated in analytics.js.
+// `base` names the total that must be non-zero for the metric to mean anything;
+// `higherIsBetter` drives rankings.
+export const METRICS = {
+    Cost: { label: 'Cost', kind: 'currency', higherIsBetter: false },
+    'Subscription Value': { label: 'Revenue', kind: 'currency', higherIsBetter: true },
+    Clicks: { label: 'Clicks', kind: 'number', higherIsBetter: true },
+    Installs: { label: 'Installs', kind: 'number', higherIsBetter: true },
+    Trials: { label: 'Trials', kind: 'number', higherIsBetter: true },
+    Subscriptions: { label: 'Subscriptions', kind: 'number', higherIsBetter: true },
+    cpi: { label: 'CPI', kind: 'currency', higherIsBetter: false, base: 'Installs' },
+    installRate: { label: 'Install Rate', kind: 'percentage', higherIsBetter: true, base: 'Clicks' },
+    installToTrialRate: { label: 'Install to Trial %', kind: 'percentage', higherIsBetter: true, base: 'Installs' },
+    trialToPaidRate: { label: 'Trial to Paid %', kind: 'percentage', higherIsBetter: true, base: 'Trials' },
+    installToPaidRate: { label: 'Install to Paid %', kind: 'percentage', higherIsBetter: true, base: 'Installs' },
+    overallConversion: { label: 'Overall Conversion', kind: 'percentage', higherIsBetter: true, base: 'Clicks' },
+    trialCost: { label: 'Trial Cost', kind: 'currency', higherIsBetter: false, base: 'Trials' },
+    cac: { label: 'CAC', kind: 'currency', higherIsBetter: false, base: 'Subscriptions' },
+    valueCostRatio: { label: 'Value / Cost', kind: 'ratio', higherIsBetter: true, base: 'Cost' },
+    roi: { label: 'ROI', kind: 'percentage', higherIsBetter: true, base: 'Cost' },
+};
+
+export const isMetricDefined = (summary, metric) => {
+    const { base } = METRICS[metric];
+    return !base || summary[base] > 0;
+};
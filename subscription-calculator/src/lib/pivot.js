@@ -0,0 +1,134 @@
+import { format, isValid } from 'date-fns';
+import { dimensionValue, groupRows, summarize } from './analytics';
+import { BLANK_LABEL } from './dimensions';
+import { METRICS } from './metrics';
+import { GRANULARITIES } from './timeSeries';
+
+// Nested grouping for the pivot explorer
+//
+// A level is a dimension column such as Country or Ad Group, or a time bucket
+// written `time:week`. Every group at every depth gets the full summary of its own
+// rows, so ratios such as CAC and ROI are worked out from the group's totals rather
+// than averaged over its children. Rows fall into the time bucket of their Start
+// Date: unlike the trend charts, a row covering several days is not split across
+// buckets, so each row belongs to exactly one group.
+
+const TIME_PREFIX = 'time:';
+
+const TIME_LABELS = { day: 'Day', week: 'Week', month: 'Month' };
+
+export const TIME_LEVELS = Object.keys(GRANULARITIES).map(granularity => `${TIME_PREFIX}${granularity}`);
+
+const granularityOf = (level) => (level.startsWith(TIME_PREFIX) ? level.slice(TIME_PREFIX.length) : null);
+
+export const levelLabel = (level) => {
+    const granularity = granularityOf(level);
+    return granularity ? TIME_LABELS[granularity] : level;
+};
+
+// The group key of a row at a level: the dimension value, or the bucket start as
+// a timestamp (null for rows without a valid Start Date).
+const levelKey = (level) => {
+    const granularity = granularityOf(level);
+    if (!granularity) return (row) => dimensionValue(row[level]);
+    const { start } = GRANULARITIES[granularity];
+    return (row) => (isValid(row['Start Date']) ? start(row['Start Date']).getTime() : null);
+};
+
+const keyLabel = (level, key) => {
+    const granularity = granularityOf(level);
+    if (!granularity) return key || BLANK_LABEL;
+    return key === null ? 'No date' : format(new Date(key), GRANULARITIES[granularity].format);
+};
+
+const compareValues = (a, b) => {
+    if (typeof a === 'string') return a.localeCompare(b, undefined, { numeric: true });
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Without a chosen sort, time buckets run in date order with undated rows last,
+// and other groups run from the largest spend down.
+const nodeOrder = (level, sort) => {
+    if (sort) {
+        const factor = sort.direction === 'asc' ? 1 : -1;
+        const value = (node) => (sort.column === 'key' ? node.label : sort.column === 'rowCount' ? node.rowCount : node.summary[sort.column]);
+        return (a, b) => factor * compareValues(value(a), value(b));
+    }
+    if (granularityOf(level)) return (a, b) => (a.key === null) - (b.key === null) || a.key - b.key;
+    return (a, b) => b.summary.Cost - a.summary.Cost;
+};
+
+// Groups rows by each level in turn. Returns the grand total as
+// { rowCount, summary, children }, where each child node is
+// { id, key, label, level, depth, rowCount, summary, children }. `sort` is
+// { column, direction } over 'key', 'rowCount' or a metric, applied at every depth.
+export const buildPivot = (rows, levels, sort = null) => {
+    const build = (groupedRows, depth, path) => {
+        if (depth === levels.length) return [];
+        const level = levels[depth];
+        return [...groupRows(groupedRows, levelKey(level)).entries()]
+            .map(([key, keyRows]) => {
+                const nodePath = [...path, key];
+                return {
+                    id: JSON.stringify(nodePath),
+                    key,
+                    label: keyLabel(level, key),
+                    level,
+                    depth,
+                    rowCount: keyRows.length,
+                    summary: summarize(keyRows),
+                    children: build(keyRows, depth + 1, nodePath),
+                };
+            })
+            .sort(nodeOrder(level, sort));
+    };
+    return { rowCount: rows.length, summary: summarize(rows), children: build(rows, 0, []) };
+};
+
+// The nodes shown as table rows: depth first, going into expanded groups only.
+export const visibleNodes = (nodes, expanded) => nodes.flatMap(node => [
+    node,
+    ...(expanded.has(node.id) ? visibleNodes(node.children, expanded) : []),
+]);
+
+// Ids of every node that has children, for expanding the whole tree.
+export const groupIds = (nodes) => nodes.flatMap(node => (node.children.length > 0 ? [node.id, ...groupIds(node.children)] : []));
+
+export const OTHER_LABEL = 'Other';
+
+// Chart data for a grouping: one entry per top-level group, in the order `sort`
+// gives the table (see buildPivot). With a second level, each entry holds the
+// metric for the `limit` second-level groups with the most spend overall, and the
+// rest pooled as "Other", whose ratios again come from its totals. Returns
+// { data, series } with series as { dataKey, name }.
+export const pivotChartData = (rows, levels, metric, { sort = null, limit = 5 } = {}) => {
+    const top = buildPivot(rows, levels.slice(0, 1), sort).children;
+    if (levels.length < 2) {
+        return {
+            data: top.map(node => ({ label: node.label, value: node.summary[metric] })),
+            series: [{ dataKey: 'value', name: METRICS[metric].label }],
+        };
+    }
+
+    const secondKey = levelKey(levels[1]);
+    const ranked = buildPivot(rows, levels.slice(1, 2)).children.sort((a, b) => b.summary.Cost - a.summary.Cost);
+    const shown = ranked.slice(0, limit);
+    const hasOther = ranked.length > limit;
+    const seriesIndex = new Map(shown.map((node, index) => [node.key, index]));
+    const series = [
+        ...shown.map((node, index) => ({ dataKey: `s${index}`, name: node.label })),
+        ...(hasOther ? [{ dataKey: `s${shown.length}`, name: OTHER_LABEL }] : []),
+    ];
+
+    const firstKey = levelKey(levels[0]);
+    const rowsByTop = groupRows(rows, firstKey);
+    const data = top.map(node => {
+        const bySeries = groupRows(rowsByTop.get(node.key), row => seriesIndex.get(secondKey(row)) ?? shown.length);
+        const entry = { label: node.label };
+        bySeries.forEach((seriesRows, index) => {
+            entry[`s${index}`] = summarize(seriesRows)[metric];
+        });
+        return entry;
+    });
+    return { data, series };
+};
@@ -0,0 +1,87 @@
+import { buildPivot, groupIds, pivotChartData, visibleNodes } from './pivot';
+
+const row = (adGroup, country, start, values = {}) => ({
+    'Ad Group': adGroup,
+    Country: country,
+    'Start Date': start,
+    'End Date': start,
+    Clicks: 1000,
+    Cost: 500,
+    'Avg. CPC': 0.5,
+    Installs: 100,
+    Trials: 40,
+    Subscriptions: 10,
+    'Subscription Value': 60,
+    ...values,
+});
+
+// Search is cheap per subscription in DE and expensive in US.
+const rows = [
+    row('Search', 'US', new Date(2024, 0, 1), { Cost: 100, Subscriptions: 1 }),
+    row('Search', 'DE', new Date(2024, 0, 9), { Cost: 900, Subscriptions: 90 }),
+    row('Social', 'US', new Date(2024, 0, 2), { Cost: 300 }),
+];
+
+describe('buildPivot', () => {
+    test('works out each group\'s ratios from its own totals, not from its children', () => {
+        const [search] = buildPivot(rows, ['Ad Group', 'Country']).children;
+        const [de, us] = search.children;
+
+        expect(de.summary.cac).toBe(10);
+        expect(us.summary.cac).toBe(100);
+        // Averaging the children would give 55.
+        expect(search.summary.cac).toBeCloseTo(1000 / 91);
+        expect(search.summary.roi).toBeCloseTo((91 * 60 - 1000) / 1000);
+    });
+
+    test('the grand total covers every row', () => {
+        const pivot = buildPivot(rows, ['Ad Group']);
+
+        expect(pivot.rowCount).toBe(3);
+        expect(pivot.summary.Cost).toBe(1300);
+        expect(pivot.summary.cac).toBeCloseTo(1300 / 101);
+    });
+
+    test('nests each level inside the one before, largest spend first', () => {
+        const pivot = buildPivot(rows, ['Country', 'Ad Group']);
+
+        expect(pivot.children.map(node => [node.label, node.rowCount])).toEqual([['DE', 1], ['US', 2]]);
+        expect(pivot.children[1].children.map(node => node.label)).toEqual(['Social', 'Search']);
+        expect(pivot.children[1].children[0]).toMatchObject({ depth: 1, level: 'Ad Group', id: JSON.stringify(['US', 'Social']) });
+    });
+
+    test('groups time buckets by Start Date in date order, undated rows last', () => {
+        const undated = row('Search', 'US', new Date(NaN));
+        const pivot = buildPivot([...rows, undated], ['time:week']);
+
+        expect(pivot.children.map(node => [node.label, node.rowCount])).toEqual([
+            ['Wk of Jan 01', 2],
+            ['Wk of Jan 08', 1],
+            ['No date', 1],
+        ]);
+    });
+
+    test('sorts every depth by the chosen column', () => {
+        const pivot = buildPivot(rows, ['Ad Group', 'Country'], { column: 'cac', direction: 'asc' });
+
+        expect(pivot.children.map(node => node.label)).toEqual(['Search', 'Social']);
+        expect(pivot.children[0].children.map(node => node.label)).toEqual(['DE', 'US']);
+    });
+
+    test('only expanded groups show their children', () => {
+        const { children } = buildPivot(rows, ['Ad Group', 'Country']);
+
+        expect(visibleNodes(children, new Set()).map(node => node.label)).toEqual(['Search', 'Social']);
+        expect(visibleNodes(children, new Set(groupIds(children))).map(node => node.label)).toEqual(['Search', 'DE', 'US', 'Social', 'US']);
+    });
+});
+
+describe('pivotChartData', () => {
+    test('pools second-level groups past the limit as Other, with ratios from their totals', () => {
+        const { data, series } = pivotChartData(rows, ['Ad Group', 'Country'], 'cac', { limit: 1 });
+
+        expect(series.map(entry => entry.name)).toEqual(['DE', 'Other']);
+        expect(data[0]).toEqual({ label: 'Search', s0: 10, s1: 100 });
+        expect(data[1]).toEqual({ label: 'Social', s1: 30 });
+    });
+});
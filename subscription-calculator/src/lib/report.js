@@ -0,0 +1,202 @@
+import { format } from 'date-fns';
+import { DEFAULT_FORMATTERS, formatPercentage } from './format';
+import { METRICS } from './metrics';
+import { FUNNEL_STAGES, biggestDropOff, computeDelta, funnelSteps, stepRate, summarizeBy } from './analytics';
+
+// Self-contained HTML executive report. Charts are drawn as SVG and embedded as
+// data URIs, so the file needs no scripts or network access and prints as is.
+// Money and counts are written with `formatters` (see createFormatters), which
+// default to US dollars.
+
+// The dashboard's metric cards, in the order they appear there.
+export const REPORT_METRIC_CARDS = [
+    { metric: 'Cost', title: 'Total Cost' },
+    { metric: 'cac', title: 'CAC' },
+    { metric: 'Subscription Value', title: 'Total Revenue' },
+    { metric: 'roi', title: 'ROI' },
+    { metric: 'cpi', title: 'Cost Per Install' },
+    { metric: 'installRate', title: 'Install Rate' },
+    { metric: 'installToTrialRate', title: 'Install to Trial %' },
+    { metric: 'trialCost', title: 'Trial Cost' },
+];
+
+const FUNNEL_COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042'];
+
+const CONVERSION_COLORS = ['#3b82f6', '#22c55e', '#eab308', '#ec4899', '#6366f1'];
+
+// The same bars as the dashboard: each step, then the whole funnel.
+const conversionBars = (stages) => {
+    const steps = funnelSteps(stages);
+    return [
+        ...steps.map((step, index) => ({ step, label: `${step.from} to ${step.to}`, color: CONVERSION_COLORS[index % CONVERSION_COLORS.length] })),
+        ...(steps.length > 1 ? [{ step: { from: stages[0], to: stages[stages.length - 1] }, label: 'Overall Conversion', color: '#a855f7' }] : []),
+    ];
+};
+
+export const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const svgImage = (svg, alt) => `<img alt="${escapeHtml(alt)}" src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}" />`;
+
+export const funnelSvg = (summary, stages = FUNNEL_STAGES, { formatMetric } = DEFAULT_FORMATTERS) => {
+    const width = 600;
+    const rowHeight = 64;
+    const max = Math.max(summary[stages[0]], 1);
+    const rows = stages.map((stage, index) => {
+        const barWidth = Math.max((summary[stage] / max) * (width - 200), 2);
+        const x = (width - 200 - barWidth) / 2;
+        const y = index * rowHeight + 8;
+        return `
+            <rect x="${x}" y="${y}" width="${barWidth}" height="${rowHeight - 16}" rx="4" fill="${FUNNEL_COLORS[index % FUNNEL_COLORS.length]}" />
+            <text x="${width - 190}" y="${y + rowHeight / 2 - 2}" font-size="15" font-weight="600" fill="#1f2937">${escapeHtml(stage)}</text>
+            <text x="${width - 190}" y="${y + rowHeight / 2 + 16}" font-size="13" fill="#4b5563">${escapeHtml(formatMetric(summary[stage], 'number'))}</text>`;
+    }).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${stages.length * rowHeight}" font-family="Helvetica, Arial, sans-serif">${rows}</svg>`;
+};
+
+export const conversionBarsSvg = (summary, stages = FUNNEL_STAGES) => {
+    const width = 600;
+    const rowHeight = 44;
+    const barX = 190;
+    const barWidth = width - barX - 10;
+    const bars = conversionBars(stages);
+    const rows = bars.map(({ step, label, color }, index) => {
+        const y = index * rowHeight + 8;
+        const rate = stepRate(summary, step);
+        const filled = Math.min(Math.max(rate, 0), 1) * barWidth;
+        return `
+            <text x="0" y="${y + 19}" font-size="14" fill="#374151">${escapeHtml(label)}</text>
+            <rect x="${barX}" y="${y}" width="${barWidth}" height="26" rx="13" fill="#e5e7eb" />
+            <rect x="${barX}" y="${y}" width="${filled}" height="26" rx="13" fill="${color}" />
+            <text x="${barX + 10}" y="${y + 18}" font-size="13" font-weight="700" fill="#111827">${escapeHtml(formatPercentage(rate))}</text>`;
+    }).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${bars.length * rowHeight}" font-family="Helvetica, Arial, sans-serif">${rows}</svg>`;
+};
+
+const describeDelta = (metric, current, previous, { formatDeltaDiff }) => {
+    const { kind } = METRICS[metric];
+    const { diff, percent } = computeDelta(current, previous);
+    if (diff === 0) return 'no change';
+    const percentText = percent !== null && kind !== 'percentage' ? ` (${diff > 0 ? '+' : '-'}${(Math.abs(percent) * 100).toFixed(1)}%)` : '';
+    return `${formatDeltaDiff(diff, kind)}${percentText}`;
+};
+
+// Plain-language observations about the selection, most important first. `groups`
+// should cover the same rows as `summary`; spend shares are taken from the groups'
+// own total either way.
+export const buildFindings = (summary, groups, comparisonSummary, stages = FUNNEL_STAGES, formatters = DEFAULT_FORMATTERS) => {
+    const { formatMetric } = formatters;
+    const findings = [];
+
+    if (summary.Cost > 0) {
+        findings.push(`Spend of ${formatMetric(summary.Cost, 'currency')} brought in ${formatMetric(summary['Subscription Value'], 'currency')} of revenue, an ROI of ${formatPercentage(summary.roi)}.`);
+    }
+
+    const spending = groups.filter(group => group.Cost > 0);
+    if (spending.length > 1) {
+        const byRoi = [...spending].sort((a, b) => b.roi - a.roi);
+        const best = byRoi[0];
+        const worst = byRoi[byRoi.length - 1];
+        findings.push(`${best.key} had the best ROI at ${formatPercentage(best.roi)} on ${formatMetric(best.Cost, 'currency')} of spend.`);
+        findings.push(`${worst.key} had the weakest ROI at ${formatPercentage(worst.roi)} on ${formatMetric(worst.Cost, 'currency')} of spend.`);
+
+        const top = spending[0];
+        const share = top.Cost / spending.reduce((total, group) => total + group.Cost, 0);
+        if (share >= 0.5) findings.push(`${top.key} accounts for ${formatPercentage(share)} of total spend.`);
+    }
+
+    const dropOff = biggestDropOff(summary, stages);
+    // A funnel where every stage converts fully has nothing to report.
+    if (dropOff && dropOff.rate < 1) {
+        findings.push(`The biggest drop-off is from ${dropOff.from.toLowerCase()} to ${dropOff.to.toLowerCase()}: ${formatPercentage(dropOff.rate)} convert, so ${formatPercentage(1 - dropOff.rate)} are lost at this stage.`);
+    }
+
+    if (comparisonSummary) {
+        const changes = ['Subscription Value', 'Cost', 'roi', 'cac']
+            .filter(metric => metric !== 'cac' || (summary.Subscriptions > 0 && comparisonSummary.Subscriptions > 0))
+            .map(metric => `${METRICS[metric].label} ${describeDelta(metric, summary[metric], comparisonSummary[metric], formatters)}`);
+        findings.push(`Against the comparison period: ${changes.join(', ')}.`);
+    }
+
+    return findings;
+};
+
+const metricCardHtml = ({ metric, title }, summary, comparisonSummary, formatters) => {
+    const { formatMetric } = formatters;
+    const delta = comparisonSummary ? `<div class="delta">${escapeHtml(describeDelta(metric, summary[metric], comparisonSummary[metric], formatters))}</div>` : '';
+    return `<div class="card"><div class="label">${escapeHtml(title)}</div><div class="value">${escapeHtml(formatMetric(summary[metric], METRICS[metric].kind))}</div>${delta}</div>`;
+};
+
+const GROUP_COLUMNS = ['Cost', 'Installs', 'Subscriptions', 'Subscription Value', 'cac', 'roi'];
+
+const groupTableHtml = (groups, { formatMetric }) => `
+    <table>
+        <thead><tr><th>Ad Group</th>${GROUP_COLUMNS.map(metric => `<th>${escapeHtml(METRICS[metric].label)}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${groups.map(group => `<tr><td>${escapeHtml(group.key)}</td>${GROUP_COLUMNS.map(metric => `<td>${escapeHtml(formatMetric(group[metric], METRICS[metric].kind))}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+    </table>`;
+
+const STYLES = `
+    body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; margin: 40px auto; max-width: 960px; padding: 0 24px; }
+    h1 { margin-bottom: 4px; }
+    h2 { margin-top: 32px; border-bottom: 1px solid #e5e7eb; padding-bottom: 6px; }
+    .muted { color: #6b7280; font-size: 14px; }
+    .context { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; font-size: 14px; }
+    .context dt { color: #6b7280; }
+    .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+    .card { border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; }
+    .card .label { color: #6b7280; font-size: 13px; }
+    .card .value { font-size: 22px; font-weight: 700; margin-top: 4px; }
+    .card .delta { font-size: 12px; color: #4b5563; margin-top: 4px; }
+    .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; align-items: start; }
+    .charts img { width: 100%; height: auto; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+    th { background: #f9fafb; text-transform: uppercase; font-size: 11px; color: #4b5563; }
+    li { margin-bottom: 6px; }
+    @media print { body { margin: 0; } h2, .charts, table { break-inside: avoid; } }
+`;
+
+// Builds the report document. `context` is a list of [label, value] pairs
+// describing the filters, shown at the top. `summary` carries the totals of any
+// extra columns used as `stages`.
+export const buildReportHtml = ({ title, generatedAt, context, summary, comparisonSummary, groupRows, stages = FUNNEL_STAGES, formatters = DEFAULT_FORMATTERS }) => {
+    const groups = summarizeBy(groupRows, row => row['Ad Group']);
+    const findings = buildFindings(summary, groups, comparisonSummary, stages, formatters);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p class="muted">Generated ${escapeHtml(format(generatedAt, 'LLL dd, yyyy HH:mm'))}</p>
+
+    <dl class="context">
+        ${context.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+    </dl>
+
+    <h2>Key Findings</h2>
+    ${findings.length > 0 ? `<ul>${findings.map(finding => `<li>${escapeHtml(finding)}</li>`).join('')}</ul>` : '<p class="muted">No spend in the current selection.</p>'}
+
+    <h2>Key Metrics</h2>
+    <div class="cards">${REPORT_METRIC_CARDS.map(card => metricCardHtml(card, summary, comparisonSummary, formatters)).join('')}</div>
+
+    <h2>Acquisition Funnel</h2>
+    <div class="charts">
+        ${svgImage(funnelSvg(summary, stages, formatters), 'Acquisition funnel')}
+        ${svgImage(conversionBarsSvg(summary, stages), 'Funnel conversion rates')}
+    </div>
+
+    <h2>Ad Group Breakdown</h2>
+    ${groups.length > 0 ? groupTableHtml(groups, formatters) : '<p class="muted">No ad groups in the current selection.</p>'}
+</body>
+</html>`;
+};
@@ -0,0 +1,63 @@
+import { summarize, summarizeBy } from './analytics';
+import { buildFindings } from './report';
+
+const row = (adGroup, values = {}) => ({
+    'Ad Group': adGroup,
+    Clicks: 1000,
+    Cost: 500,
+    'Avg. CPC': 0.5,
+    Installs: 100,
+    Trials: 40,
+    Subscriptions: 10,
+    'Subscription Value': 60,
+    ...values,
+});
+
+const rows = [
+    row('Search', { Cost: 700, 'Subscription Value': 140 }),
+    row('Social', { Cost: 200, 'Subscription Value': 10 }),
+    row('Video', { Cost: 100, 'Subscription Value': 15 }),
+];
+
+const findingsFor = (groupRows, summaryRows = groupRows, comparisonSummary = null) =>
+    buildFindings(summarize(summaryRows), summarizeBy(groupRows, r => r['Ad Group']), comparisonSummary);
+
+describe('buildFindings', () => {
+    test('names the best and weakest ROI and a group with most of the spend', () => {
+        const findings = findingsFor(rows);
+
+        expect(findings).toContainEqual(expect.stringMatching(/^Search had the best ROI at 100\.00%/));
+        expect(findings).toContainEqual(expect.stringMatching(/^Social had the weakest ROI at -50\.00%/));
+        expect(findings).toContain('Search accounts for 70.00% of total spend.');
+    });
+
+    test('takes the spend share from the groups, not from a narrower summary', () => {
+        const findings = findingsFor(rows, rows.slice(1, 2));
+
+        expect(findings).toContain('Search accounts for 70.00% of total spend.');
+    });
+
+    test('has no group findings for a single ad group', () => {
+        const findings = findingsFor(rows.slice(0, 1));
+
+        expect(findings.some(finding => finding.includes('ROI at'))).toBe(false);
+        expect(findings.some(finding => finding.includes('of total spend'))).toBe(false);
+    });
+
+    test('reports the weakest funnel step', () => {
+        expect(findingsFor(rows)).toContain('The biggest drop-off is from clicks to installs: 10.00% convert, so 90.00% are lost at this stage.');
+    });
+
+    test('has no drop-off finding when every step converts fully', () => {
+        const full = [row('Search', { Clicks: 10, Installs: 10, Trials: 10, Subscriptions: 10 })];
+
+        expect(findingsFor(full).some(finding => finding.includes('drop-off'))).toBe(false);
+    });
+
+    test('compares against the comparison period when there is one', () => {
+        const previous = summarize([row('Search', { Cost: 500, 'Subscription Value': 100 })]);
+        const findings = findingsFor(rows.slice(0, 1), rows.slice(0, 1), previous);
+
+        expect(findings[findings.length - 1]).toMatch(/^Against the comparison period: .*\(\+40\.0%\)/);
+    });
+});
@@ -0,0 +1,102 @@
+import { deriveMetrics, emptyTotals, summarizeBy } from './analytics';
+import { loadStored, store } from './storage';
+
+// What-if projections of ad group budgets from historical performance
+
+export const DEFAULT_ADJUSTMENTS = {
+    installRate: 0,
+    installToTrialRate: 0,
+    trialToPaidRate: 0,
+};
+
+// Exponent of the spend response curve. Clicks grow with (budget / historical
+// spend) ^ elasticity, so 1 is linear and lower values flatten sooner.
+export const DEFAULT_ELASTICITY = 0.7;
+
+const OPTIMIZER_STEPS = 200;
+
+// Historical baseline per ad group. Groups without spend or clicks have no cost
+// curve to scale and are left out.
+export const buildBaselines = (rows) => summarizeBy(rows, row => row['Ad Group'])
+    .filter(group => group.Cost > 0 && group.Clicks > 0)
+    .map(group => ({
+        adGroup: group.key,
+        cost: group.Cost,
+        clicks: group.Clicks,
+        installRate: group.installRate,
+        installToTrialRate: group.installToTrialRate,
+        trialToPaidRate: group.trialToPaidRate,
+        revenuePerSubscription: group.Subscriptions ? group['Subscription Value'] / group.Subscriptions : 0,
+    }));
+
+const adjustRate = (rate, adjustment) => Math.min(Math.max(rate * (1 + adjustment), 0), 1);
+
+// Projects one ad group at a budget. `adjustments` are relative changes to the
+// historical conversion rates (0.1 = 10% better).
+export const projectGroup = (baseline, budget, adjustments = DEFAULT_ADJUSTMENTS, elasticity = DEFAULT_ELASTICITY) => {
+    const clicks = budget > 0 ? baseline.clicks * Math.pow(budget / baseline.cost, elasticity) : 0;
+    const installs = clicks * adjustRate(baseline.installRate, adjustments.installRate);
+    const trials = installs * adjustRate(baseline.installToTrialRate, adjustments.installToTrialRate);
+    const subscriptions = trials * adjustRate(baseline.trialToPaidRate, adjustments.trialToPaidRate);
+    return {
+        Clicks: clicks,
+        Cost: budget,
+        Installs: installs,
+        Trials: trials,
+        Subscriptions: subscriptions,
+        'Subscription Value': subscriptions * baseline.revenuePerSubscription,
+    };
+};
+
+// Projects every ad group and the scenario total. Groups missing from `budgets`
+// keep their historical spend.
+export const projectScenario = (baselines, { budgets = {}, adjustments = DEFAULT_ADJUSTMENTS, elasticity = DEFAULT_ELASTICITY }) => {
+    const groups = baselines.map(baseline => ({
+        adGroup: baseline.adGroup,
+        ...deriveMetrics(projectGroup(baseline, budgets[baseline.adGroup] ?? baseline.cost, adjustments, elasticity)),
+    }));
+    const totals = groups.reduce((acc, group) => {
+        Object.keys(acc).forEach(key => { acc[key] += group[key]; });
+        return acc;
+    }, emptyTotals());
+    return { groups, total: deriveMetrics(totals) };
+};
+
+// Splits up to `totalBudget` across the ad groups to maximise return (revenue
+// minus cost). Budget is handed out in small increments to whichever group earns
+// the most from the next increment; with elasticity <= 1 each group's returns
+// diminish, so this greedy split is optimal. Spending stops early once no group
+// returns at least the increment it costs.
+export const optimizeBudgets = (baselines, totalBudget, adjustments = DEFAULT_ADJUSTMENTS, elasticity = DEFAULT_ELASTICITY) => {
+    const budgets = Object.fromEntries(baselines.map(baseline => [baseline.adGroup, 0]));
+    if (baselines.length === 0 || totalBudget <= 0) return budgets;
+
+    const step = totalBudget / OPTIMIZER_STEPS;
+    const revenueAt = (baseline, budget) => projectGroup(baseline, budget, adjustments, elasticity)['Subscription Value'];
+
+    for (let spent = 0; spent + step <= totalBudget + 1e-9; spent += step) {
+        let best = null;
+        let bestGain = step;
+        baselines.forEach(baseline => {
+            const current = budgets[baseline.adGroup];
+            const gain = revenueAt(baseline, current + step) - revenueAt(baseline, current);
+            if (gain > bestGain) {
+                best = baseline.adGroup;
+                bestGain = gain;
+            }
+        });
+        if (best === null) break;
+        budgets[best] += step;
+    }
+    return budgets;
+};
+
+// Saved scenarios are kept in localStorage and re-projected against the data on load.
+const SCENARIOS_STORAGE_NAME = 'scenarios';
+
+export const loadScenarios = () => {
+    const stored = loadStored(SCENARIOS_STORAGE_NAME);
+    return Array.isArray(stored) ? stored : [];
+};
+
+export const storeScenarios = (scenarios) => store(SCENARIOS_STORAGE_NAME, scenarios);
@@ -0,0 +1,111 @@
+import {
+    DEFAULT_ADJUSTMENTS, buildBaselines, loadScenarios, optimizeBudgets, projectGroup, projectScenario, storeScenarios
+} from './scenarios';
+
+const row = (adGroup, values = {}) => ({
+    'Ad Group': adGroup,
+    'Start Date': new Date(2024, 0, 1),
+    'End Date': new Date(2024, 0, 1),
+    Clicks: 1000,
+    Cost: 100,
+    'Avg. CPC': 0.1,
+    Installs: 100,
+    Trials: 40,
+    Subscriptions: 10,
+    'Subscription Value': 60,
+    ...values,
+});
+
+// Search earns $6 per dollar historically, Display $0.60.
+const baselines = buildBaselines([row('Search'), row('Display', { Cost: 1000 })]);
+const search = baselines.find(baseline => baseline.adGroup === 'Search');
+const display = baselines.find(baseline => baseline.adGroup === 'Display');
+
+afterEach(() => {
+    window.localStorage.clear();
+});
+
+describe('buildBaselines', () => {
+    test('takes the historical funnel rates and revenue per subscription of each ad group', () => {
+        expect(search).toEqual({
+            adGroup: 'Search', cost: 100, clicks: 1000, installRate: 0.1, installToTrialRate: 0.4, trialToPaidRate: 0.25, revenuePerSubscription: 60,
+        });
+    });
+
+    test('leaves out groups without spend or clicks', () => {
+        expect(buildBaselines([row('Search'), row('Organic', { Cost: 0 }), row('Referral', { Clicks: 0 })]).map(baseline => baseline.adGroup)).toEqual(['Search']);
+    });
+});
+
+describe('projectGroup', () => {
+    test('scales clicks with the budget along the spend response curve', () => {
+        expect(projectGroup(search, 200, DEFAULT_ADJUSTMENTS, 1)).toEqual({
+            Clicks: 2000, Cost: 200, Installs: 200, Trials: 80, Subscriptions: 20, 'Subscription Value': 1200,
+        });
+        expect(projectGroup(search, 400, DEFAULT_ADJUSTMENTS, 0.5).Clicks).toBeCloseTo(2000);
+        expect(projectGroup(search, 0).Subscriptions).toBe(0);
+    });
+
+    test('applies relative rate adjustments, capped at 100%', () => {
+        const projected = projectGroup(search, 100, { installRate: 0.1, installToTrialRate: 2, trialToPaidRate: -0.5 }, 1);
+
+        expect(projected.Installs).toBeCloseTo(110);
+        expect(projected.Trials).toBeCloseTo(110);
+        expect(projected.Subscriptions).toBeCloseTo(13.75);
+    });
+});
+
+describe('projectScenario', () => {
+    test('keeps the historical spend of groups without a budget and totals every group', () => {
+        const { groups, total } = projectScenario([search, display], { budgets: { Search: 200 }, elasticity: 1 });
+
+        expect(groups.map(group => [group.adGroup, group.Cost])).toEqual([['Search', 200], ['Display', 1000]]);
+        expect(total.Cost).toBe(1200);
+        expect(total.Subscriptions).toBeCloseTo(30);
+        expect(total.cac).toBeCloseTo(40);
+    });
+});
+
+describe('optimizeBudgets', () => {
+    test('spends nothing without groups or budget', () => {
+        expect(optimizeBudgets([], 1000)).toEqual({});
+        expect(optimizeBudgets([search, display], 0)).toEqual({ Search: 0, Display: 0 });
+    });
+
+    test('funds only groups that return more than they cost', () => {
+        const budgets = optimizeBudgets([search, display], 500, DEFAULT_ADJUSTMENTS, 1);
+
+        expect(budgets.Search).toBeCloseTo(500);
+        expect(budgets.Display).toBe(0);
+    });
+
+    test('splits the budget evenly between groups with the same returns', () => {
+        const budgets = optimizeBudgets([search, { ...search, adGroup: 'Social' }], 400, DEFAULT_ADJUSTMENTS, 0.5);
+
+        expect(budgets.Search).toBeCloseTo(200);
+        expect(budgets.Social).toBeCloseTo(200);
+    });
+
+    test('leaves budget unspent once the next dollar returns less than a dollar', () => {
+        // Revenue is 60 * sqrt(budget), so the next dollar returns less than a dollar past 900.
+        const { Search } = optimizeBudgets([search], 2000, DEFAULT_ADJUSTMENTS, 0.5);
+
+        expect(Search).toBeGreaterThan(850);
+        expect(Search).toBeLessThanOrEqual(910);
+    });
+});
+
+describe('saved scenarios', () => {
+    test('are stored and loaded back', () => {
+        const scenarios = [{ name: 'Push search', budgets: { Search: 200 }, adjustments: DEFAULT_ADJUSTMENTS, elasticity: 0.7 }];
+        storeScenarios(scenarios);
+
+        expect(loadScenarios()).toEqual(scenarios);
+    });
+
+    test('load as none when storage holds something other than a list', () => {
+        window.localStorage.setItem('subscription-calculator:scenarios', '{"name":"Push search"}');
+
+        expect(loadScenarios()).toEqual([]);
+    });
+});
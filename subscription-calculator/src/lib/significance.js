@@ -0,0 +1,97 @@
+// Significance tests for comparing the funnel rates of two segments
+//
+// Each rate is a share of one funnel stage that reaches the next, so the counts
+// are taken from the same totals as the dashboard summary and compared with a
+// two-proportion z-test. Intervals around each segment's rate are Wilson score
+// intervals, which behave with small counts; the interval around the difference
+// is the normal approximation. The minimum sample size is how many of the earlier
+// stage each segment needs for the observed difference to be detected at the
+// chosen confidence with 80% power.
+
+export const TESTED_RATES = [
+    { metric: 'installRate', from: 'Clicks', to: 'Installs' },
+    { metric: 'installToTrialRate', from: 'Installs', to: 'Trials' },
+    { metric: 'trialToPaidRate', from: 'Trials', to: 'Subscriptions' },
+];
+
+// Two-sided normal quantiles for the supported confidence levels.
+export const SIGNIFICANCE_LEVELS = { 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+export const DEFAULT_SIGNIFICANCE_LEVEL = 0.95;
+
+export const POWER = 0.8;
+
+const POWER_Z = 0.8416;
+
+// Standard normal CDF, using the Abramowitz and Stegun approximation of erf
+// (accurate to about 1e-7).
+const normalCdf = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+const wilsonInterval = (successes, trials, z) => {
+    const rate = successes / trials;
+    const z2 = z * z;
+    const centre = (rate + z2 / (2 * trials)) / (1 + z2 / trials);
+    const margin = (z / (1 + z2 / trials)) * Math.sqrt((rate * (1 - rate)) / trials + z2 / (4 * trials * trials));
+    return { lower: Math.max(centre - margin, 0), upper: Math.min(centre + margin, 1) };
+};
+
+// Per-segment count of the earlier stage needed to tell rates p1 and p2 apart.
+const requiredSampleSize = (p1, p2, z) => {
+    if (p1 === p2) return null;
+    const pooled = (p1 + p2) / 2;
+    const root = z * Math.sqrt(2 * pooled * (1 - pooled)) + POWER_Z * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2));
+    return Math.ceil((root * root) / ((p1 - p2) ** 2));
+};
+
+const segmentRate = (summary, { from, to }, z) => {
+    const trials = summary[from];
+    const successes = summary[to];
+    return { successes, trials, rate: successes / trials, ...wilsonInterval(successes, trials, z) };
+};
+
+// Tests one rate between two summaries (as returned by summarize). The result has
+// `error` set instead of the statistics when either segment has none of the
+// earlier stage, or more of the later stage than the earlier one.
+export const testRate = (summaryA, summaryB, step, level = DEFAULT_SIGNIFICANCE_LEVEL) => {
+    const invalid = [summaryA, summaryB].find(summary => !(summary[step.from] > 0) || summary[step.to] > summary[step.from]);
+    if (invalid) {
+        return {
+            ...step,
+            error: invalid[step.from] > 0 ? `More ${step.to.toLowerCase()} than ${step.from.toLowerCase()}` : `No ${step.from.toLowerCase()}`,
+        };
+    }
+
+    const z = SIGNIFICANCE_LEVELS[level];
+    const a = segmentRate(summaryA, step, z);
+    const b = segmentRate(summaryB, step, z);
+    const diff = b.rate - a.rate;
+
+    const pooled = (a.successes + b.successes) / (a.trials + b.trials);
+    const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / a.trials + 1 / b.trials));
+    // Both segments at 0% or both at 100% leave nothing to tell apart.
+    const pValue = pooledSe > 0 ? 2 * (1 - normalCdf(Math.abs(diff) / pooledSe)) : 1;
+    const se = Math.sqrt((a.rate * (1 - a.rate)) / a.trials + (b.rate * (1 - b.rate)) / b.trials);
+
+    return {
+        ...step,
+        a,
+        b,
+        diff,
+        lower: diff - z * se,
+        upper: diff + z * se,
+        pValue,
+        significant: pValue < 1 - level,
+        sampleSize: requiredSampleSize(a.rate, b.rate, z),
+    };
+};
+
+// Every tested rate between segment A and segment B; differences are B minus A.
+export const testConversionRates = (summaryA, summaryB, level = DEFAULT_SIGNIFICANCE_LEVEL) => (
+    TESTED_RATES.map(step => testRate(summaryA, summaryB, step, level))
+);
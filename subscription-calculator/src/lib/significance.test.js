@@ -0,0 +1,68 @@
+import { TESTED_RATES, testConversionRates, testRate } from './significance';
+
+const installs = TESTED_RATES[0];
+
+const segment = (Clicks, Installs, values = {}) => ({ Clicks, Installs, Trials: 0, Subscriptions: 0, ...values });
+
+describe('testRate', () => {
+    test('compares two rates with a two-proportion z-test', () => {
+        const result = testRate(segment(1000, 100), segment(1000, 130), installs);
+
+        expect(result.a.rate).toBeCloseTo(0.1);
+        expect(result.b.rate).toBeCloseTo(0.13);
+        expect(result.diff).toBeCloseTo(0.03);
+        expect(result.pValue).toBeCloseTo(0.0355, 4);
+        expect(result.significant).toBe(true);
+        expect(result.sampleSize).toBe(1774);
+    });
+
+    test('puts Wilson intervals around each rate and a normal interval around the difference', () => {
+        const result = testRate(segment(1000, 100), segment(1000, 130), installs);
+
+        expect(result.a.lower).toBeCloseTo(0.0829, 4);
+        expect(result.a.upper).toBeCloseTo(0.1202, 4);
+        expect(result.lower).toBeCloseTo(0.0021, 4);
+        expect(result.upper).toBeCloseTo(0.0579, 4);
+    });
+
+    test('the same difference is not significant at a stricter level', () => {
+        const result = testRate(segment(1000, 100), segment(1000, 130), installs, 0.99);
+
+        expect(result.pValue).toBeCloseTo(0.0355, 4);
+        expect(result.significant).toBe(false);
+        expect(result.sampleSize).toBeGreaterThan(1774);
+    });
+
+    test('a segment without any of the earlier stage cannot be tested', () => {
+        expect(testRate(segment(0, 0), segment(1000, 130), installs)).toEqual({ ...installs, error: 'No clicks' });
+    });
+
+    test('a segment with more of the later stage than the earlier one cannot be tested', () => {
+        expect(testRate(segment(1000, 100), segment(100, 130), installs)).toEqual({ ...installs, error: 'More installs than clicks' });
+    });
+
+    test('two segments both at 0% or both at 100% are not different', () => {
+        [[0, 0], [1000, 500]].forEach(([a, b]) => {
+            const result = testRate(segment(1000, a), segment(500, b), installs);
+
+            expect(result.diff).toBe(0);
+            expect(result.pValue).toBe(1);
+            expect(result.significant).toBe(false);
+            expect(result.sampleSize).toBeNull();
+        });
+    });
+});
+
+describe('testConversionRates', () => {
+    test('tests each step of the funnel, B minus A', () => {
+        const results = testConversionRates(
+            segment(1000, 100, { Trials: 40, Subscriptions: 10 }),
+            segment(1000, 100, { Trials: 50, Subscriptions: 0 })
+        );
+
+        expect(results.map(result => result.metric)).toEqual(['installRate', 'installToTrialRate', 'trialToPaidRate']);
+        expect(results[0].diff).toBe(0);
+        expect(results[1].diff).toBeCloseTo(0.1);
+        expect(results[2].diff).toBeCloseTo(-0.25);
+    });
+});
@@ -0,0 +1,77 @@
+import { dimensionValue } from './analytics';
+import { dimensionColumns } from './dimensions';
+
+// Merging of several uploaded files into one dataset
+
+let nextSourceId = 1;
+
+// `addedAt` is only passed when restoring a saved source.
+export const createSource = (name, rows, addedAt = new Date()) => {
+    const id = `source-${nextSourceId++}`;
+    return {
+        id,
+        name,
+        addedAt,
+        rows: rows.map((row, index) => ({ ...row, id: `${id}-${index}`, Source: name })),
+    };
+};
+
+const dayKey = (date) => (date instanceof Date && !isNaN(date) ? date.toDateString() : 'invalid');
+
+// The text columns that tell records apart besides Ad Group and the dates, such
+// as Country or Platform. Source is left out so the same record in two files matches.
+const recordColumns = (rows) => dimensionColumns(rows).filter(column => column !== 'Source');
+
+// A record without its dates, for finding rows whose date ranges overlap.
+const recordKey = (row, columns) => JSON.stringify([row['Ad Group'], ...columns.map(column => dimensionValue(row[column]))]);
+
+// Two rows describe the same record when their Ad Group, dates and every text
+// column in `columns` match.
+export const rowKey = (row, columns = []) => `${recordKey(row, columns)}|${dayKey(row['Start Date'])}|${dayKey(row['End Date'])}`;
+
+// Flattens the sources into one row list. When a record appears in more than one
+// source, the rows from the most recently added source replace the earlier ones.
+// Rows of a single source are never merged with each other: a file can hold
+// several rows for one record, e.g. split by a column that was not imported. Rows
+// of one record whose date ranges intersect without being identical cannot be
+// merged safely, so they are kept and only counted as overlaps.
+export const mergeSources = (sources) => {
+    const columns = recordColumns(sources.flatMap(source => source.rows));
+    const byKey = new Map();
+    const stats = Object.fromEntries(sources.map(source => [source.id, { rowCount: source.rows.length, duplicates: 0, overlaps: 0 }]));
+
+    sources.forEach(source => {
+        source.rows.forEach(row => {
+            const key = rowKey(row, columns);
+            const existing = byKey.get(key);
+            if (existing?.sourceId === source.id) {
+                existing.rows.push(row);
+                return;
+            }
+            if (existing) stats[source.id].duplicates++;
+            byKey.set(key, { sourceId: source.id, rows: [row] });
+        });
+    });
+
+    const entries = [...byKey.values()].flatMap(({ sourceId, rows }) => rows.map(row => ({ row, sourceId })));
+    const byRecord = new Map();
+    entries.forEach(entry => {
+        const key = recordKey(entry.row, columns);
+        if (!byRecord.has(key)) byRecord.set(key, []);
+        byRecord.get(key).push(entry);
+    });
+    byRecord.forEach(recordEntries => {
+        recordEntries.sort((a, b) => a.row['Start Date'] - b.row['Start Date']);
+        let latest = null;
+        recordEntries.forEach(entry => {
+            const sameRange = latest && dayKey(entry.row['Start Date']) === dayKey(latest.row['Start Date'])
+                && dayKey(entry.row['End Date']) === dayKey(latest.row['End Date']);
+            if (latest && !sameRange && entry.row['Start Date'] <= latest.row['End Date']) {
+                stats[entry.sourceId].overlaps++;
+            }
+            if (!latest || entry.row['End Date'] > latest.row['End Date']) latest = entry;
+        });
+    });
+
+    return { rows: entries.map(entry => entry.row), stats };
+};
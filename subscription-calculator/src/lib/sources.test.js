@@ -0,0 +1,77 @@
+import { createSource, mergeSources } from './sources';
+
+const row = (adGroup, start, end = start, values = {}) => ({
+    'Ad Group': adGroup,
+    'Start Date': start,
+    'End Date': end,
+    Clicks: 1000,
+    Cost: 500,
+    'Avg. CPC': 0.5,
+    Installs: 100,
+    Trials: 40,
+    Subscriptions: 10,
+    'Subscription Value': 60,
+    ...values,
+});
+
+const jan = (day) => new Date(2024, 0, day);
+
+describe('mergeSources', () => {
+    test('a record in a later source replaces the same record from an earlier one', () => {
+        const first = createSource('first.csv', [row('Search', jan(1)), row('Search', jan(2))]);
+        const second = createSource('second.csv', [row('Search', jan(2), jan(2), { Cost: 900 })]);
+        const { rows, stats } = mergeSources([first, second]);
+
+        expect(rows).toHaveLength(2);
+        expect(rows.find(r => r['Start Date'].getDate() === 2)).toMatchObject({ Cost: 900, Source: 'second.csv' });
+        expect(stats[first.id]).toEqual({ rowCount: 2, duplicates: 0, overlaps: 0 });
+        expect(stats[second.id].duplicates).toBe(1);
+    });
+
+    test('rows within one source are never merged', () => {
+        const source = createSource('report.csv', [row('Search', jan(1)), row('Search', jan(1), jan(1), { Cost: 200 })]);
+        const { rows, stats } = mergeSources([source]);
+
+        expect(rows.map(r => r.Cost)).toEqual([500, 200]);
+        expect(stats[source.id]).toEqual({ rowCount: 2, duplicates: 0, overlaps: 0 });
+    });
+
+    test('a later source replaces every row of a record that an earlier source split', () => {
+        const first = createSource('first.csv', [row('Search', jan(1)), row('Search', jan(1))]);
+        const second = createSource('second.csv', [row('Search', jan(1), jan(1), { Cost: 1000 })]);
+
+        expect(mergeSources([first, second]).rows.map(r => r.Cost)).toEqual([1000]);
+    });
+
+    test('counts rows whose date ranges intersect without being identical as overlaps', () => {
+        const first = createSource('weekly.csv', [row('Search', jan(1), jan(7))]);
+        const second = createSource('daily.csv', [row('Search', jan(3)), row('Social', jan(3))]);
+        const { rows, stats } = mergeSources([first, second]);
+
+        expect(rows).toHaveLength(3);
+        expect(stats[second.id]).toMatchObject({ duplicates: 0, overlaps: 1 });
+    });
+
+    test('rows that differ only by a dimension column are separate records', () => {
+        const source = createSource('countries.csv', [
+            row('Search', jan(1), jan(1), { Country: 'US' }),
+            row('Search', jan(1), jan(1), { Country: 'DE', Cost: 300 }),
+        ]);
+        const { rows, stats } = mergeSources([source]);
+
+        expect(rows.map(r => r.Country)).toEqual(['US', 'DE']);
+        expect(stats[source.id]).toEqual({ rowCount: 2, duplicates: 0, overlaps: 0 });
+    });
+
+    test('a later source only replaces the rows with the same dimension values', () => {
+        const first = createSource('first.csv', [
+            row('Search', jan(1), jan(1), { Country: 'US' }),
+            row('Search', jan(1), jan(1), { Country: 'DE' }),
+        ]);
+        const second = createSource('second.csv', [row('Search', jan(1), jan(1), { Country: 'US', Cost: 800 })]);
+        const { rows, stats } = mergeSources([first, second]);
+
+        expect(rows.map(r => [r.Country, r.Cost])).toEqual([['US', 800], ['DE', 500]]);
+        expect(stats[second.id].duplicates).toBe(1);
+    });
+});
@@ -0,0 +1,26 @@
+// Settings kept in localStorage under `subscription-calculator:<name>`
+//
+// Storage can be unavailable (private mode, quota) or hold something that is not
+// JSON. Loading then gives null and storing does nothing, so the settings last
+// for the session only.
+
+const storageKey = (name) => `subscription-calculator:${name}`;
+
+// The stored value, or null when there is none or it cannot be read.
+export const loadStored = (name) => {
+    try {
+        return JSON.parse(window.localStorage.getItem(storageKey(name)));
+    } catch (e) {
+        return null;
+    }
+};
+
+// Stores `value` and returns it.
+export const store = (name, value) => {
+    try {
+        window.localStorage.setItem(storageKey(name), JSON.stringify(value));
+    } catch (e) {
+        // See above: the value then lasts for the session only.
+    }
+    return value;
+};
@@ -0,0 +1,28 @@
+import { loadStored, store } from './storage';
+
+afterEach(() => {
+    window.localStorage.clear();
+    jest.restoreAllMocks();
+});
+
+describe('storage', () => {
+    test('stores values as JSON under the app prefix', () => {
+        expect(store('goals', { All: { roi: 0.2 } })).toEqual({ All: { roi: 0.2 } });
+        expect(window.localStorage.getItem('subscription-calculator:goals')).toBe('{"All":{"roi":0.2}}');
+        expect(loadStored('goals')).toEqual({ All: { roi: 0.2 } });
+    });
+
+    test('loads null when nothing is stored or it is not JSON', () => {
+        expect(loadStored('goals')).toBeNull();
+        window.localStorage.setItem('subscription-calculator:goals', '{not json');
+        expect(loadStored('goals')).toBeNull();
+    });
+
+    test('returns the value when storage is unavailable', () => {
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new Error('QuotaExceededError');
+        });
+        expect(store('goals', { All: {} })).toEqual({ All: {} });
+        expect(loadStored('goals')).toBeNull();
+    });
+});
@@ -0,0 +1,65 @@
+import { addDays, addMonths, addWeeks, differenceInCalendarDays, format, isValid, max, min, startOfDay, startOfMonth, startOfWeek } from 'date-fns';
+import { deriveMetrics, emptyTotals } from './analytics';
+
+export const GRANULARITIES = {
+    day: { label: 'Daily', start: startOfDay, next: (date) => addDays(date, 1), format: 'MMM dd' },
+    week: { label: 'Weekly', start: (date) => startOfWeek(date, { weekStartsOn: 1 }), next: (date) => addWeeks(date, 1), format: "'Wk of' MMM dd" },
+    month: { label: 'Monthly', start: startOfMonth, next: (date) => addMonths(date, 1), format: 'MMM yyyy' },
+};
+
+// Returns the inclusive day span covered by a row. Rows without a usable End Date
+// (missing, invalid or before the start) are treated as a single day.
+export const rowDaySpan = (row) => {
+    const start = startOfDay(row['Start Date']);
+    const end = isValid(row['End Date']) && row['End Date'] >= row['Start Date'] ? startOfDay(row['End Date']) : start;
+    return { start, end, days: differenceInCalendarDays(end, start) + 1 };
+};
+
+const addShare = (totals, row, share) => {
+    totals.Clicks += row.Clicks * share;
+    totals.Cost += row.Cost * share;
+    totals.Installs += row.Installs * share;
+    totals.Trials += row.Trials * share;
+    totals.Subscriptions += row.Subscriptions * share;
+    totals['Subscription Value'] += row.Subscriptions * row['Subscription Value'] * share;
+};
+
+// Groups rows into day/week/month buckets. A row whose date range covers several
+// buckets contributes to each of them in proportion to the days that fall inside it.
+// Gaps between the first and last bucket are filled with empty buckets so that
+// charts keep an even time axis.
+export const bucketRows = (rows, granularity = 'week') => {
+    const config = GRANULARITIES[granularity];
+    const buckets = new Map();
+
+    rows.forEach(row => {
+        if (!isValid(row['Start Date'])) return;
+        const { start, end, days } = rowDaySpan(row);
+
+        for (let bucket = config.start(start); bucket <= end; bucket = config.next(bucket)) {
+            const overlapStart = max([bucket, start]);
+            const overlapEnd = min([addDays(config.next(bucket), -1), end]);
+            const overlapDays = differenceInCalendarDays(overlapEnd, overlapStart) + 1;
+            if (overlapDays <= 0) continue;
+
+            const key = bucket.getTime();
+            if (!buckets.has(key)) buckets.set(key, emptyTotals());
+            addShare(buckets.get(key), row, overlapDays / days);
+        }
+    });
+
+    if (buckets.size === 0) return [];
+
+    const keys = [...buckets.keys()].sort((a, b) => a - b);
+    const last = keys[keys.length - 1];
+    const series = [];
+    for (let bucket = new Date(keys[0]); bucket.getTime() <= last; bucket = config.next(bucket)) {
+        const totals = buckets.get(bucket.getTime()) || emptyTotals();
+        series.push({
+            date: bucket,
+            label: format(bucket, config.format),
+            ...deriveMetrics(totals),
+        });
+    }
+    return series;
+};
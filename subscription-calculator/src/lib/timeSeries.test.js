@@ -0,0 +1,70 @@
+import { bucketRows, rowDaySpan } from './timeSeries';
+
+const row = (start, end, values = {}) => ({
+    'Ad Group': 'Search',
+    'Start Date': start,
+    'End Date': end,
+    Clicks: 1000,
+    Cost: 100,
+    'Avg. CPC': 0.1,
+    Installs: 100,
+    Trials: 40,
+    Subscriptions: 10,
+    'Subscription Value': 60,
+    ...values,
+});
+
+const date = (month, day) => new Date(2024, month - 1, day);
+
+describe('rowDaySpan', () => {
+    test('counts the days from start to end inclusive', () => {
+        expect(rowDaySpan(row(date(1, 1), date(1, 10)))).toEqual({ start: date(1, 1), end: date(1, 10), days: 10 });
+    });
+
+    test('treats a missing or earlier End Date as a single day', () => {
+        expect(rowDaySpan(row(date(1, 5), new Date(NaN))).days).toBe(1);
+        expect(rowDaySpan(row(date(1, 5), date(1, 2)))).toEqual({ start: date(1, 5), end: date(1, 5), days: 1 });
+    });
+});
+
+describe('bucketRows', () => {
+    test('splits a row across weeks in proportion to its days in each', () => {
+        // 1 January 2024 is a Monday: seven of the ten days fall in the first week.
+        const series = bucketRows([row(date(1, 1), date(1, 10))], 'week');
+
+        expect(series.map(bucket => bucket.label)).toEqual(['Wk of Jan 01', 'Wk of Jan 08']);
+        expect(series[0].Cost).toBeCloseTo(70);
+        expect(series[1].Cost).toBeCloseTo(30);
+        expect(series[1].Subscriptions).toBeCloseTo(3);
+        expect(series[1]['Subscription Value']).toBeCloseTo(180);
+    });
+
+    test('splits a row across months by their days', () => {
+        const series = bucketRows([row(date(1, 30), date(2, 2))], 'month');
+
+        expect(series.map(bucket => [bucket.label, bucket.Cost])).toEqual([['Jan 2024', 50], ['Feb 2024', 50]]);
+    });
+
+    test('works out ratios from each bucket\'s totals', () => {
+        const series = bucketRows([row(date(1, 1), date(1, 1)), row(date(1, 1), date(1, 1), { Cost: 300, Subscriptions: 30 })], 'day');
+
+        expect(series).toHaveLength(1);
+        expect(series[0].cac).toBe(10);
+    });
+
+    test('fills gaps with empty buckets so the time axis stays even', () => {
+        const series = bucketRows([row(date(1, 4), date(1, 4)), row(date(1, 1), date(1, 1))], 'day');
+
+        expect(series.map(bucket => [bucket.date, bucket.Cost])).toEqual([
+            [date(1, 1), 100],
+            [date(1, 2), 0],
+            [date(1, 3), 0],
+            [date(1, 4), 100],
+        ]);
+    });
+
+    test('skips rows without a Start Date', () => {
+        expect(bucketRows([row(new Date(NaN), date(1, 1))], 'day')).toEqual([]);
+        expect(bucketRows([], 'week')).toEqual([]);
+    });
+});
@@ -0,0 +1,94 @@
+import { format, isValid, parse } from 'date-fns';
+import { COMPARE_MODES, DEFAULT_FILTERS } from './filters';
+import { GRANULARITIES } from './timeSeries';
+
+// Dashboard view encoded in the query string, so a view can be shared as a link
+// and browser history steps through filter changes. Only values that differ
+// from DEFAULT_FILTERS are written.
+
+const DATE_FORMAT = 'yyyy-MM-dd';
+
+const formatDate = (date) => (date instanceof Date && isValid(date) ? format(date, DATE_FORMAT) : null);
+
+const parseDate = (value) => {
+    if (!value) return undefined;
+    const date = parse(value, DATE_FORMAT, new Date());
+    return isValid(date) ? date : undefined;
+};
+
+const setRange = (params, fromKey, toKey, range) => {
+    const from = formatDate(range?.from);
+    const to = formatDate(range?.to);
+    if (from) params.set(fromKey, from);
+    if (from && to) params.set(toKey, to);
+};
+
+const readRange = (params, fromKey, toKey) => {
+    const from = parseDate(params.get(fromKey));
+    return { from, to: from ? parseDate(params.get(toKey)) : undefined };
+};
+
+// Returns the query string (with its leading "?", or "" when there is nothing to
+// encode) for the filters and the open library dataset. The dataset is its local
+// IndexedDB id, so it only opens in the browser that saved it.
+export const encodeViewState = (filters, datasetId) => {
+    const params = new URLSearchParams();
+    if (datasetId !== undefined) params.set('dataset', datasetId);
+    setRange(params, 'from', 'to', filters.dateRange);
+    if (filters.adGroup !== DEFAULT_FILTERS.adGroup) params.set('group', filters.adGroup);
+    if (filters.compare.mode !== DEFAULT_FILTERS.compare.mode) {
+        params.set('compare', filters.compare.mode);
+        if (filters.compare.mode === 'custom') setRange(params, 'compareFrom', 'compareTo', filters.compare.range);
+    }
+    if (filters.granularity !== DEFAULT_FILTERS.granularity) params.set('granularity', filters.granularity);
+    Object.entries(filters.dimensions).forEach(([column, values]) => {
+        values.forEach(value => params.append(`dim.${column}`, value));
+    });
+    Object.entries(filters.ranges).forEach(([column, { min, max }]) => {
+        if (Number.isFinite(min)) params.set(`min.${column}`, min);
+        if (Number.isFinite(max)) params.set(`max.${column}`, max);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
+
+// Column filters are written as `dim.<column>` once per selected value, and
+// `min.<column>` and `max.<column>` for numeric ranges.
+const readColumnFilters = (params) => {
+    const dimensions = {};
+    const ranges = {};
+    params.forEach((value, key) => {
+        const separator = key.indexOf('.');
+        const prefix = key.slice(0, separator);
+        const column = key.slice(separator + 1);
+        if (separator === -1 || !column) return;
+        if (prefix === 'dim') dimensions[column] = [...(dimensions[column] || []), value];
+        if ((prefix === 'min' || prefix === 'max') && value.trim() !== '' && Number.isFinite(Number(value))) {
+            ranges[column] = { min: null, max: null, ...ranges[column], [prefix]: Number(value) };
+        }
+    });
+    return { dimensions, ranges };
+};
+
+// Reads a query string back into filters. Unknown or malformed values fall back
+// to their defaults. `datasetId` is undefined when the link names no dataset.
+export const decodeViewState = (search) => {
+    const params = new URLSearchParams(search);
+    const compareMode = params.get('compare');
+    const granularity = params.get('granularity');
+    const datasetId = Number(params.get('dataset'));
+
+    return {
+        datasetId: Number.isInteger(datasetId) && datasetId > 0 ? datasetId : undefined,
+        filters: {
+            dateRange: readRange(params, 'from', 'to'),
+            adGroup: params.get('group') || DEFAULT_FILTERS.adGroup,
+            compare: {
+                mode: COMPARE_MODES[compareMode] ? compareMode : DEFAULT_FILTERS.compare.mode,
+                range: readRange(params, 'compareFrom', 'compareTo'),
+            },
+            granularity: GRANULARITIES[granularity] ? granularity : DEFAULT_FILTERS.granularity,
+            ...readColumnFilters(params),
+        },
+    };
+};
@@ -0,0 +1,55 @@
+import { DEFAULT_FILTERS } from './filters';
+import { decodeViewState, encodeViewState } from './urlState';
+
+const date = (month, day) => new Date(2024, month - 1, day);
+
+describe('encodeViewState', () => {
+    test('writes nothing for the default view', () => {
+        expect(encodeViewState(DEFAULT_FILTERS)).toBe('');
+    });
+
+    test('writes only what differs from the defaults', () => {
+        const filters = { ...DEFAULT_FILTERS, dateRange: { from: date(3, 1), to: undefined }, adGroup: 'Brand Search' };
+
+        expect(encodeViewState(filters, 7)).toBe('?dataset=7&from=2024-03-01&group=Brand+Search');
+    });
+
+    test('writes a comparison range for custom comparisons only', () => {
+        const range = { from: date(1, 1), to: date(1, 31) };
+
+        expect(encodeViewState({ ...DEFAULT_FILTERS, compare: { mode: 'previous', range } })).toBe('?compare=previous');
+        expect(encodeViewState({ ...DEFAULT_FILTERS, compare: { mode: 'custom', range } })).toBe('?compare=custom&compareFrom=2024-01-01&compareTo=2024-01-31');
+    });
+});
+
+describe('decodeViewState', () => {
+    test('reads back every filter it encodes', () => {
+        const filters = {
+            dateRange: { from: date(3, 1), to: date(3, 31) },
+            adGroup: 'Search',
+            compare: { mode: 'custom', range: { from: date(2, 1), to: date(2, 29) } },
+            granularity: 'day',
+            dimensions: { Country: ['US', ''], 'Campaign.Name': ['Spring'] },
+            ranges: { Cost: { min: 100, max: null }, 'Avg. CPC': { min: 0.5, max: 2 } },
+        };
+
+        expect(decodeViewState(encodeViewState(filters, 3))).toEqual({ datasetId: 3, filters });
+    });
+
+    test('falls back to the defaults for unknown or malformed values', () => {
+        const { datasetId, filters } = decodeViewState('?dataset=abc&from=2024-02-30&compare=sometimes&granularity=hourly&min.Cost=lots&max.Cost=');
+
+        expect(datasetId).toBeUndefined();
+        expect(filters).toEqual(DEFAULT_FILTERS);
+    });
+
+    test('ignores an end date without a start date', () => {
+        expect(decodeViewState('?to=2024-03-31').filters.dateRange).toEqual({ from: undefined, to: undefined });
+    });
+
+    test('only accepts positive whole dataset ids', () => {
+        expect(decodeViewState('?dataset=0').datasetId).toBeUndefined();
+        expect(decodeViewState('?dataset=1.5').datasetId).toBeUndefined();
+        expect(decodeViewState('?dataset=12').datasetId).toBe(12);
+    });
+});
@@ -0,0 +1,85 @@
+import { isValid } from 'date-fns';
+import { isCurrencyCode, normalizeCurrencyCode } from './currency';
+import { DATE_COLUMNS, FUNNEL_STAGES, NUMERIC_COLUMNS, funnelSteps, isBlank, parseDate, parseNumber } from './analytics';
+
+// Row-level validation of imported data. Values are parsed with analytics.js.
+
+// Relative gap between Avg. CPC and Cost / Clicks that is tolerated as rounding.
+const CPC_TOLERANCE = 0.05;
+
+const issue = (severity, column, message, fix) => ({ severity, column, message, fix });
+
+// Validates one raw row that already uses the required column names. Returns the
+// typed row plus its issues. Errors make the row unusable; warnings are values that
+// can be imported but look wrong. Fixable issues carry a `fix` that returns a
+// corrected raw row. Blank values in `ignoredColumns` (left empty on purpose in the
+// column mapping) become 0 without a warning.
+export const validateRow = (raw, ignoredColumns = []) => {
+    const row = { ...raw };
+    const issues = [];
+
+    NUMERIC_COLUMNS.forEach(column => {
+        const value = parseNumber(raw[column]);
+        if (value === null) {
+            if (!ignoredColumns.includes(column)) issues.push(issue('warning', column, 'Blank, treated as 0'));
+            row[column] = 0;
+        } else if (isNaN(value)) {
+            issues.push(issue('error', column, `"${raw[column]}" is not a number`));
+            row[column] = 0;
+        } else {
+            if (value < 0) issues.push(issue('error', column, 'Cannot be negative'));
+            row[column] = value;
+        }
+    });
+
+    DATE_COLUMNS.forEach(column => {
+        const value = parseDate(raw[column]);
+        if (value === null) {
+            issues.push(issue('error', column, 'Missing date'));
+        } else if (!isValid(value)) {
+            issues.push(issue('error', column, `"${raw[column]}" is not a recognised date`));
+        }
+        row[column] = value || new Date(NaN);
+    });
+
+    if (isBlank(raw['Ad Group'])) {
+        issues.push(issue('warning', 'Ad Group', 'Blank ad group'));
+    }
+
+    if (!isBlank(raw.Currency)) {
+        if (isCurrencyCode(raw.Currency)) {
+            row.Currency = normalizeCurrencyCode(raw.Currency);
+        } else {
+            issues.push(issue('warning', 'Currency', `"${raw.Currency}" is not a 3-letter currency code, the default data currency is used`));
+            delete row.Currency;
+        }
+    }
+
+    if (isValid(row['Start Date']) && isValid(row['End Date']) && row['End Date'] < row['Start Date']) {
+        issues.push(issue('error', 'End Date', 'End Date is before Start Date', {
+            label: 'Swap dates',
+            apply: (r) => ({ ...r, 'Start Date': r['End Date'], 'End Date': r['Start Date'] }),
+        }));
+    }
+    // Each funnel stage should be no larger than the one before it. Stages left
+    // out in the mapping (an app without trials, say) are skipped, not read as 0.
+    funnelSteps(FUNNEL_STAGES.filter(column => !ignoredColumns.includes(column))).forEach(({ from, to }) => {
+        if (row[to] > row[from]) issues.push(issue('warning', to, `${to} (${row[to]}) exceed ${from} (${row[from]})`));
+    });
+    if (row.Clicks > 0 && row['Avg. CPC'] > 0) {
+        const expected = row.Cost / row.Clicks;
+        if (Math.abs(row['Avg. CPC'] - expected) > Math.max(expected * CPC_TOLERANCE, 0.01)) {
+            issues.push(issue('warning', 'Avg. CPC', `Avg. CPC ${row['Avg. CPC']} does not match Cost / Clicks (${expected.toFixed(2)})`, {
+                label: 'Use Cost / Clicks',
+                apply: (r) => ({ ...r, 'Avg. CPC': expected.toFixed(4) }),
+            }));
+        }
+    }
+
+    return { row, issues };
+};
+
+export const hasErrors = (issues) => issues.some(entry => entry.severity === 'error');
+
+// Validates every raw row. `line` is the 1-based line in the source file, counting the header.
+export const validateRows = (rows, ignoredColumns = []) => rows.map((raw, index) => ({ line: index + 2, raw, ...validateRow(raw, ignoredColumns) }));
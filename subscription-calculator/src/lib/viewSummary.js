@@ -0,0 +1,56 @@
+import { applyFilters, deriveMetrics, emptyTotals, sumColumns, sumRows } from './analytics';
+
+// The headline totals of a dashboard view
+//
+// A view is the filters (date range, ad group and column filters), the comparison
+// range if there is one and the extra numeric columns to total. Rows can be added
+// a chunk at a time, so a large dataset can be summarised in slices with a usable
+// result after each.
+
+const addTotals = (totals, more) => {
+    Object.keys(more).forEach(key => {
+        totals[key] += more[key];
+    });
+};
+
+const createSelection = (filters, extraColumns) => {
+    const totals = emptyTotals();
+    const columnTotals = sumColumns([], extraColumns);
+    let count = 0;
+    return {
+        add: (rows) => {
+            const selected = applyFilters(rows, filters);
+            count += selected.length;
+            addTotals(totals, sumRows(selected));
+            addTotals(columnTotals, sumColumns(selected, extraColumns));
+        },
+        summary: () => ({ ...deriveMetrics(totals), ...columnTotals }),
+        count: () => count,
+    };
+};
+
+// Returns { add(rows), result() }. The result is { summary, comparisonSummary, count }
+// over the rows added so far, where comparisonSummary is null without a
+// comparison range and count is the number of rows in the current selection.
+export const createViewSummary = ({ comparisonRange = null, extraColumns = [], ...filters }) => {
+    const current = createSelection(filters, extraColumns);
+    const comparison = comparisonRange && createSelection({ ...filters, dateRange: comparisonRange }, extraColumns);
+    return {
+        add: (rows) => {
+            current.add(rows);
+            if (comparison) comparison.add(rows);
+        },
+        result: () => ({
+            summary: current.summary(),
+            comparisonSummary: comparison ? comparison.summary() : null,
+            count: current.count(),
+        }),
+    };
+};
+
+// The result for a whole set of rows at once.
+export const summarizeView = (rows, view) => {
+    const summary = createViewSummary(view);
+    summary.add(rows);
+    return summary.result();
+};
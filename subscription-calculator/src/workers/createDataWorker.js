@@ -0,0 +1,6 @@
+// Kept in its own module so that only the bundler ever sees `import.meta`: it
+// finds the worker entry from this call, and the test runner, which cannot parse
+// `import.meta`, never loads this file because jsdom has no Worker.
+const createDataWorker = () => new Worker(new URL('./data.worker.js', import.meta.url));
+
+export default createDataWorker;
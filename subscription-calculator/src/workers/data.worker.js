@@ -0,0 +1,55 @@
+/* global globalThis */
+import { parseImportFile } from '../lib/fileImport';
+import { validateRows } from '../lib/validation';
+import { createViewSummary } from '../lib/viewSummary';
+
+// Web Worker for the work that would otherwise block the page on large files.
+// lib/dataWorker.js is the only thing that talks to it.
+//
+// Messages in:
+//   { type: 'parse', file }            parse one uploaded file
+//   { type: 'validate', rows, ignoredColumns }  validate the rows of one file
+//   { type: 'load', rows }             keep the dashboard rows for summarising
+//   { type: 'summarize', job, view }   summarise the kept rows for a view
+// Messages out:
+//   { type: 'progress', progress }     fraction of the file parsed so far
+//   { type: 'parsed', file } or { type: 'error', message }
+//   { type: 'validated', results }     as validateRows, without the fixes
+//   { type: 'summary', job, result, progress }  after each chunk of rows
+
+// Rows summarised between updates. Each update is posted as a separate task, so
+// a newer view can take over part way through.
+const SUMMARY_CHUNK_ROWS = 25000;
+
+let rows = [];
+let currentJob = null;
+
+const summarize = (job, view) => {
+    const summary = createViewSummary(view);
+    const step = (start) => {
+        if (job !== currentJob) return;
+        const end = Math.min(start + SUMMARY_CHUNK_ROWS, rows.length);
+        summary.add(rows.slice(start, end));
+        globalThis.postMessage({ type: 'summary', job, result: summary.result(), progress: rows.length > 0 ? end / rows.length : 1 });
+        if (end < rows.length) setTimeout(() => step(end), 0);
+    };
+    step(0);
+};
+
+globalThis.onmessage = ({ data: message }) => {
+    if (message.type === 'parse') {
+        parseImportFile(message.file, { onProgress: (progress) => globalThis.postMessage({ type: 'progress', progress }) })
+            .then(file => globalThis.postMessage({ type: 'parsed', file }))
+            .catch(error => globalThis.postMessage({ type: 'error', message: error.message }));
+    } else if (message.type === 'validate') {
+        const results = validateRows(message.rows, message.ignoredColumns)
+            .map(({ issues, ...result }) => ({ ...result, issues: issues.map(({ severity, column, message }) => ({ severity, column, message })) }));
+        globalThis.postMessage({ type: 'validated', results });
+    } else if (message.type === 'load') {
+        rows = message.rows;
+        currentJob = null;
+    } else if (message.type === 'summarize') {
+        currentJob = message.job;
+        summarize(message.job, message.view);
+    }
+};